@@ -0,0 +1,104 @@
+import { normalizeProviderResult, postJson, postStream, withRetries } from './utils.js';
+import { buildMessages } from './prompts.js';
+import { ERROR_CODE, createError } from '../errors.js';
+
+// =============================================================================
+// Constants and Configuration
+// =============================================================================
+
+const ANTHROPIC_CONFIG = {
+    ENDPOINT: 'https://api.anthropic.com/v1/messages',
+    API_VERSION: '2023-06-01',
+    DEFAULT_MODEL: 'claude-sonnet-4-5',
+    MAX_TOKENS: 4096,
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 500,
+};
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+/**
+ * @param {{ text: string, image?: { mimeType: string, data: string } }} message - From buildMessages().
+ * @returns {string|Array<Object>} Messages API content; an image is sent as a base64 image block.
+ */
+function toAnthropicContent({ text, image }) {
+    if (!image) return text;
+    return [
+        { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } },
+        { type: 'text', text },
+    ];
+}
+
+// =============================================================================
+// Main Export Function
+// =============================================================================
+
+/**
+ * Calls the Anthropic Messages API.
+ *
+ * @param {string} apiKey - The Anthropic API key.
+ * @param {string} userPrompt - The user's instruction.
+ * @param {Object} contextData - Object containing { pageContext, tour, [history] }.
+ * @param {{ model?: string, temperature?: number|null, maxRetries?: number, signal?: AbortSignal, onText?: function(string):void }} [options]
+ *   Anthropic accepts temperatures up to 1; higher values are clamped.
+ *   With `onText`, the response is streamed and `onText` gets the text generated so far.
+ * @returns {Promise<Object>} The result object { type: 'tour'|'fill_input_form', data: ... }.
+ */
+export async function callAnthropic(apiKey, userPrompt, contextData = {}, options = {}) {
+    const headers = {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_CONFIG.API_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true',
+    };
+
+    const body = {
+        model: options.model || ANTHROPIC_CONFIG.DEFAULT_MODEL,
+        max_tokens: ANTHROPIC_CONFIG.MAX_TOKENS,
+        messages: buildMessages(userPrompt, contextData).map(message => ({ role: message.role, content: toAnthropicContent(message) })),
+        ...(options.temperature != null ? { temperature: Math.min(options.temperature, 1) } : {}),
+        ...(options.onText ? { stream: true } : {}),
+    };
+    const { signal, onText } = options;
+
+    return await withRetries(async () => {
+        let genText = '';
+        if (onText) {
+            await postStream(ANTHROPIC_CONFIG.ENDPOINT, headers, body, 'Anthropic', {
+                signal,
+                onEvent: (event) => {
+                    if (event.type === 'error') {
+                        const code = event.error?.type === 'rate_limit_error' ? ERROR_CODE.PROVIDER_RATE_LIMIT : ERROR_CODE.PROVIDER_HTTP;
+                        throw createError(code, `Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+                    }
+                    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                        genText += event.delta.text;
+                        onText(genText);
+                    }
+                },
+            });
+        } else {
+            const apiResp = await postJson(ANTHROPIC_CONFIG.ENDPOINT, headers, body, 'Anthropic', { signal });
+            genText = (apiResp.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        }
+
+        const result = normalizeProviderResult(genText);
+        console.log("Parsed result from Anthropic:", result);
+        return result;
+    }, { maxRetries: options.maxRetries ?? ANTHROPIC_CONFIG.MAX_RETRIES, baseDelayMs: ANTHROPIC_CONFIG.BASE_DELAY_MS, signal });
+}
+
+export const anthropicProvider = {
+    id: 'anthropic',
+    label: 'Anthropic',
+    requiresApiKey: true,
+    supportsImages: true,
+    defaultModel: ANTHROPIC_CONFIG.DEFAULT_MODEL,
+    models: ['claude-sonnet-4-5', 'claude-haiku-4-5', 'claude-opus-4-1'],
+    generate: ({ apiKey, model, userPrompt, contextData, temperature, maxRetries, signal, onText }) =>
+        callAnthropic(apiKey, userPrompt, contextData, { model, temperature, maxRetries, signal, onText }),
+};
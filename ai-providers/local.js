@@ -0,0 +1,25 @@
+import { callOpenAICompatible } from './openai.js';
+
+// =============================================================================
+// Constants and Configuration
+// =============================================================================
+
+// Ollama serves an OpenAI-compatible API under /v1; llama.cpp's `llama-server`
+// does the same at http://localhost:8080/v1, so only the base URL differs.
+const LOCAL_CONFIG = {
+    DEFAULT_BASE_URL: 'http://localhost:11434/v1',
+    DEFAULT_MODEL: 'llama3.1',
+};
+
+export const localProvider = {
+    id: 'local',
+    label: 'Local (Ollama / llama.cpp)',
+    requiresApiKey: false,
+    // Most local models are text-only, so no screenshot is sent
+    supportsImages: false,
+    defaultModel: LOCAL_CONFIG.DEFAULT_MODEL,
+    defaultBaseUrl: LOCAL_CONFIG.DEFAULT_BASE_URL,
+    models: ['llama3.1', 'qwen2.5', 'mistral'],
+    generate: ({ apiKey, model, baseUrl, userPrompt, contextData, temperature, maxRetries, signal, onText }) =>
+        callOpenAICompatible({ apiKey, model, baseUrl, userPrompt, contextData, label: 'Local model', temperature, maxRetries, signal, onText }),
+};
@@ -1,6 +1,4 @@
-export async function callMockProvider(apiKey, userPrompt, pageContext) {
-    console.log("Mock Provider called with:", { apiKey, userPrompt, pageContext }); 
-    return [
+const MOCK_STEPS = [
     {  xpath: `//*[@id="tour-example"]` , popover: { title: 'Animated Tour Example', description: 'Here is the code example showing animated tour. Let\'s walk you through it.', side: "left", align: 'start' }},
     { element: 'code .line:nth-child(1)', popover: { title: 'Import the Library', description: 'It works the same in vanilla JavaScript as well as frameworks.', side: "bottom", align: 'start' }},
     { element: 'code .line:nth-child(2)', popover: { title: 'Importing CSS', description: 'Import the CSS which gives you the default styling for popover and overlay.', side: "bottom", align: 'start' }},
@@ -8,5 +6,80 @@ export async function callMockProvider(apiKey, userPrompt, pageContext) {
     { element: 'code .line:nth-child(18)', popover: { title: 'Start Tour', description: 'Call the drive method to start the tour and your tour will be started.', side: "top", align: 'start' }},
     { element: '#docs-sidebar a[href="/docs/configuration"]', popover: { title: 'More Configuration', description: 'Look at this page for all the configuration options you can pass.', side: "right", align: 'start' }},
     { popover: { title: 'Happy Coding', description: 'And that is all, go ahead and start adding tours to your applications.' } }
-  ]
+  ];
+
+// Delay between streamed steps, so progressive rendering can be seen offline
+const STREAM_STEP_DELAY_MS = 300;
+
+/**
+ * Emits a tour one step at a time, as a streaming provider would.
+ * @param {Array<Object>} steps
+ * @param {{ signal?: AbortSignal, onText: function(string):void }} options
+ */
+async function streamSteps(steps, { signal, onText }) {
+    for (let count = 1; count <= steps.length; count++) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_STEP_DELAY_MS));
+        signal?.throwIfAborted();
+        // Drop the closing "]}" so the text looks like an unfinished response
+        onText(JSON.stringify({ type: 'tour', data: steps.slice(0, count) }).slice(0, -2));
+    }
 }
+
+/**
+ * Returns a canned Driver.js tour without calling any model. Useful for
+ * exercising the content script offline. Selector fix requests are answered
+ * by turning every broken step into a floating step; refinements append a
+ * floating step quoting the follow-up to the latest version; elements are
+ * "explained" with their role and name; translations prefix titles with the language.
+ * @param {string} userPrompt
+ * @param {Object} contextData - Object containing { pageContext, tour, brokenSteps, history, translation, element }.
+ * @param {{ signal?: AbortSignal, onText?: function(string):void }} [options] - With `onText`, tours are streamed step by step.
+ * @returns {Promise<Object>} The result object { type: 'tour'|'selector_fixes'|'translation'|'element_explanation', data: ... }.
+ */
+export async function callMockProvider(userPrompt, contextData = {}, options = {}) {
+    console.log("Mock Provider called with:", { userPrompt, contextData });
+    if (contextData.brokenSteps) {
+        return { type: 'selector_fixes', data: contextData.brokenSteps.map(b => ({ index: b.index, element: null })) };
+    }
+
+    if (contextData.translation) {
+        const { tour, language } = contextData.translation;
+        return {
+            type: 'translation',
+            data: {
+                tourName: `[${language}] ${tour.tourName}`,
+                description: tour.description || '',
+                steps: tour.steps.map((step, index) => ({ index, title: `[${language}] ${step.popover?.title || ''}`, description: step.popover?.description || '' })),
+            },
+        };
+    }
+
+    if (contextData.element) {
+        const { role, name, tag } = contextData.element;
+        return {
+            type: 'element_explanation',
+            data: { title: name || `<${tag}>`, description: `This is a ${role} element. The mock provider does not know what it does.` },
+        };
+    }
+
+    let steps = MOCK_STEPS;
+    if (contextData.history?.length) {
+        const latest = contextData.history[contextData.history.length - 1];
+        steps = [...latest.steps, { popover: { title: 'Follow-up', description: userPrompt } }];
+    }
+    if (options.onText) {
+        await streamSteps(steps, options);
+    }
+    return { type: 'tour', data: steps };
+}
+
+export const mockProvider = {
+    id: 'mock',
+    label: 'Mock (offline sample tour)',
+    requiresApiKey: false,
+    supportsImages: false,
+    defaultModel: 'mock',
+    models: ['mock'],
+    generate: ({ userPrompt, contextData, signal, onText }) => callMockProvider(userPrompt, contextData, { signal, onText }),
+};
+
@@ -0,0 +1,98 @@
+import { normalizeProviderResult, postJson, postStream, withRetries } from './utils.js';
+import { buildMessages } from './prompts.js';
+
+// =============================================================================
+// Constants and Configuration
+// =============================================================================
+
+const OPENAI_CONFIG = {
+    DEFAULT_BASE_URL: 'https://api.openai.com/v1',
+    DEFAULT_MODEL: 'gpt-4o-mini',
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 500,
+};
+
+// =============================================================================
+// Utility Functions
+// =============================================================================
+
+/**
+ * @param {{ text: string, image?: { mimeType: string, data: string } }} message - From buildMessages().
+ * @returns {string|Array<Object>} Chat Completions message content; an image is sent as a data URL part.
+ */
+function toOpenAIContent({ text, image }) {
+    if (!image) return text;
+    return [
+        { type: 'text', text },
+        { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } },
+    ];
+}
+
+// =============================================================================
+// Main Export Function
+// =============================================================================
+
+/**
+ * Calls any endpoint implementing the OpenAI Chat Completions API
+ * (OpenAI, Azure-style gateways, vLLM, llama.cpp server, Ollama's /v1 API...).
+ *
+ * @param {Object} request
+ * @param {string} [request.apiKey] - Sent as a Bearer token when present.
+ * @param {string} request.model
+ * @param {string} request.baseUrl - API root, e.g. "https://api.openai.com/v1".
+ * @param {string} request.userPrompt
+ * @param {Object} request.contextData - Object containing { pageContext, tour, [history] }.
+ * @param {string} [request.label] - Provider label used in logs and errors.
+ * @param {number|null} [request.temperature] - Sampling temperature; the endpoint's default when absent.
+ * @param {number} [request.maxRetries] - Attempts before giving up.
+ * @param {AbortSignal} [request.signal] - Cancels the request.
+ * @param {function(string):void} [request.onText] - Streams the response (`stream: true`)
+ *   and receives the text generated so far.
+ * @returns {Promise<Object>} The result object { type: 'tour'|'fill_input_form', data: ... }.
+ */
+export async function callOpenAICompatible({
+    apiKey, model, baseUrl, userPrompt, contextData = {}, label = 'OpenAI', temperature, maxRetries = OPENAI_CONFIG.MAX_RETRIES, signal, onText,
+}) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    const body = {
+        model,
+        messages: buildMessages(userPrompt, contextData).map(message => ({ role: message.role, content: toOpenAIContent(message) })),
+        response_format: { type: 'json_object' },
+        ...(temperature != null ? { temperature } : {}),
+        ...(onText ? { stream: true } : {}),
+    };
+
+    return await withRetries(async () => {
+        let genText = '';
+        if (onText) {
+            await postStream(endpoint, headers, body, label, {
+                signal,
+                onEvent: (chunk) => {
+                    genText += chunk.choices?.[0]?.delta?.content || '';
+                    onText(genText);
+                },
+            });
+        } else {
+            const apiResp = await postJson(endpoint, headers, body, label, { signal });
+            genText = apiResp.choices?.[0]?.message?.content || '';
+        }
+
+        const result = normalizeProviderResult(genText);
+        console.log(`Parsed result from ${label}:`, result);
+        return result;
+    }, { maxRetries, baseDelayMs: OPENAI_CONFIG.BASE_DELAY_MS, signal });
+}
+
+export const openAIProvider = {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    requiresApiKey: true,
+    supportsImages: true,
+    defaultModel: OPENAI_CONFIG.DEFAULT_MODEL,
+    defaultBaseUrl: OPENAI_CONFIG.DEFAULT_BASE_URL,
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+    generate: ({ apiKey, model, baseUrl, userPrompt, contextData, temperature, maxRetries, signal, onText }) =>
+        callOpenAICompatible({ apiKey, model, baseUrl, userPrompt, contextData, label: 'OpenAI-compatible', temperature, maxRetries, signal, onText }),
+};
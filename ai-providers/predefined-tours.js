@@ -1,9 +1,19 @@
-export async function getPredefinedTourForURL(url) {
-    const storedSteps = await fetch(chrome.runtime.getURL('data/stored-steps.json'))
-        .then(response => response.json())
+import { getAllTours } from '../tour-library.js';
+import { rankToursForUrl } from '../tour-matcher.js';
+import { localizeTour } from '../tour-locale.js';
 
-    console.log("Loaded predefined tours:", storedSteps);
-    const matchingSteps = storedSteps.filter(step => url.includes(step.url));
+/**
+ * Returns the library and bundled tours that apply to a URL, most specific match first.
+ * @param {string} url
+ * @param {string} [language] - Text variants for this language replace the tours' own text, see tour-locale.js.
+ * @returns {Promise<Array<Object>>} Tours with URL parameters applied, see tour-matcher.js.
+ */
+export async function getPredefinedTourForURL(url, language) {
+    const tours = await getAllTours();
 
-    return matchingSteps;
+    console.log("Loaded predefined and library tours:", tours);
+    // Localized first, so URL parameters fill the placeholders of the chosen text
+    const matchingTours = rankToursForUrl(tours.map(tour => localizeTour(tour, language)), url);
+
+    return matchingTours;
 }
@@ -0,0 +1,439 @@
+import { normalizeFormInputs } from '../form-inputs.js';
+import { describeLanguage } from '../tour-locale.js';
+
+// =============================================================================
+// Prompt Template
+// =============================================================================
+
+// Variables of the prompt template, written as {{name}}, with their description for the options page
+export const PROMPT_TEMPLATE_VARIABLES = {
+    userPrompt: 'What the user asked for',
+    pageTitle: 'Title of the page',
+    pageUrl: 'URL of the page',
+    pageContext: 'Page title, URL and snapshot of its elements',
+    existingTour: 'The predefined tour whose inputs are filled, if any',
+    maxSteps: 'Maximum number of steps in a tour',
+    language: 'Language of the tour text, e.g. French (fr)',
+    responseFormat: 'JSON response format and selector rules (required)',
+};
+
+// Variables every template must use, or responses cannot be parsed
+const REQUIRED_TEMPLATE_VARIABLES = ['userPrompt', 'responseFormat'];
+
+export const DEFAULT_PROMPT_TEMPLATE = `User Prompt: "{{userPrompt}}"
+
+{{pageContext}}
+
+{{existingTour}}
+
+{{responseFormat}}`;
+
+/**
+ * @param {string} template
+ * @returns {Array<string>} Problems with the template; empty when it is usable.
+ */
+export function validatePromptTemplate(template) {
+    const errors = [];
+    const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+    used.filter(name => !(name in PROMPT_TEMPLATE_VARIABLES)).forEach(name => errors.push(`Unknown variable {{${name}}}`));
+    REQUIRED_TEMPLATE_VARIABLES.filter(name => !used.includes(name)).forEach(name => errors.push(`Missing required variable {{${name}}}`));
+    return errors;
+}
+
+/**
+ * Fills a template's {{variables}}. Lines left blank by empty variables are collapsed.
+ * @param {string} template
+ * @param {Object<string, string|number>} values
+ * @returns {string}
+ */
+function fillPromptTemplate(template, values) {
+    return template
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (name in values ? String(values[name] ?? '') : placeholder))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// =============================================================================
+// Prompt Builders
+// =============================================================================
+
+/**
+ * Renders one snapshot node as a compact line, e.g.
+ * `[3] textbox "From station" -> #origin input (inputType=text, required, offscreen)`.
+ * @param {Object} node - A node from content/page-snapshot.js.
+ * @returns {string}
+ */
+function formatSnapshotNode(node) {
+    const flags = [];
+    if (node.level) flags.push(`level=${node.level}`);
+    if (node.inputType) flags.push(`inputType=${node.inputType}`);
+    if (node.states) flags.push(...node.states);
+    if (!node.visible) flags.push('hidden');
+    else if (!node.inViewport) flags.push('offscreen');
+    if (node.box) flags.push(`box=${node.box.join(',')}`);
+
+    return `[${node.ref}] ${node.role} ${JSON.stringify(node.name || '')} -> ${node.selector} (${flags.join(', ')})`;
+}
+
+/**
+ * Describes one typed form input, e.g. `- journeyDate (date, "Journey date", from 2025-08-01)`.
+ * @param {Object} input - An entry of normalizeFormInputs().
+ * @returns {string}
+ */
+function formatFormInput(input) {
+    const details = [input.type, JSON.stringify(input.label)];
+    if (input.options) details.push(`options: ${input.options.map(o => JSON.stringify(o)).join(', ')}`);
+    if (input.min !== undefined) details.push(`${input.type === 'date' ? 'from' : 'min'} ${input.min}`);
+    if (input.max !== undefined) details.push(`${input.type === 'date' ? 'until' : 'max'} ${input.max}`);
+    if (input.description) details.push(input.description);
+    return `- ${input.key} (${details.join(', ')})`;
+}
+
+/**
+ * Builds the page context portion of the prompt.
+ * @param {Object} pageContext - The context object from the content script.
+ * @param {Object} [screenshot] - The annotated screenshot attached to the request, if any.
+ * @returns {string} The formatted context string.
+ */
+function buildContextPrompt(pageContext, screenshot) {
+    if (!pageContext) return '';
+
+    const parts = [];
+    if (pageContext.title) parts.push(`Title: ${pageContext.title}`);
+    if (pageContext.url) parts.push(`URL: ${pageContext.url}`);
+    if (pageContext.section) {
+        parts.push(`Section: ${pageContext.section.name ? `${JSON.stringify(pageContext.section.name)} ` : ''}-> ${pageContext.section.selector} (the snapshot covers only this part of the page)`);
+    }
+    if (pageContext.snapshot?.nodes?.length) {
+        const { nodes, totalNodes, truncated } = pageContext.snapshot;
+        const header = `Page snapshot (${nodes.length}${truncated ? ` of ${totalNodes}` : ''} nodes; [ref] role "accessible name" -> selector (details); box=x,y,width,height in page pixels):`;
+        parts.push(`${header}\n${nodes.map(formatSnapshotNode).join('\n')}`);
+    }
+    if (screenshot) {
+        parts.push('Screenshot: the attached image shows the visible part of the page. Each numbered box on it outlines the snapshot node with the same [ref]; use it to judge what is prominent on the page.');
+    }
+
+    if (parts.length === 0) return '';
+
+    return `---PAGE CONTEXT---\n${parts.join('\n\n')}`;
+}
+
+/**
+ * Defines the strict JSON format and selector rules for the model.
+ * @param {boolean} hasPageContext
+ * @param {Object} tour - The existing tour object if available.
+ * @param {number} [maxSteps] - Upper bound on the number of tour steps.
+ * @param {string} [language] - Language of the popover text, e.g. "French (fr)".
+ * @param {boolean} [hasScreenshot] - Steps may then name their target by [ref] instead of by selector.
+ * @returns {string} The output instruction prompt string.
+ */
+function buildOutputInstruction(hasPageContext, tour, maxSteps, language, hasScreenshot) {
+    let instructions = `
+---RESPONSE FORMAT---
+Return ONLY a JSON object (no surrounding text).
+The object must have a "type" property and a "data" property.
+`;
+
+    if (hasPageContext) {
+        instructions += `
+IF YOU GENERATE A NEW TOUR (type="tour"):
+"data" must be an array of ${maxSteps ? `at most ${maxSteps} ` : ''}step objects.
+Each entry must be an object with the following shape when targeting a page element:
+{
+  "element": "<css selector>",
+  "popover": {
+    "title": "...",
+    "description": "...",
+    "side": "left|right|top|bottom",
+    "align": "start|center|end"
+  }
+}
+Selector rules:
+- Use only CSS selectors that work with document.querySelector(). Do NOT use XPath.
+- Copy the selector of the target node from the Page snapshot exactly (the text after "->").
+- Prefer visible nodes; form fields, headings and landmarks (navigation, main, form...) are valid targets.
+${hasScreenshot ? '- Instead of "element", a step may give "ref": <number> of a numbered box on the screenshot or a [ref] of the Page snapshot.\n' : ''}${language ? `Write every "title" and "description" in ${language}, whatever the language of the page or the User Prompt.\n` : ''}
+Only when the User Prompt asks how the tour should look or behave, add a "config" object next to "data" with just those options:
+"theme": "default|light|dark|high-contrast", "showProgress": true|false, "progressText": "{{current}} of {{total}}",
+"showButtons": ["next", "previous", "close"], "nextBtnText", "prevBtnText", "doneBtnText", "allowClose": true|false,
+"animate": true|false, "overlayColor": "<css color>", "overlayOpacity": <0 to 1>, "stagePadding": <pixels>,
+"disableActiveInteraction": true|false. Without "config", the user's own defaults apply.
+
+Example tour output:
+{
+  "type": "tour",
+  "data": [
+    { "element": "#header", "popover": { "title": "Header", "description": "..." } }
+  ]
+}
+`;
+    }
+
+    if (tour) {
+        const inputLines = normalizeFormInputs(tour.formInputs).map(formatFormInput).join('\n');
+        instructions += `
+IF YOU FILL INPUTS FOR EXISTING TOUR (type="fill_input_form"):
+"data" must be an object containing "tourName" and "formInput".
+- "tourName": Must be "${tour.tourName}".
+- "formInput": An object where keys are the target input keys and values are extracted from the User Prompt.
+- Only include inputs the User Prompt mentions. Every value is a string: dates as YYYY-MM-DD, numbers as digits, enums exactly one of the listed options.
+
+Target Inputs:
+${inputLines}
+
+Example fill_input_form output:
+{
+  "type": "fill_input_form",
+  "data": {
+    "tourName": "${tour.tourName}",
+    "formInput": {
+      "origin": "London",
+      "destination": "Paris"
+    }
+  }
+}
+`;
+    }
+
+    instructions += `
+DECISION LOGIC:
+- If you are provided with an EXISTING TOUR, you MUST return type="fill_input_form".
+- If the user asks for a new tour and you have Page Context, return type="tour".
+`;
+
+    return instructions.trim();
+}
+
+/**
+ * Asks the model to replace the selectors of steps that did not resolve on the live page.
+ * @param {Array<Object>} steps - The full tour, for context.
+ * @param {Array<Object>} brokenSteps - Verification results `{ index, locator, status, matchCount }`.
+ * @returns {string}
+ */
+function buildSelectorFixInstruction(steps, brokenSteps) {
+    const problems = brokenSteps.map(b => {
+        const title = steps[b.index]?.popover?.title || '';
+        return `- Step ${b.index} ("${title}"): selector ${JSON.stringify(b.locator)} is ${b.status} (${b.matchCount} matches)`;
+    });
+
+    return `
+---SELECTORS TO FIX---
+A tour was generated for this page, but some step selectors do not resolve to exactly one visible element:
+${problems.join('\n')}
+
+Current tour:
+${JSON.stringify(steps, null, 2)}
+
+---RESPONSE FORMAT---
+Return ONLY a JSON object (no surrounding text):
+{
+  "type": "selector_fixes",
+  "data": [
+    { "index": <step index>, "element": "<css selector>" }
+  ]
+}
+Include one entry for every step listed above and no others.
+Selector rules:
+- Use only CSS selectors that work with document.querySelector(). Do NOT use XPath.
+- Prefer copying a selector from the Page snapshot (the text after "->").
+- The selector must match exactly one visible element on the page.
+- If no element on the page fits the step, use "element": null and the step will be shown as a floating popover.
+`.trim();
+}
+
+/**
+ * Asks the model to explain a single right-clicked element in one popover.
+ * @param {Object} element - The element as described by the content script (snapshot node plus `tag` and `text`).
+ * @param {string} [language] - Language of the popover text, e.g. "French (fr)".
+ * @returns {string}
+ */
+function buildElementExplanationInstruction(element, language) {
+    return `
+---ELEMENT TO EXPLAIN---
+${formatSnapshotNode({ ...element, ref: 'target' })}
+Tag: <${element.tag}>${element.text ? `\nText: ${JSON.stringify(element.text)}` : ''}
+
+---RESPONSE FORMAT---
+Return ONLY a JSON object (no surrounding text):
+{
+  "type": "element_explanation",
+  "data": { "title": "<short name of the element>", "description": "<what it is for and how to use it>" }
+}
+- The description is shown in a popover next to the element: at most three sentences, addressed to the user.
+- Use the Page context to explain the element's purpose on this page; do not describe its styling.
+${language ? `- Write the title and description in ${language}.` : ''}
+`.trim();
+}
+
+/**
+ * Asks the model to translate the popover text of a tour, and nothing else.
+ * @param {{ tour: Object, language: string }} translation - The tour to translate and the target language
+ *   (a tag or a language name).
+ * @returns {string}
+ */
+function buildTranslationInstruction({ tour, language }) {
+    const text = {
+        tourName: tour.tourName,
+        description: tour.description || '',
+        steps: tour.steps.map((step, index) => ({ index, title: step.popover?.title || '', description: step.popover?.description || '' })),
+    };
+
+    return `
+---TOUR TO TRANSLATE---
+${JSON.stringify(text, null, 2)}
+
+---RESPONSE FORMAT---
+Return ONLY a JSON object (no surrounding text):
+{
+  "type": "translation",
+  "data": {
+    "tourName": "<translated tour name>",
+    "description": "<translated description>",
+    "steps": [
+      { "index": <step index>, "title": "<translated title>", "description": "<translated description>" }
+    ]
+  }
+}
+- Translate into ${describeLanguage(language)}. Include every step above, with the same index.
+- Keep the meaning, tone and length. Keep {{placeholders}}, product names, code and keyboard keys as they are.
+- Text that is already in the target language is returned unchanged.
+`.trim();
+}
+
+/**
+ * Explains why the previous response was rejected so the model can correct it.
+ * @param {{ errors: Array<string>, previousOutput: string }} repair
+ * @returns {string}
+ */
+function buildRepairInstruction(repair) {
+    return `---YOUR PREVIOUS RESPONSE WAS INVALID---
+Previous response:
+${repair.previousOutput}
+
+It failed validation with these errors:
+${repair.errors.map(e => `- ${e}`).join('\n')}
+
+Return a corrected JSON object that fixes every error above and follows the RESPONSE FORMAT exactly.`;
+}
+
+/**
+ * A tour version as the model's earlier answer. Resolved locators are internal;
+ * the model sees the CSS selector (or XPath of re-picked steps) it works with.
+ * @param {Array<Object>} steps
+ * @returns {string}
+ */
+function formatTourTurn(steps) {
+    const data = steps.map(({ locators, ...step }) => {
+        const css = (locators || []).find(l => l.type === 'css');
+        if (!step.element && !step.xpath && css) step.element = css.value;
+        return step;
+    });
+    return JSON.stringify({ type: 'tour', data }, null, 2);
+}
+
+/**
+ * Builds one follow-up user turn of a refinement conversation.
+ * @param {Object} version - A tour version `{ prompt, edited }`, or the new follow-up `{ prompt }`.
+ * @returns {string}
+ */
+function buildFollowUpText(version) {
+    if (version.edited) {
+        return 'I edited the tour by hand. Treat the version below as your latest tour.';
+    }
+    return `Follow-up: "${version.prompt}"
+
+Revise your latest tour accordingly and return the COMPLETE revised tour as type="tour" in the same RESPONSE FORMAT.
+- Keep the steps the follow-up does not ask to change, in the same order and with the same selectors.
+- Add "config" only when the follow-up is about how the tour looks or behaves (theme, progress, buttons...).
+- "Step N" counts from 1 in your latest tour.
+- Copy new selectors from the Page snapshot in the first message.`;
+}
+
+// =============================================================================
+// Main Export Function
+// =============================================================================
+
+/**
+ * Builds the full provider-agnostic prompt text from the prompt template
+ * (see DEFAULT_PROMPT_TEMPLATE): user prompt, page context, existing tour
+ * details and the response format instructions.
+ *
+ * @param {string} userPrompt - The user's instruction.
+ * @param {Object} contextData - Object containing { pageContext, tour, [steps, brokenSteps], [translation], [element], [screenshot], [repair], [promptSettings] }.
+ *   `promptSettings` is `{ template, maxSteps, language }` from the generation settings.
+ *   `screenshot` is only described here; buildMessages() attaches the image.
+ * @returns {string} The combined prompt text.
+ */
+export function buildPromptText(userPrompt, contextData = {}) {
+    const { pageContext, tour, steps, brokenSteps, translation, element, screenshot, repair, promptSettings = {} } = contextData;
+    const hasPageContext = !!pageContext && Object.keys(pageContext).length > 0;
+    const language = promptSettings.language ? describeLanguage(promptSettings.language) : '';
+
+    let outputInstruction;
+    if (brokenSteps) {
+        outputInstruction = buildSelectorFixInstruction(steps, brokenSteps);
+    } else if (translation) {
+        outputInstruction = buildTranslationInstruction(translation);
+    } else if (element) {
+        outputInstruction = buildElementExplanationInstruction(element, language);
+    } else {
+        outputInstruction = buildOutputInstruction(hasPageContext, tour, promptSettings.maxSteps, language, !!screenshot);
+    }
+
+    let combinedText = fillPromptTemplate(promptSettings.template || DEFAULT_PROMPT_TEMPLATE, {
+        userPrompt,
+        pageTitle: pageContext?.title || '',
+        pageUrl: pageContext?.url || '',
+        pageContext: buildContextPrompt(pageContext, screenshot),
+        existingTour: tour
+            ? `---EXISTING TOUR---\nName: ${tour.tourName}\nDescription: ${tour.description}\nForm Inputs: ${JSON.stringify(tour.formInputs)}`
+            : '',
+        maxSteps: promptSettings.maxSteps || '',
+        language,
+        responseFormat: outputInstruction,
+    });
+
+    if (repair) {
+        combinedText += `\n\n${buildRepairInstruction(repair)}`;
+    }
+
+    return combinedText;
+}
+
+/**
+ * Builds the provider-agnostic message list. Without `contextData.history`
+ * this is a single user message with buildPromptText(). With it, earlier
+ * versions of a tour are replayed as a conversation: the first prompt with the
+ * page context, each version as an assistant turn, follow-ups as user turns,
+ * and finally the new follow-up.
+ *
+ * @param {string} userPrompt - The user's instruction (the new follow-up when refining).
+ * @param {Object} contextData - As for buildPromptText(), plus optional
+ *   `history`: the versions `{ prompt, steps, edited }` from the first generation to the latest.
+ *   A `screenshot` is attached to the first message as `image`, for providers that take images.
+ * @returns {Array<{ role: 'user'|'assistant', text: string, image?: { mimeType: string, data: string } }>}
+ */
+export function buildMessages(userPrompt, contextData = {}) {
+    const { history, repair, screenshot, ...rest } = contextData;
+    const image = screenshot ? { image: { mimeType: screenshot.mimeType, data: screenshot.data } } : {};
+    if (!history?.length) {
+        return [{ role: 'user', text: buildPromptText(userPrompt, contextData), ...image }];
+    }
+
+    const [first, ...followUps] = history;
+    const messages = [
+        { role: 'user', text: buildPromptText(first.prompt, { ...rest, screenshot }), ...image },
+        { role: 'assistant', text: formatTourTurn(first.steps) },
+    ];
+    followUps.forEach(version => {
+        messages.push({ role: 'user', text: buildFollowUpText(version) });
+        messages.push({ role: 'assistant', text: formatTourTurn(version.steps) });
+    });
+
+    let lastText = buildFollowUpText({ prompt: userPrompt });
+    if (repair) {
+        lastText += `\n\n${buildRepairInstruction(repair)}`;
+    }
+    messages.push({ role: 'user', text: lastText });
+    return messages;
+}
@@ -0,0 +1,48 @@
+// registry.js
+//
+// Every provider module exports a descriptor with the same shape:
+// {
+//   id, label, requiresApiKey, supportsImages, defaultModel, models, [defaultBaseUrl],
+//   generate({ apiKey, model, baseUrl, userPrompt, contextData, responseSchema, temperature, maxRetries, signal, onText })
+//     => Promise<{ type, data, raw }>
+// }
+// `signal` (an AbortSignal) cancels the request. When `onText` is given the provider
+// streams the response and calls it with the text generated so far.
+// `temperature` (null for the provider's default) and `maxRetries` come from the
+// generation settings on the options page; providers fall back to their own defaults.
+// Providers that declare `defaultBaseUrl` let the user point them at another endpoint.
+// Providers with `supportsImages` are sent the annotated page screenshot when the
+// user turns it on (see page-screenshot.js); buildMessages() gives it as `image`.
+// `responseSchema` (see schema.js) may be used for native structured output; results
+// are validated against it in ai-service.js either way.
+
+import { geminiProvider } from './gemini.js';
+import { openAIProvider } from './openai.js';
+import { anthropicProvider } from './anthropic.js';
+import { localProvider } from './local.js';
+import { mockProvider } from './mock-provider.js';
+
+export const DEFAULT_PROVIDER_ID = geminiProvider.id;
+
+const PROVIDERS = [geminiProvider, openAIProvider, anthropicProvider, localProvider, mockProvider];
+
+/**
+ * Looks up a provider descriptor by id.
+ * @param {string} id
+ * @returns {Object} The provider descriptor.
+ */
+export function getProvider(id) {
+    const provider = PROVIDERS.find(p => p.id === id);
+    if (!provider) {
+        throw new Error(`Unknown AI provider: ${id}`);
+    }
+    return provider;
+}
+
+/**
+ * Lists the registered providers' metadata (everything but `generate`), for settings UIs.
+ * @returns {Array<Object>}
+ */
+export function listProviders() {
+    return PROVIDERS.map(({ generate, ...meta }) => meta);
+}
@@ -0,0 +1,341 @@
+// schema.js
+//
+// JSON schemas for the provider response envelope and stored tours, and a small validator for the
+// subset of JSON Schema they use (type, enum, required, properties, items,
+// minItems, maxItems, minLength, additionalProperties).
+
+import { FORM_INPUT_TYPE, FORM_INPUT_TYPES, normalizeFormInputs } from '../form-inputs.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const POPOVER_SIDES = ['left', 'right', 'top', 'bottom'];
+export const POPOVER_ALIGNS = ['start', 'center', 'end'];
+// Popover themes bundled in themes/; "default" is the plain Driver.js look
+export const TOUR_THEMES = ['default', 'light', 'dark', 'high-contrast'];
+export const TOUR_BUTTONS = ['next', 'previous', 'close'];
+
+// Text variants of a stored tour or step by language tag (see tour-locale.js)
+const LOCALES_SCHEMA = {
+    type: 'object',
+    additionalProperties: {
+        type: 'object',
+        properties: {
+            tourName: { type: 'string', minLength: 1 },
+            title: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+        },
+    },
+};
+
+const STEP_SCHEMA = {
+    type: 'object',
+    properties: {
+        element: { type: 'string', minLength: 1, description: 'CSS selector for document.querySelector()' },
+        xpath: { type: 'string', minLength: 1 },
+        // A snapshot [ref] (numbered box on the screenshot) instead of a selector; see ai-service.js
+        ref: { type: 'integer' },
+        popover: {
+            type: 'object',
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                side: { type: 'string', enum: POPOVER_SIDES },
+                align: { type: 'string', enum: POPOVER_ALIGNS },
+            },
+            required: ['title'],
+        },
+    },
+    required: ['popover'],
+};
+
+// A step as stored: the model never writes text variants, so only stored steps carry `popover.locales`
+const STORED_STEP_SCHEMA = {
+    ...STEP_SCHEMA,
+    properties: {
+        ...STEP_SCHEMA.properties,
+        popover: {
+            ...STEP_SCHEMA.properties.popover,
+            properties: { ...STEP_SCHEMA.properties.popover.properties, locales: LOCALES_SCHEMA },
+        },
+    },
+};
+
+// How a tour is presented: Driver.js options merged over the user's defaults (see content/tour-theme.js)
+export const TOUR_CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        theme: { type: 'string', enum: TOUR_THEMES },
+        animate: { type: 'boolean' },
+        smoothScroll: { type: 'boolean' },
+        showProgress: { type: 'boolean' },
+        progressText: { type: 'string', description: 'e.g. "{{current}} of {{total}}"' },
+        showButtons: { type: 'array', items: { type: 'string', enum: TOUR_BUTTONS } },
+        nextBtnText: { type: 'string' },
+        prevBtnText: { type: 'string' },
+        doneBtnText: { type: 'string' },
+        allowClose: { type: 'boolean' },
+        allowKeyboardControl: { type: 'boolean' },
+        disableActiveInteraction: { type: 'boolean' },
+        overlayColor: { type: 'string', minLength: 1 },
+        overlayOpacity: { type: 'number', description: 'From 0 to 1' },
+        stagePadding: { type: 'number' },
+        stageRadius: { type: 'number' },
+        popoverClass: { type: 'string' },
+    },
+    additionalProperties: false,
+};
+
+const TOUR_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['tour'] },
+        data: { type: 'array', items: STEP_SCHEMA, minItems: 1 },
+        config: TOUR_CONFIG_SCHEMA,
+    },
+    required: ['type', 'data'],
+};
+
+// One `formInputs` entry: a legacy default string or a typed definition (see form-inputs.js)
+const FORM_INPUT_SCHEMA = {
+    type: ['string', 'object'],
+    properties: {
+        type: { type: 'string', enum: FORM_INPUT_TYPES },
+        label: { type: 'string' },
+        description: { type: 'string' },
+        default: { type: ['string', 'number'] },
+        required: { type: 'boolean' },
+        options: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        min: { type: ['string', 'number'] },
+        max: { type: ['string', 'number'] },
+        pattern: { type: 'string' },
+        minLength: { type: 'integer' },
+        maxLength: { type: 'integer' },
+    },
+};
+
+// A tour as stored in data/stored-steps.json or the user tour library
+export const STORED_TOUR_SCHEMA = {
+    type: 'object',
+    properties: {
+        url: { type: 'string', minLength: 1 },
+        tourName: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        match: {
+            type: 'object',
+            properties: {
+                include: { type: ['object', 'array'] },
+                exclude: { type: ['object', 'array'] },
+            },
+        },
+        formInputs: { type: 'object', additionalProperties: FORM_INPUT_SCHEMA },
+        locales: LOCALES_SCHEMA,
+        config: TOUR_CONFIG_SCHEMA,
+        steps: { type: 'array', items: STORED_STEP_SCHEMA, minItems: 1 },
+    },
+    required: ['url', 'tourName', 'steps'],
+};
+
+const ELEMENT_EXPLANATION_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['element_explanation'] },
+        data: {
+            type: 'object',
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+            },
+            required: ['title', 'description'],
+        },
+    },
+    required: ['type', 'data'],
+};
+
+const TRANSLATION_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['translation'] },
+        data: {
+            type: 'object',
+            properties: {
+                tourName: { type: 'string', minLength: 1 },
+                description: { type: 'string' },
+                steps: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            index: { type: 'integer' },
+                            title: { type: 'string', minLength: 1 },
+                            description: { type: 'string' },
+                        },
+                        required: ['index', 'title'],
+                    },
+                },
+            },
+            required: ['tourName', 'steps'],
+        },
+    },
+    required: ['type', 'data'],
+};
+
+const SELECTOR_FIXES_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', enum: ['selector_fixes'] },
+        data: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    index: { type: 'integer' },
+                    element: { type: ['string', 'null'], minLength: 1 },
+                },
+                required: ['index', 'element'],
+            },
+        },
+    },
+    required: ['type', 'data'],
+};
+
+// =============================================================================
+// Schema Selection
+// =============================================================================
+
+/**
+ * Builds the schema of a `fill_input_form` response for a specific tour.
+ * @param {Object} tour - The existing tour; its `formInputs` keys become the allowed properties.
+ *   Enum inputs are restricted to their options; other types are checked by validateFormValues().
+ * @returns {Object}
+ */
+function buildFillInputFormSchema(tour) {
+    const formInputProperties = Object.fromEntries(normalizeFormInputs(tour.formInputs).map(input => [
+        input.key,
+        input.type === FORM_INPUT_TYPE.ENUM
+            ? { type: 'string', enum: input.options }
+            : { type: 'string', description: input.type === FORM_INPUT_TYPE.DATE ? `${input.label} (YYYY-MM-DD)` : input.label },
+    ]));
+
+    return {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['fill_input_form'] },
+            data: {
+                type: 'object',
+                properties: {
+                    tourName: { type: 'string', enum: [tour.tourName] },
+                    formInput: {
+                        type: 'object',
+                        properties: formInputProperties,
+                        additionalProperties: false,
+                    },
+                },
+                required: ['tourName', 'formInput'],
+            },
+        },
+        required: ['type', 'data'],
+    };
+}
+
+/**
+ * Returns the schema the model's response must satisfy. The prompt's decision
+ * logic makes the expected type deterministic: steps to fix mean
+ * `selector_fixes`, a tour to translate means `translation`, an element to
+ * explain means `element_explanation`, an existing tour means
+ * `fill_input_form`, otherwise `tour`.
+ * @param {Object} contextData - Object containing { pageContext, tour, brokenSteps, translation, element }.
+ * @returns {Object} A JSON schema.
+ */
+export function getResponseSchema(contextData = {}) {
+    if (contextData.brokenSteps) return SELECTOR_FIXES_RESPONSE_SCHEMA;
+    if (contextData.translation) return TRANSLATION_RESPONSE_SCHEMA;
+    if (contextData.element) return ELEMENT_EXPLANATION_RESPONSE_SCHEMA;
+    return contextData.tour ? buildFillInputFormSchema(contextData.tour) : TOUR_RESPONSE_SCHEMA;
+}
+
+// =============================================================================
+// Validator
+// =============================================================================
+
+/**
+ * @param {*} value
+ * @returns {string} The JSON Schema type name of a value.
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} expected - A JSON Schema type name.
+ * @returns {boolean}
+ */
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against a schema, collecting human-readable errors.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location of `value`, used as the error prefix.
+ * @returns {Array<string>} Errors such as `data[2].popover.side: must be one of ...`; empty when valid.
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${path}: expected ${types.join(' or ')} but got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must contain at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not an allowed property`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
@@ -1,5 +1,7 @@
 // utils.mjs
 
+import { ERROR_CODE, createError } from '../errors.js';
+
 export function parseJson(text) {
   if (typeof text !== 'string') {
     return null;
@@ -25,3 +27,214 @@ export function parseJson(text) {
 
   return null;
 }
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Runs an async task, retrying with exponential backoff when it throws.
+ * A cancelled request is not retried, nor are errors marked `retryable: false`.
+ * @param {function(number):Promise<*>} task - Receives the 1-based attempt number.
+ * @param {{ maxRetries: number, baseDelayMs: number, signal?: AbortSignal }} config
+ * @returns {Promise<*>} The task's result.
+ */
+export async function withRetries(task, { maxRetries, baseDelayMs, signal }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      if (attempt >= maxRetries || signal?.aborted || err.retryable === false) throw err;
+      const delay = baseDelayMs * Math.pow(2, attempt - 1);
+      console.warn(`Provider call failed (${err.message}). Retrying in ${delay}ms...`);
+      await sleep(delay);
+      signal?.throwIfAborted();
+    }
+  }
+}
+
+/**
+ * @param {number} status - An HTTP error status.
+ * @returns {string} The matching ERROR_CODE.
+ */
+function getHttpErrorCode(status) {
+  if (status === 401 || status === 403 || status === 404) return ERROR_CODE.PROVIDER_AUTH;
+  if (status === 429) return ERROR_CODE.PROVIDER_RATE_LIMIT;
+  return ERROR_CODE.PROVIDER_HTTP;
+}
+
+/**
+ * Sends a JSON POST request and throws a coded error on network failures and error statuses.
+ * Client errors other than 408 and 429 are not retried.
+ * @param {string} url
+ * @param {Object} headers
+ * @param {Object} body
+ * @param {string} label
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Response>}
+ */
+async function post(url, headers, body, label, signal) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw createError(ERROR_CODE.NETWORK, `${label} API unreachable at ${url}: ${err.message}`);
+  }
+
+  if (!resp.ok) {
+    const errorBody = await resp.text();
+    const retryable = resp.status >= 500 || resp.status === 408 || resp.status === 429;
+    throw createError(getHttpErrorCode(resp.status), `${label} API Error ${resp.status}: ${errorBody}`, {
+      status: resp.status,
+      retryable,
+    });
+  }
+
+  return resp;
+}
+
+/**
+ * POSTs a JSON body and returns the parsed JSON response.
+ * @param {string} url
+ * @param {Object} headers - Extra request headers.
+ * @param {Object} body - Request body, serialized as JSON.
+ * @param {string} label - Provider label used in error messages.
+ * @param {{ signal?: AbortSignal }} [options] - `signal` cancels the request.
+ * @returns {Promise<Object>}
+ */
+export async function postJson(url, headers, body, label, { signal } = {}) {
+  const resp = await post(url, headers, body, label, signal);
+  return await resp.json();
+}
+
+/**
+ * POSTs a JSON body and reads the response as server-sent events, calling
+ * `onEvent` with the parsed JSON of every `data:` payload. A `[DONE]` payload
+ * (OpenAI's end marker) is skipped.
+ * @param {string} url
+ * @param {Object} headers - Extra request headers.
+ * @param {Object} body - Request body, serialized as JSON.
+ * @param {string} label - Provider label used in error messages.
+ * @param {{ signal?: AbortSignal, onEvent: function(Object):void }} options
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export async function postStream(url, headers, body, label, { signal, onEvent }) {
+  const resp = await post(url, headers, body, label, signal);
+  const reader = resp.body.pipeThrough(new TextDecoderStream()).getReader();
+
+  let buffer = '';
+  let dataLines = [];
+  const dispatch = () => {
+    const data = dataLines.join('\n');
+    dataLines = [];
+    if (!data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (e) {
+      console.warn(`Skipping unparsable ${label} stream event:`, data);
+      return;
+    }
+    onEvent(event);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += value || '';
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      if (line === '') {
+        dispatch();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+
+    if (done) {
+      dispatch();
+      return;
+    }
+  }
+}
+
+/**
+ * Extracts the complete step objects from a partially streamed
+ * `{"type": "tour", "data": [...` response, so steps can be shown as they arrive.
+ * @param {string} text - The generated text so far.
+ * @returns {Array<Object>} The steps whose JSON is complete.
+ */
+export function extractStreamedSteps(text) {
+  const start = text.search(/"data"\s*:\s*\[/);
+  if (start === -1) {
+    return [];
+  }
+
+  const steps = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = text.indexOf('[', start) + 1; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          steps.push(JSON.parse(text.slice(objectStart, i + 1)));
+        } catch (e) {
+          // Not a valid object after all; the final validation reports it
+        }
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Parses generated text into the unified `{ type, data }` provider result.
+ * The result is not validated here; `raw` keeps the generated text so a failed
+ * validation can be sent back to the model for repair.
+ * @param {string} genText - Raw text generated by the model.
+ * @returns {{ type: string, data: *, raw: string }}
+ */
+export function normalizeProviderResult(genText) {
+  if (!genText) {
+    throw createError(ERROR_CODE.INVALID_RESPONSE, "API response was successful but contained no generated text.", { raw: '' });
+  }
+
+  const result = parseJson(genText);
+
+  if (result === null) {
+    return { type: 'invalid_json', data: null, raw: genText };
+  }
+
+  // Legacy/simple array return
+  if (Array.isArray(result)) {
+    return { type: 'tour', data: result, raw: genText };
+  }
+
+  if (typeof result !== 'object') {
+    return { type: 'unknown', data: result, raw: genText };
+  }
+
+  return { ...result, raw: genText };
+}
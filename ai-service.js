@@ -1,54 +1,376 @@
 // ai-service.js
 
-import { callGemini } from './ai-providers/gemini.js';
-import { callMockProvider } from './ai-providers/mock-provider.js';
+import { mockProvider } from './ai-providers/mock-provider.js';
 import { getPredefinedTourForURL } from './ai-providers/predefined-tours.js';
+import { buildMessages } from './ai-providers/prompts.js';
+import { getResponseSchema, validateAgainstSchema } from './ai-providers/schema.js';
+import { extractStreamedSteps } from './ai-providers/utils.js';
+import { validateFormValues } from './form-inputs.js';
+import { ERROR_CODE, createError } from './errors.js';
+import { redactContextData } from './redaction.js';
+import { resolveTourLanguage } from './tour-locale.js';
 
-export async function generateTour(apiKey, prompt, pageContext, tour) {
-  // 1. Check for mock override
-  if (prompt.trim().toLowerCase().startsWith('mock:')) {
-    return await callMockProvider(prompt, pageContext);
+// How many times an invalid response is sent back to the model with its validation errors.
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Sent by testConnection(); any JSON answer proves the key, model and endpoint work.
+const CONNECTION_TEST_PROMPT = 'Connection test. Reply with {"type": "ping", "data": "ok"}.';
+
+// The user prompt of explainElement(); the element itself is in the context.
+const EXPLAIN_ELEMENT_PROMPT = 'Explain what this element is for.';
+
+// The user prompt of translateTour(); the tour and the language are in the context.
+const TRANSLATE_TOUR_PROMPT = 'Translate the text of this tour.';
+
+/**
+ * Turns streamed text into step updates: `onSteps` is called with the complete
+ * steps so far whenever their number changes.
+ * @param {function(Array<Object>):void} onSteps
+ * @returns {function(string):void} The provider's `onText` callback.
+ */
+function createStepStream(onSteps) {
+  let count = 0;
+  return (text) => {
+    const steps = extractStreamedSteps(text);
+    if (steps.length !== count) {
+      count = steps.length;
+      onSteps(steps);
+    }
+  };
+}
+
+/**
+ * Applies the privacy settings and the prompt settings to a request's context:
+ * throws DOMAIN_DENIED for pages on the denylist and redacts the page data.
+ * Tour text is asked for in the language setting, or else the page's language.
+ * @param {Object} providerConfig - See callProvider().
+ * @param {Object} contextData
+ * @returns {{ contextData: Object, restore: function(*):*, stats: Object<string, number>|null }}
+ *   `restore` puts redacted selectors back into the response.
+ */
+function prepareContextData(providerConfig, contextData) {
+  const { generation = {}, privacy } = providerConfig;
+  const redaction = redactContextData(contextData, privacy);
+  const promptSettings = {
+    template: generation.promptTemplate,
+    maxSteps: generation.maxSteps,
+    language: resolveTourLanguage(generation.language, contextData.pageContext?.lang),
+  };
+  return { ...redaction, contextData: { ...redaction.contextData, promptSettings } };
+}
+
+/**
+ * Calls the configured provider through the common provider interface and
+ * validates the response against the expected schema. Invalid responses are
+ * sent back to the model together with the validation errors before giving up.
+ * @param {{ provider: Object, apiKey: string, model: string, baseUrl: string, generation?: Object, privacy?: Object }} providerConfig
+ *   `generation` and `privacy` hold the generation and privacy settings (see settings.js); the defaults apply without them.
+ * @param {string} prompt
+ * @param {Object} contextData - Object containing { pageContext, tour }.
+ * @param {{ signal?: AbortSignal, onSteps?: function(Array<Object>):void }} [options]
+ *   `signal` cancels the request; `onSteps` streams the response and receives the tour steps as they arrive.
+ *   Only the first attempt is streamed: `onSteps` gets an empty list when that response is rejected.
+ * @returns {Promise<{ type: string, data: * }>}
+ */
+async function callProvider(providerConfig, prompt, contextData, { signal, onSteps } = {}) {
+  const { provider, apiKey, model, baseUrl, generation = {} } = providerConfig;
+  const { contextData: preparedContext, restore } = prepareContextData(providerConfig, contextData);
+  contextData = preparedContext;
+  const responseSchema = getResponseSchema(contextData);
+  const onText = onSteps && createStepStream(steps => onSteps(restore(steps)));
+  const request = {
+    apiKey, model, baseUrl, userPrompt: prompt, contextData, responseSchema, signal, onText,
+    temperature: generation.temperature,
+    maxRetries: generation.maxRetries,
+  };
+
+  console.log(`Calling provider "${provider.id}" with model "${model}"`);
+  let response = await provider.generate(request);
+
+  for (let repairAttempt = 1; ; repairAttempt++) {
+    const errors = validateAgainstSchema(response, responseSchema);
+    if (errors.length === 0) {
+      return restore(response);
+    }
+
+    if (repairAttempt > MAX_REPAIR_ATTEMPTS) {
+      throw createError(ERROR_CODE.INVALID_RESPONSE, `Model response failed validation: ${errors.join('; ')}`, {
+        raw: response.raw ?? JSON.stringify(response),
+      });
+    }
+
+    console.warn(`Model response failed validation (repair attempt ${repairAttempt}):`, errors);
+    const repair = { errors, previousOutput: response.raw ?? JSON.stringify(response) };
+    // The streamed steps came from the rejected response; repairs are not streamed
+    if (repairAttempt === 1) onSteps?.([]);
+    response = await provider.generate({ ...request, onText: undefined, contextData: { ...contextData, repair } });
   }
+}
+
+/**
+ * Drops the steps beyond the `maxSteps` generation setting, for models that ignore it.
+ * @param {Array<Object>} steps
+ * @param {Object} providerConfig
+ * @returns {Array<Object>}
+ */
+function limitSteps(steps, providerConfig) {
+  const maxSteps = providerConfig.generation?.maxSteps;
+  if (!maxSteps || steps.length <= maxSteps) {
+    return steps;
+  }
+  console.warn(`Model returned ${steps.length} steps; keeping the first ${maxSteps}.`);
+  return steps.slice(0, maxSteps);
+}
+
+/**
+ * Replaces the snapshot [ref] numbers that steps name their target by (the
+ * numbered boxes of the screenshot) with the nodes' selectors. A selector given
+ * alongside wins; unknown refs leave the step floating.
+ * @param {Array<Object>} steps
+ * @param {Object} pageContext - The context the refs were taken from, before redaction.
+ * @returns {Array<Object>}
+ */
+function resolveStepRefs(steps, pageContext) {
+  const nodes = new Map((pageContext?.snapshot?.nodes || []).map(node => [node.ref, node]));
+  return steps.map(({ ref, ...step }) => {
+    if (ref === undefined || step.element || step.xpath) return step;
+    const node = nodes.get(ref);
+    if (!node) {
+      console.warn(`Step "${step.popover?.title}" names unknown snapshot ref ${ref}; showing it as a floating popover.`);
+      return step;
+    }
+    return { ...step, element: node.selector };
+  });
+}
 
-  // 2. Call Gemini with unified interface
-  const response = await callGemini(apiKey, prompt, { pageContext, tour });
+/**
+ * @param {string} prompt
+ * @returns {boolean} True when the prompt forces the offline mock provider.
+ */
+function isMockPrompt(prompt) {
+  return prompt.trim().toLowerCase().startsWith('mock:');
+}
+
+/**
+ * Generates a tour for the page, or fills the inputs of the matching predefined tour.
+ * @param {Object} providerConfig
+ * @param {string} prompt
+ * @param {Object} pageContext
+ * @param {Object|null} tour - The best matching predefined tour.
+ * @param {{ signal?: AbortSignal, onSteps?: function(Array<Object>):void, screenshot?: Object }} [options] - See callProvider().
+ *   `screenshot` (from page-screenshot.js) is sent along for providers with `supportsImages`,
+ *   unless redaction is on.
+ * @returns {Promise<{ type: 'tour', steps: Array<Object>, config?: Object }|Object>} The new tour, with
+ *   the presentation `config` the model gave, if any; or the fill_input_form response.
+ */
+export async function generateTour(providerConfig, prompt, pageContext, tour, options = {}) {
+  let { screenshot, ...callOptions } = options;
+
+  // 1. Check for mock override (the mock always answers with a new tour)
+  if (isMockPrompt(prompt)) {
+    providerConfig = { ...providerConfig, provider: mockProvider };
+    tour = null;
+  }
+  if (!providerConfig.provider.supportsImages) {
+    screenshot = null;
+  }
 
-  // 3. Validate and return data
-  if (response.type === 'tour' && Array.isArray(response.data)) {
-    return response.data;
+  // 2. Call the active provider with unified interface; streamed steps get their refs resolved too
+  const { onSteps } = callOptions;
+  if (onSteps) {
+    callOptions.onSteps = steps => onSteps(resolveStepRefs(steps, pageContext));
+  }
+  const contextData = screenshot ? { pageContext, tour, screenshot } : { pageContext, tour };
+  const response = await callProvider(providerConfig, prompt, contextData, callOptions);
+
+  // 3. Return validated data
+  if (response.type === 'tour') {
+    return { type: 'tour', steps: limitSteps(resolveStepRefs(response.data, pageContext), providerConfig), config: response.config };
   }
 
   if (response.type === 'fill_input_form') {
     return response;
   }
 
-  // Fallback if AI returned something else or legacy format
-  if (Array.isArray(response)) return response;
-  if (response.data && Array.isArray(response.data)) return response.data;
+  throw createError(ERROR_CODE.UNEXPECTED_RESPONSE, `Expected tour steps but got type: ${response.type}`, { raw: response.raw });
+}
+
+/**
+ * Revises a generated tour from a follow-up prompt. The earlier versions are
+ * sent as a multi-turn conversation so the model keeps what it already built.
+ * @param {Object} providerConfig
+ * @param {string} prompt - The follow-up, e.g. "make step 3 about the search bar".
+ * @param {Object} pageContext - The context the first version was generated from.
+ * @param {Array<Object>} history - Versions `{ prompt, steps, edited }`, first generation first.
+ * @param {{ signal?: AbortSignal, onSteps?: function(Array<Object>):void }} [options] - See callProvider().
+ * @returns {Promise<{ steps: Array<Object>, config?: Object }>} The complete revised steps, and the
+ *   presentation `config` when the follow-up changed it.
+ */
+export async function refineTour(providerConfig, prompt, pageContext, history, options = {}) {
+  if (isMockPrompt(history[0].prompt) || isMockPrompt(prompt)) {
+    providerConfig = { ...providerConfig, provider: mockProvider };
+  }
+
+  const response = await callProvider(providerConfig, prompt, { pageContext, history }, options);
+  if (response.type === 'tour') {
+    return { steps: limitSteps(response.data, providerConfig), config: response.config };
+  }
+
+  throw createError(ERROR_CODE.UNEXPECTED_RESPONSE, `Expected tour steps but got type: ${response.type}`, { raw: response.raw });
+}
 
-  throw new Error(`Expected tour steps but got type: ${response.type}`);
+/**
+ * Checks that a provider answers with the given key, model and endpoint, with a
+ * minimal request and no retries.
+ * @param {{ provider: Object, apiKey: string, model: string, baseUrl: string }} providerConfig
+ * @returns {Promise<{ latencyMs: number }>}
+ */
+export async function testConnection(providerConfig) {
+  const { provider, apiKey, model, baseUrl } = providerConfig;
+  const startedAt = Date.now();
+  await provider.generate({
+    apiKey, model, baseUrl,
+    userPrompt: CONNECTION_TEST_PROMPT,
+    contextData: {},
+    maxRetries: 1,
+  });
+  return { latencyMs: Date.now() - startedAt };
 }
 
-export async function getPredefinedTours(url) {
-  return await getPredefinedTourForURL(url);
+/**
+ * @param {string} url
+ * @param {string} [language] - Tours with text variants for this language are shown in it.
+ * @returns {Promise<Array<Object>>} The tours matching the URL, most specific first.
+ */
+export async function getPredefinedTours(url, language) {
+  return await getPredefinedTourForURL(url, language);
 }
 
-export async function fillFormInputs(apiKey, prompt, tour) {
-  const response = await callGemini(apiKey, prompt, { tour });
+/**
+ * Extracts a tour's form input values from a sentence ("fill from sentence").
+ * The values are checked against the tour's typed `formInputs`.
+ * @param {Object} providerConfig
+ * @param {string} prompt
+ * @param {Object} tour - A tour with `formInputs`.
+ * @returns {Promise<{ values: Object<string, string>, errors: Object<string, string> }>}
+ *   Valid values and validation errors, by input key. Inputs the sentence does not mention are absent.
+ */
+export async function fillFormInputs(providerConfig, prompt, tour) {
+  const response = await callProvider(providerConfig, prompt, { tour });
 
-  // If AI returns extracted inputs (type="fill_input_form")
-  if (response.type === 'fill_input_form' && response.data && response.data.formInput) {
-    return response.data.formInput;
+  // The response is validated as type="fill_input_form"
+  if (response.type === 'fill_input_form') {
+    return validateFormValues(tour.formInputs, response.data.formInput, { partial: true });
   }
 
-  // Fallback for legacy/simple object return
-  if (response.type === 'inputs' && typeof response.data === 'object') {
-    return response.data;
+  throw createError(ERROR_CODE.UNEXPECTED_RESPONSE, `Expected form inputs but got type: ${response.type}`, { raw: response.raw });
+}
+
+/**
+ * Asks the active provider for replacement selectors for steps that did not
+ * resolve on the live page, and applies them. Steps the model maps to `null`
+ * become floating (element-less) steps.
+ * @param {Object} providerConfig
+ * @param {string} prompt - The prompt the tour was generated from.
+ * @param {Object} pageContext
+ * @param {Array<Object>} steps - The current tour steps.
+ * @param {Array<Object>} brokenSteps - Verification results from the content script.
+ * @param {{ signal?: AbortSignal }} [options] - `signal` cancels the request.
+ * @returns {Promise<Array<Object>>} The steps with fixed selectors.
+ */
+export async function fixStepSelectors(providerConfig, prompt, pageContext, steps, brokenSteps, { signal } = {}) {
+  if (isMockPrompt(prompt)) {
+    providerConfig = { ...providerConfig, provider: mockProvider };
   }
 
-  // Fallback
-  if (response.data) return response.data;
-  if (!response.type && typeof response === 'object') return response;
+  const response = await callProvider(providerConfig, prompt, { pageContext, steps, brokenSteps }, { signal });
+  const brokenIndexes = new Set(brokenSteps.map(b => b.index));
+
+  const fixedSteps = steps.map(step => ({ ...step }));
+  response.data
+    .filter(fix => brokenIndexes.has(fix.index))
+    .forEach(fix => {
+      const step = fixedSteps[fix.index];
+      delete step.xpath;
+      delete step.selector;
+      delete step.locators;
+      if (fix.element) {
+        step.element = fix.element;
+      } else {
+        delete step.element;
+      }
+    });
+
+  return fixedSteps;
+}
+
+/**
+ * Explains a right-clicked element as a single-step tour whose popover is
+ * anchored to that element by its locators.
+ * @param {Object} providerConfig
+ * @param {Object} pageContext - Context of the section around the element.
+ * @param {Object} element - The element from the content script: a snapshot node plus `tag`, `text`, `locators` and `xpath`.
+ * @returns {Promise<Array<Object>>} The one-step tour.
+ */
+export async function explainElement(providerConfig, pageContext, element) {
+  const { locators, xpath, ...described } = element;
+  const response = await callProvider(providerConfig, EXPLAIN_ELEMENT_PROMPT, { pageContext, element: described });
+  if (response.type !== 'element_explanation') {
+    throw createError(ERROR_CODE.UNEXPECTED_RESPONSE, `Expected an element explanation but got type: ${response.type}`, { raw: response.raw });
+  }
+
+  const { title, description } = response.data;
+  return [{ element: element.selector, locators, xpath, popover: { title, description, side: 'bottom', align: 'start' } }];
+}
+
+/**
+ * Builds exactly what generateTour() would send to the provider, without sending it.
+ * @param {Object} providerConfig
+ * @param {string} prompt
+ * @param {Object} pageContext
+ * @param {Object|null} tour - The best matching predefined tour.
+ * @param {{ screenshot?: boolean }} [options] - Whether a screenshot would be attached; the
+ *   prompt text then describes it, but no image is captured.
+ * @returns {{ messages: Array<{ role: string, text: string }>, redactions: Object<string, number> }}
+ *   `redactions` counts what was masked, by kind; null when redaction is turned off.
+ */
+export function previewRequest(providerConfig, prompt, pageContext, tour, { screenshot = false } = {}) {
+  if (isMockPrompt(prompt)) {
+    tour = null;
+  }
+  const { contextData, stats } = prepareContextData(providerConfig, screenshot ? { pageContext, tour, screenshot: {} } : { pageContext, tour });
+  const messages = buildMessages(prompt, contextData).map(({ role, text }) => ({ role, text }));
+  return { messages, redactions: stats };
+}
+
+/**
+ * Translates the popover text of a tour through the active provider. Selectors,
+ * actions and every other step field are left untouched.
+ * @param {Object} providerConfig
+ * @param {Object} tour - `{ tourName, description, steps }`.
+ * @param {string} language - A language tag or name.
+ * @param {{ signal?: AbortSignal }} [options] - `signal` cancels the request.
+ * @returns {Promise<Object>} The tour with translated name, description and popover text.
+ */
+export async function translateTour(providerConfig, tour, language, { signal } = {}) {
+  const response = await callProvider(providerConfig, TRANSLATE_TOUR_PROMPT, { translation: { tour, language } }, { signal });
+  if (response.type !== 'translation') {
+    throw createError(ERROR_CODE.UNEXPECTED_RESPONSE, `Expected a translation but got type: ${response.type}`, { raw: response.raw });
+  }
 
-  throw new Error(`Expected form inputs but got type: ${response.type}`);
+  const { tourName, description, steps } = response.data;
+  const byIndex = new Map(steps.map(step => [step.index, step]));
+  return {
+    ...tour,
+    tourName,
+    description: description || tour.description,
+    steps: tour.steps.map((step, index) => {
+      const translated = byIndex.get(index);
+      if (!translated || !step.popover) return step;
+      return {
+        ...step,
+        popover: { ...step.popover, title: translated.title, description: translated.description ?? step.popover.description },
+      };
+    }),
+  };
 }
@@ -1,4 +1,23 @@
-import { generateTour, getPredefinedTours, fillFormInputs } from './ai-service.js';
+import { generateTour, refineTour, getPredefinedTours, fillFormInputs, fixStepSelectors, testConnection, explainElement, previewRequest, translateTour } from './ai-service.js';
+import { getProvider } from './ai-providers/registry.js';
+import { validateFormValues, getDefaultFormValues, applyFormValues, normalizeFormInputs } from './form-inputs.js';
+import { getActiveProviderConfig, getGenerationSettings, getAnalyticsCollectorUrl, getPrivacySettings } from './settings.js';
+import { resolveTourLanguage, describeLanguage } from './tour-locale.js';
+import { saveUserTour, rememberGeneratedTour, getLastGeneratedTour, TOUR_SOURCE } from './tour-library.js';
+import {
+    startTourSession,
+    getTourSession,
+    updateTourSession,
+    endTourSession,
+    resolveResumeIndex,
+    getStepsWithInputs,
+} from './tour-session.js';
+import { startConversation, getConversation, addVersion, clearConversation, getVersionChain } from './tour-history.js';
+import { fingerprintPage, getCachedTour, cacheTour, invalidateCachedTour } from './tour-cache.js';
+import { startTourRun, recordTourEvent, TOUR_EVENT } from './tour-analytics.js';
+import { ERROR_CODE, createError, toErrorResponse, describeError } from './errors.js';
+import { isDomainDenied, redactPageUrl } from './redaction.js';
+import { captureAnnotatedScreenshot } from './page-screenshot.js';
 
 
 // =============================================================================
@@ -7,13 +26,48 @@ import { generateTour, getPredefinedTours, fillFormInputs } from './ai-service.j
 
 const MESSAGE_TYPE = {
     GENERATE_TOUR: 'GENERATE_TOUR',
+    PREVIEW_REQUEST: 'PREVIEW_REQUEST',
+    REFINE_TOUR: 'REFINE_TOUR',
+    TRANSLATE_TOUR: 'TRANSLATE_TOUR',
     PREDEFINED_TOURS: 'PREDEFINED_TOURS',
     PREDEFINED_TOURS_RESULT: 'PREDEFINED_TOURS_RESULT',
+    START_PREDEFINED_TOUR: 'START_PREDEFINED_TOUR',
     REQUEST_PAGE_CONTEXT: 'REQUEST_PAGE_CONTEXT',
     GEMINI_RESULT: 'GEMINI_RESULT',
     FILL_FORM_INPUTS: 'FILL_FORM_INPUTS',
+    VERIFY_STEPS: 'VERIFY_STEPS',
+    START_RECORDING: 'START_RECORDING',
+    SAVE_RECORDED_TOUR: 'SAVE_RECORDED_TOUR',
+    TOUR_STARTED: 'TOUR_STARTED',
+    TOUR_PROGRESS: 'TOUR_PROGRESS',
+    TOUR_ENDED: 'TOUR_ENDED',
+    TOUR_EVENT: 'TOUR_EVENT',
+    GET_TOUR_SESSION: 'GET_TOUR_SESSION',
+    RESUME_TOUR: 'RESUME_TOUR',
+    STEP_ELEMENT_PICKED: 'STEP_ELEMENT_PICKED',
+    GENERATION_PROGRESS: 'GENERATION_PROGRESS',
+    CANCEL_GENERATION: 'CANCEL_GENERATION',
+    TEST_CONNECTION: 'TEST_CONNECTION',
+    REQUEST_ELEMENT_CONTEXT: 'REQUEST_ELEMENT_CONTEXT',
+    SHOW_NOTICE: 'SHOW_NOTICE',
 };
 
+// Progress stages reported to the popup while a tour is generated or refined
+const GENERATION_STAGE = {
+    READING_PAGE: 'reading_page',
+    GENERATING: 'generating',
+    VERIFYING: 'verifying',
+};
+
+// Verification statuses (see content.js STEP_STATUS) that let a step run as-is
+const RUNNABLE_STEP_STATUSES = ['resolved', 'floating'];
+
+// How many "fix these selectors" round-trips to attempt before giving up on a step
+const MAX_SELECTOR_FIX_ROUNDS = 2;
+
+// In-flight generations by the popup's request id, so they can be cancelled
+const activeGenerations = new Map();
+
 // Error check for when the content script hasn't loaded yet
 const isMissingReceiverError = (error) =>
     error && (error.message.includes('Could not establish connection') || error.message.includes('Receiving end does not exist'));
@@ -27,7 +81,7 @@ async function getActiveTab() {
     console.log("Active tabs:", tabs);
     const tab = tabs?.[0];
     if (!tab || !tab.id) {
-        throw new Error('No active tab found or tab is invalid.');
+        throw createError(ERROR_CODE.NO_ACTIVE_TAB, 'No active tab found or tab is invalid.');
     }
     return tab;
 }
@@ -45,16 +99,21 @@ async function sendMessageWithInjectionRetry(tabId, message) {
 
     } catch (initialError) {
         if (!isMissingReceiverError(initialError)) {
-            throw new Error(`SendMessage failed: ${initialError.message}`);
+            throw createError(ERROR_CODE.CONTENT_SCRIPT_UNAVAILABLE, `SendMessage failed: ${initialError.message}`);
         }
 
         console.log(`Content script missing in Tab ${tabId}. Attempting injection...`);
 
-        // 2. Attempt injection (requires "scripting" permission)
+        // 2. Attempt injection of the manifest's content scripts and styles (requires "scripting" permission)
         try {
+            const [contentScript] = chrome.runtime.getManifest().content_scripts;
+            await chrome.scripting.insertCSS({
+                target: { tabId },
+                files: contentScript.css
+            });
             await chrome.scripting.executeScript({
                 target: { tabId },
-                files: ['content.js']
+                files: contentScript.js
             });
             console.log('Injection successful. Retrying message...');
 
@@ -62,132 +121,574 @@ async function sendMessageWithInjectionRetry(tabId, message) {
             return await chrome.tabs.sendMessage(tabId, message);
 
         } catch (injectionError) {
-            throw new Error(`Failed to inject content script or retry message failed: ${injectionError.message}`);
+            throw createError(ERROR_CODE.CONTENT_SCRIPT_UNAVAILABLE, `Failed to inject content script or retry message failed: ${injectionError.message}`);
+        }
+    }
+}
+
+/**
+ * The language predefined tours are shown in on a tab: the language setting,
+ * or else the page's lang attribute, or else the browser's.
+ * @param {number} tabId
+ * @returns {Promise<string>} A language tag.
+ */
+async function getTabTourLanguage(tabId) {
+    const { language } = await getGenerationSettings();
+    if (language) return language;
+
+    let pageLang = '';
+    try {
+        const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func: () => document.documentElement.lang });
+        pageLang = injection?.result || '';
+    } catch (err) {
+        console.warn(`Could not read the page language of Tab ${tabId}:`, err);
+    }
+    return resolveTourLanguage('', pageLang);
+}
+
+/**
+ * Removes the target of the given steps so Driver.js shows them as floating popovers.
+ * @param {Array<Object>} steps
+ * @param {Array<Object>} unresolved - Verification results of the steps to convert.
+ * @returns {Array<Object>}
+ */
+function toFloatingSteps(steps, unresolved) {
+    const indexes = new Set(unresolved.map(r => r.index));
+    return steps.map((step, index) => {
+        if (!indexes.has(index)) return step;
+        const { element, xpath, selector, locators, ...floatingStep } = step;
+        return floatingStep;
+    });
+}
+
+/**
+ * Stores the locator fallback chain computed by the content script on every resolved step.
+ * @param {Array<Object>} steps
+ * @param {Array<Object>} report - Verification results from the content script.
+ * @returns {Array<Object>}
+ */
+function withResolvedLocators(steps, report) {
+    return steps.map((step, index) => (report[index]?.locators ? { ...step, locators: report[index].locators } : step));
+}
+
+/**
+ * Resolves generated steps against the live page and asks the AI to fix the
+ * selectors that are missing, ambiguous or hidden. Steps still unresolved after
+ * MAX_SELECTOR_FIX_ROUNDS are explicitly turned into floating steps, so every
+ * returned step either resolves or is floating.
+ * @param {number} tabId
+ * @param {Object} providerConfig
+ * @param {string} prompt
+ * @param {Object} pageContext
+ * @param {Array<Object>} steps
+ * @param {AbortSignal} [signal] - Cancels the selector fix requests.
+ * @returns {Promise<Array<Object>>} Steps that are safe to run.
+ */
+async function verifyAndFixSelectors(tabId, providerConfig, prompt, pageContext, steps, signal) {
+    let currentSteps = steps;
+
+    for (let round = 0; ; round++) {
+        signal?.throwIfAborted();
+        const verifyResp = await sendMessageWithInjectionRetry(tabId, { type: MESSAGE_TYPE.VERIFY_STEPS, steps: currentSteps });
+        const report = verifyResp?.report || [];
+        const unresolved = report.filter(r => !RUNNABLE_STEP_STATUSES.includes(r.status));
+
+        if (unresolved.length === 0) {
+            return withResolvedLocators(currentSteps, report);
         }
+
+        if (round >= MAX_SELECTOR_FIX_ROUNDS) {
+            console.warn('Selectors still unresolved, showing these steps as floating:', unresolved);
+            return withResolvedLocators(toFloatingSteps(currentSteps, unresolved), report);
+        }
+
+        console.log(`Asking AI to fix ${unresolved.length} unresolved selector(s):`, unresolved);
+        currentSteps = await fixStepSelectors(providerConfig, prompt, pageContext, currentSteps, unresolved, { signal });
     }
 }
 
 /**
- * Retrieves the Gemini API key from local storage (Promisified).
- * @returns {Promise<string>} The API key.
+ * The settings a generated tour depends on besides the page and prompt, so changing
+ * the tour language or the model does not replay a tour cached under other ones.
+ * @param {Object} providerConfig
+ * @param {Object} pageContext
+ * @returns {{ language: string, provider: string, model: string }}
  */
-async function getApiKey() {
-    const data = await chrome.storage.local.get(['geminiApiKey']);
-    const apiKey = data?.geminiApiKey;
-    if (!apiKey) {
-        throw new Error('No Gemini API key saved in extension storage. Please set it in the options.');
+function getTourCacheVariant(providerConfig, pageContext) {
+    return {
+        language: resolveTourLanguage(providerConfig.generation.language, pageContext.lang),
+        provider: providerConfig.provider.id,
+        model: providerConfig.model,
+    };
+}
+
+/**
+ * Replays a cached tour for the page and prompt when its steps still resolve on the live page.
+ * A cached tour with steps that no longer resolve is dropped from the cache.
+ * @param {number} tabId
+ * @param {string} prompt
+ * @param {Object} pageContext
+ * @param {Object} variant - From getTourCacheVariant().
+ * @returns {Promise<{ steps: Array<Object>, config?: Object, createdAt: number }|null>} The verified steps, or null on a miss.
+ */
+async function getReplayableCachedTour(tabId, prompt, pageContext, variant) {
+    const cached = await getCachedTour(pageContext.url, prompt, variant, fingerprintPage(pageContext));
+    if (!cached) return null;
+
+    const verifyResp = await sendMessageWithInjectionRetry(tabId, { type: MESSAGE_TYPE.VERIFY_STEPS, steps: cached.steps });
+    const report = verifyResp?.report || [];
+    if (report.length !== cached.steps.length || report.some(r => !RUNNABLE_STEP_STATUSES.includes(r.status))) {
+        console.log('Cached tour no longer resolves on the page, regenerating.');
+        await invalidateCachedTour(pageContext.url, prompt, variant);
+        return null;
     }
-    return apiKey;
+
+    return { steps: withResolvedLocators(cached.steps, report), config: cached.config, createdAt: cached.createdAt };
+}
+
+/**
+ * Registers a cancellable generation for a popup request. Progress is sent to
+ * the popup as GENERATION_PROGRESS messages carrying the request id; requests
+ * without an id (e.g. from content scripts) only get the abort signal.
+ * @param {string} [requestId]
+ * @returns {{ signal: AbortSignal, report: function(string, Array<Object>=):void, end: function():void }}
+ */
+function beginGeneration(requestId) {
+    const controller = new AbortController();
+    if (requestId) activeGenerations.set(requestId, controller);
+
+    return {
+        signal: controller.signal,
+        report: (stage, steps) => {
+            if (!requestId) return;
+            // Rejects when the popup has been closed; the generation carries on regardless
+            chrome.runtime.sendMessage({ type: MESSAGE_TYPE.GENERATION_PROGRESS, requestId, stage, steps })
+                .catch(() => {});
+        },
+        end: () => activeGenerations.delete(requestId),
+    };
+}
+
+/**
+ * Aborts the generation started by a popup request.
+ * @param {Object} message - `{ requestId }`.
+ * @param {function(*):void} sendResponse
+ */
+function handleCancelGeneration(message, sendResponse) {
+    const controller = activeGenerations.get(message.requestId);
+    controller?.abort();
+    sendResponse({ ok: true, cancelled: !!controller });
+}
+
+/**
+ * Wraps generated steps in the stored tour schema so they can be edited and saved to the library.
+ * The `prompt` is kept for regeneration and dropped when the tour is saved.
+ * @param {string} prompt
+ * @param {Object} pageContext
+ * @param {Array<Object>} steps
+ * @param {{ cachedAt?: number, config?: Object }} [options] - `cachedAt`: when the steps were generated, if
+ *   they were replayed from the tour cache. `config`: the presentation the model gave, if any.
+ * @returns {Object}
+ */
+function buildGeneratedTour(prompt, pageContext, steps, { cachedAt, config } = {}) {
+    const url = new URL(pageContext.url);
+    const name = prompt.trim().replace(/\s+/g, ' ');
+    return {
+        url: `${url.origin}${url.pathname}`,
+        tourName: name.length > 60 ? `${name.slice(0, 57)}...` : name,
+        description: `Generated from: "${prompt.trim()}"`,
+        prompt: prompt.trim(),
+        ...(cachedAt ? { cachedAt } : {}),
+        ...(config ? { config } : {}),
+        steps,
+    };
 }
 
 // =============================================================================
 // Message Handler: GENERATE_TOUR
 // =============================================================================
 
+/**
+ * The predefined tour whose inputs a prompt may fill; none for section tours.
+ * @param {Object} pageContext
+ * @param {Object} generation - The generation settings; their `language` picks the tour's text variant.
+ * @returns {Promise<Object|null>}
+ */
+async function findPredefinedTour(pageContext, generation) {
+    if (!pageContext.url || pageContext.section) {
+        return null;
+    }
+    try {
+        // Tours are ranked by how specifically their match rules fit the URL
+        const tours = await getPredefinedTours(pageContext.url, resolveTourLanguage(generation.language, pageContext.lang));
+        if (tours && tours.length > 0) {
+            console.log("Best matching predefined tour:", tours[0].tourName, tours[0].matchParams,
+                "candidates:", tours.map(t => t.tourName));
+            return tours[0];
+        }
+    } catch (err) {
+        console.warn("Failed to fetch predefined tours:", err);
+    }
+    return null;
+}
+
+/**
+ * Whether a new tour for the page is generated with a screenshot: the setting is
+ * on, redaction is off (the image would show what it masks), the provider takes
+ * images, the tab is the visible one of its window and the page is not on the
+ * privacy denylist. Filling a predefined tour needs none.
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} providerConfig - From getActiveProviderConfig().
+ * @param {Object} pageContext
+ * @param {Object|null} predefinedTour
+ * @returns {boolean}
+ */
+function shouldSendScreenshot(tab, providerConfig, pageContext, predefinedTour) {
+    return !!providerConfig.generation.screenshot
+        && !providerConfig.privacy.redact
+        && !!providerConfig.provider.supportsImages
+        && tab.active && !predefinedTour && !pageContext.section
+        && !isDomainDenied(pageContext.url, providerConfig.privacy.deniedDomains);
+}
+
+/**
+ * Captures the annotated screenshot for a generation. Best effort: without it
+ * the tour is generated from the page snapshot alone.
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} pageContext
+ * @returns {Promise<Object|null>} See captureAnnotatedScreenshot().
+ */
+async function captureGenerationScreenshot(tab, pageContext) {
+    try {
+        const screenshot = await captureAnnotatedScreenshot(tab, pageContext);
+        console.log(`Captured screenshot with ${screenshot.refs.length} numbered elements.`);
+        return screenshot;
+    } catch (err) {
+        console.warn('Capturing the screenshot failed; generating from the page snapshot only:', err);
+        return null;
+    }
+}
+
 /**
  * Handles the 'GENERATE_TOUR' request, orchestrating context fetching, AI calling, and result rendering.
- * @param {Object} message - The incoming message containing the user prompt.
+ * With `preview`, a generated tour is returned to the popup's step editor instead of being run;
+ * inputs filled into a predefined tour still run right away.
+ * With a `requestId`, progress and the steps streamed so far are reported to the popup,
+ * and CANCEL_GENERATION with the same id aborts the request.
+ * A tour generated earlier for the same page and prompt is replayed from the tour cache
+ * unless `bypassCache` is set ("regenerate anyway").
+ * With `scope: 'section'` ("Tour this section"), only the right-clicked section of the page
+ * is sent as context and predefined tours are not considered.
+ * A tour that runs right away replies with the content script's step `diagnostics`;
+ * failures reply with an error `code` (see errors.js).
+ * @param {Object} message - The incoming message containing the user prompt, `preview`, `requestId`, `bypassCache` and `scope`.
  * @param {function(*):void} sendResponse - The callback to send the final response.
+ * @param {chrome.tabs.Tab} [senderTab] - The tab to tour, when it is not the active one's popup asking.
  */
-async function handleGenerateTour(message, sendResponse) {
+async function handleGenerateTour(message, sendResponse, senderTab) {
+    const generation = beginGeneration(message.requestId);
+    const { signal } = generation;
+
     try {
-        // 1. Setup: Get active tab and API Key
-        const tab = await getActiveTab();
+        // 1. Setup: Get the tab (the requesting one for the page's prompt bar) and provider configuration
+        const tab = senderTab || await getActiveTab();
         const tabId = tab.id;
-        const apiKey = await getApiKey();
+        const providerConfig = await getActiveProviderConfig();
 
         // 2. Get Page Context from Content Script (with injection retry)
-        const contextMsg = { type: MESSAGE_TYPE.REQUEST_PAGE_CONTEXT, prompt: message.prompt };
+        generation.report(GENERATION_STAGE.READING_PAGE);
+        const contextMsg = {
+            type: MESSAGE_TYPE.REQUEST_PAGE_CONTEXT,
+            prompt: message.prompt,
+            tokenBudget: providerConfig.generation.contextTokenBudget,
+            scope: message.scope,
+        };
         const pageContextResp = await sendMessageWithInjectionRetry(tabId, contextMsg);
         const pageContext = pageContextResp?.pageContext || {};
 
         // 3. Check for Predefined Tours
-        let predefinedTour = null;
-        if (pageContext.url) {
+        const predefinedTour = await findPredefinedTour(pageContext, providerConfig.generation);
+
+        // 4. Replay a tour generated earlier for the same page and prompt
+        const cacheVariant = getTourCacheVariant(providerConfig, pageContext);
+        let cached = null;
+        if (!message.bypassCache && pageContext.url) {
             try {
-                const tours = await getPredefinedTours(pageContext.url);
-                if (tours && tours.length > 0) {
-                    predefinedTour = tours[0];
-                    console.log("Found predefined tour for context:", predefinedTour.tourName);
-                }
+                cached = await getReplayableCachedTour(tabId, message.prompt, pageContext, cacheVariant);
             } catch (err) {
-                console.warn("Failed to fetch predefined tours:", err);
+                console.warn('Tour cache lookup failed:', err);
             }
         }
 
-        // 4. Call the AI Service
+        // 5. Call the AI Service
         let apiResp;
+        let tourName = predefinedTour?.tourName || '';
+        let tourConfig = null;
+        let generatedTour = null;
         try {
-            apiResp = await generateTour(apiKey, message.prompt, pageContext, predefinedTour);
+            signal.throwIfAborted();
+            if (cached) {
+                console.log('Replaying cached tour generated at', new Date(cached.createdAt).toISOString());
+                apiResp = cached.steps;
+                tourConfig = cached.config;
+            } else {
+                const screenshot = shouldSendScreenshot(tab, providerConfig, pageContext, predefinedTour)
+                    ? await captureGenerationScreenshot(tab, pageContext)
+                    : null;
+                generation.report(GENERATION_STAGE.GENERATING, []);
+                apiResp = await generateTour(providerConfig, message.prompt, pageContext, predefinedTour, {
+                    signal,
+                    onSteps: (steps) => generation.report(GENERATION_STAGE.GENERATING, steps),
+                    screenshot,
+                });
+                if (apiResp.type === 'tour') {
+                    tourConfig = apiResp.config;
+                    apiResp = apiResp.steps;
+                }
+            }
 
             // Handle fill_input_form response
             if (apiResp && apiResp.type === 'fill_input_form' && predefinedTour) {
                 console.log("AI chose to fill inputs for existing tour:", predefinedTour.tourName);
-                const formInput = apiResp.data.formInput || {};
+                const { values, errors } = validateFormValues(predefinedTour.formInputs, apiResp.data.formInput, { partial: true });
+                if (Object.keys(errors).length) {
+                    console.warn('Ignoring extracted form values that do not match their declared types:', errors);
+                }
 
-                // Merge inputs into steps
-                apiResp = predefinedTour.steps.map(step => {
-                    if (step.inputKey && formInput[step.inputKey]) {
-                        return { ...step, inputValue: formInput[step.inputKey] };
+                // Merge inputs into steps, falling back to the declared defaults
+                apiResp = applyFormValues(predefinedTour.steps, { ...getDefaultFormValues(predefinedTour.formInputs), ...values });
+                tourConfig = predefinedTour.config;
+            } else if (Array.isArray(apiResp)) {
+                // Generated tours are checked against the live DOM before they run (cached ones
+                // already were); predefined tours are authored for pages that may still have to load.
+                if (!cached) {
+                    generation.report(GENERATION_STAGE.VERIFYING, apiResp);
+                    apiResp = await verifyAndFixSelectors(tabId, providerConfig, message.prompt, pageContext, apiResp, signal);
+                    signal.throwIfAborted();
+                    if (pageContext.url) {
+                        await cacheTour(pageContext.url, message.prompt, cacheVariant, fingerprintPage(pageContext), apiResp, tourConfig)
+                            .catch(err => console.warn('Caching the generated tour failed:', err));
                     }
-                    return step;
-                });
+                }
+                generatedTour = buildGeneratedTour(message.prompt, pageContext, apiResp, { cachedAt: cached?.createdAt, config: tourConfig });
+                tourName = generatedTour.tourName;
+                await rememberGeneratedTour(tabId, generatedTour);
+                await startConversation(tabId, { prompt: message.prompt, pageContext, steps: apiResp });
             }
 
         } catch (err) {
+            if (signal.aborted) throw err;
             console.error('Background: AI service call failed.', err);
-            throw new Error(`AI generation failed: ${err.message || err}`);
+            throw createError(err.code || ERROR_CODE.UNKNOWN, `AI generation failed: ${err.message || err}`, { raw: err.raw });
         }
 
-        // 5. Send Structured Result to Content Script for Rendering
-        const renderMsg = { type: MESSAGE_TYPE.GEMINI_RESULT, result: apiResp };
-        await sendMessageWithInjectionRetry(tabId, renderMsg);
+        signal.throwIfAborted();
+        if (message.preview && generatedTour) {
+            sendResponse({ ok: true, tour: generatedTour });
+            return;
+        }
 
-        // 5. Final success response
-        sendResponse({ ok: true });
+        // 6. Send Structured Result to Content Script for Rendering
+        const renderMsg = { type: MESSAGE_TYPE.GEMINI_RESULT, result: apiResp, tourName, config: tourConfig };
+        const renderResp = await sendMessageWithInjectionRetry(tabId, renderMsg);
+        if (renderResp?.ok === false) {
+            throw createError(renderResp.code || ERROR_CODE.RENDER_FAILED, renderResp.error);
+        }
+
+        // 7. Final success response, with how each step resolved on the page
+        sendResponse({ ok: true, diagnostics: renderResp?.diagnostics });
 
     } catch (error) {
+        if (signal.aborted) {
+            console.log('GENERATE_TOUR cancelled.');
+            sendResponse(toErrorResponse(createError(ERROR_CODE.CANCELLED, 'Generation cancelled.')));
+            return;
+        }
+
         // Centralized error handling
         console.error('GENERATE_TOUR process failed:', error);
-        sendResponse({
-            ok: false,
-            error: error.message || 'An unknown error occurred during tour generation.'
+        sendResponse(toErrorResponse(error, 'An unknown error occurred during tour generation.'));
+    } finally {
+        generation.end();
+    }
+}
+
+/**
+ * Shows what GENERATE_TOUR would send to the provider for a prompt on the active tab,
+ * after redaction, without sending it. Replies with the `messages`, the `redactions` counts
+ * and whether a `screenshot` would be attached (it is not captured for the preview).
+ * @param {{ prompt: string }} message
+ */
+async function handlePreviewRequest(message, sendResponse) {
+    try {
+        const tab = await getActiveTab();
+        const providerConfig = await getActiveProviderConfig();
+        const pageContextResp = await sendMessageWithInjectionRetry(tab.id, {
+            type: MESSAGE_TYPE.REQUEST_PAGE_CONTEXT,
+            prompt: message.prompt,
+            tokenBudget: providerConfig.generation.contextTokenBudget,
         });
+        const pageContext = pageContextResp?.pageContext || {};
+        const predefinedTour = await findPredefinedTour(pageContext, providerConfig.generation);
+
+        const screenshot = shouldSendScreenshot(tab, providerConfig, pageContext, predefinedTour);
+        const { messages, redactions } = previewRequest(providerConfig, message.prompt, pageContext, predefinedTour, { screenshot });
+        sendResponse({ ok: true, provider: providerConfig.provider.label, model: providerConfig.model, messages, redactions, screenshot });
+    } catch (error) {
+        console.error('PREVIEW_REQUEST process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to build the request preview.'));
     }
 }
 
+/**
+ * "Fill from sentence": extracts a tour's typed form input values from a prompt.
+ * Responds with the valid values, per-input validation errors and the steps with the values merged.
+ */
 async function handleFillFormInputs(message, sendResponse) {
     try {
-        const apiKey = await getApiKey();
+        const providerConfig = await getActiveProviderConfig();
         const { prompt, tour } = message;
 
-        const result = await fillFormInputs(apiKey, prompt, tour);
-        console.log("AI result for inputs:", result);
+        const { values, errors } = await fillFormInputs(providerConfig, prompt, tour);
+        console.log("AI result for inputs:", values, errors);
 
-        let updatedSteps;
+        sendResponse({ ok: true, values, errors, steps: applyFormValues(tour.steps, values) });
 
-        if (Array.isArray(result)) {
-            // AI returned the full steps with inputs filled
-            updatedSteps = result;
-        } else {
-            // Fallback: AI returned just the key-value pairs
-            const extractedValues = result;
-            updatedSteps = tour.steps.map(step => {
-                if (step.inputKey && extractedValues[step.inputKey]) {
-                    return { ...step, inputValue: extractedValues[step.inputKey] };
-                }
-                return step;
-            });
+    } catch (error) {
+        console.error('FILL_FORM_INPUTS process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to fill form inputs.'));
+    }
+}
+
+// =============================================================================
+// Message Handler: REFINE_TOUR
+// =============================================================================
+
+/**
+ * Records hand edits made in the step editor since the current version as a
+ * version of their own, so the next model request works on them.
+ * @param {number} tabId
+ * @param {Object} conversation - From getConversation().
+ * @param {Object|null} draft - The tab's generated tour, from getLastGeneratedTour().
+ * @returns {Promise<Object>} The conversation, updated when a version was added.
+ */
+async function recordDraftEdits(tabId, conversation, draft) {
+    const current = getVersionChain(conversation).pop();
+    if (!draft || JSON.stringify(draft.steps) === JSON.stringify(current.steps)) {
+        return conversation;
+    }
+    await addVersion(tabId, { prompt: null, steps: draft.steps, edited: true });
+    return await getConversation(tabId);
+}
+
+/**
+ * Revises the tab's generated tour from a follow-up prompt ("make step 3 about
+ * the search bar") and responds with the new draft. The conversation continues
+ * from the current version (see tour-history.js); hand edits made in the step
+ * editor since then are recorded as a version first, so the model revises them.
+ * Progress and cancellation work as for GENERATE_TOUR.
+ * @param {Object} message - `{ prompt, requestId }`.
+ * @param {function(*):void} sendResponse
+ */
+async function handleRefineTour(message, sendResponse) {
+    const generation = beginGeneration(message.requestId);
+    const { signal } = generation;
+
+    try {
+        const tab = await getActiveTab();
+        const tabId = tab.id;
+        const providerConfig = await getActiveProviderConfig();
+
+        let conversation = await getConversation(tabId);
+        if (!conversation) {
+            throw createError(ERROR_CODE.NO_STEPS, 'Generate a tour on this page before refining it.');
         }
 
-        sendResponse({ ok: true, steps: updatedSteps });
+        const draft = await getLastGeneratedTour(tabId);
+        conversation = await recordDraftEdits(tabId, conversation, draft);
+
+        const { pageContext } = conversation;
+        const history = getVersionChain(conversation);
+        let steps;
+        let config;
+        try {
+            generation.report(GENERATION_STAGE.GENERATING, []);
+            ({ steps, config } = await refineTour(providerConfig, message.prompt, pageContext, history, {
+                signal,
+                onSteps: (partialSteps) => generation.report(GENERATION_STAGE.GENERATING, partialSteps),
+            }));
+            generation.report(GENERATION_STAGE.VERIFYING, steps);
+            steps = await verifyAndFixSelectors(tabId, providerConfig, message.prompt, pageContext, steps, signal);
+            signal.throwIfAborted();
+        } catch (err) {
+            if (signal.aborted) throw err;
+            console.error('Background: AI service call failed.', err);
+            throw createError(err.code || ERROR_CODE.UNKNOWN, `AI refinement failed: ${err.message || err}`, { raw: err.raw });
+        }
+
+        await addVersion(tabId, { prompt: message.prompt, steps });
+        // A refined tour is no longer the cached one
+        const { cachedAt, ...baseTour } = draft || buildGeneratedTour(history[0].prompt, pageContext, steps);
+        // The model only returns a config when the follow-up is about the tour's presentation
+        const tour = { ...baseTour, ...(config ? { config } : {}), steps };
+        await rememberGeneratedTour(tabId, tour);
+        sendResponse({ ok: true, tour });
 
     } catch (error) {
-        console.error('FILL_FORM_INPUTS process failed:', error);
-        sendResponse({
-            ok: false,
-            error: error.message || 'Failed to fill form inputs.'
-        });
+        if (signal.aborted) {
+            console.log('REFINE_TOUR cancelled.');
+            sendResponse(toErrorResponse(createError(ERROR_CODE.CANCELLED, 'Refinement cancelled.')));
+            return;
+        }
+
+        console.error('REFINE_TOUR process failed:', error);
+        sendResponse(toErrorResponse(error, 'An unknown error occurred during tour refinement.'));
+    } finally {
+        generation.end();
+    }
+}
+
+// =============================================================================
+// Message Handler: TRANSLATE_TOUR
+// =============================================================================
+
+/**
+ * "Translate this tour": rewrites the popover text of a tour in another language
+ * and leaves its selectors and actions as they are. With `message.tour` (from
+ * the tour library) the translated tour is only returned. Without it, the tab's
+ * generated tour is translated and becomes its next version, as a refinement would.
+ * @param {{ language?: string, tour?: Object }} message - `language` is a tag or a
+ *   language name; it defaults to the tour language of the active tab.
+ * @param {function(*):void} sendResponse
+ */
+async function handleTranslateTour(message, sendResponse) {
+    try {
+        const providerConfig = await getActiveProviderConfig();
+        if (message.tour) {
+            const language = message.language || resolveTourLanguage(providerConfig.generation.language);
+            sendResponse({ ok: true, tour: await translateTour(providerConfig, message.tour, language) });
+            return;
+        }
+
+        const tab = await getActiveTab();
+        const draft = await getLastGeneratedTour(tab.id);
+        if (!draft) {
+            throw createError(ERROR_CODE.NO_STEPS, 'Generate a tour on this page before translating it.');
+        }
+        const language = message.language || await getTabTourLanguage(tab.id);
+        const { cachedAt, ...tour } = await translateTour(providerConfig, draft, language);
+
+        const conversation = await getConversation(tab.id);
+        if (conversation) {
+            await recordDraftEdits(tab.id, conversation, draft);
+            await addVersion(tab.id, { prompt: `Translate the tour into ${describeLanguage(language)}`, steps: tour.steps });
+        }
+        await rememberGeneratedTour(tab.id, tour);
+        sendResponse({ ok: true, tour });
+
+    } catch (error) {
+        console.error('TRANSLATE_TOUR process failed:', error);
+        sendResponse(toErrorResponse(error, 'An unknown error occurred during tour translation.'));
     }
 }
 
@@ -198,35 +699,513 @@ async function handleFillFormInputs(message, sendResponse) {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Only process the one remaining message type
     if (message?.type === MESSAGE_TYPE.GENERATE_TOUR) {
-        handleGenerateTour(message, sendResponse);
+        handleGenerateTour(message, sendResponse, sender.tab);
         // Return true to indicate the response will be sent asynchronously
         return true;
     }
 
+    if (message?.type === MESSAGE_TYPE.PREVIEW_REQUEST) {
+        handlePreviewRequest(message, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.REFINE_TOUR) {
+        handleRefineTour(message, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.TRANSLATE_TOUR) {
+        handleTranslateTour(message, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.CANCEL_GENERATION) {
+        handleCancelGeneration(message, sendResponse);
+        return false;
+    }
+
+    if (message?.type === MESSAGE_TYPE.TEST_CONNECTION) {
+        handleTestConnection(message, sendResponse);
+        return true;
+    }
+
     if (message?.type === MESSAGE_TYPE.PREDEFINED_TOURS) {
-        handlePredefinedTours(message, sendResponse);
+        handlePredefinedTours(message, sender, sendResponse);
         // Return true to indicate the response will be sent asynchronously
         return true;
     }
 
+    if (message?.type === MESSAGE_TYPE.START_PREDEFINED_TOUR) {
+        handleStartPredefinedTour(message, sender, sendResponse);
+        return true;
+    }
+
     if (message?.type === MESSAGE_TYPE.FILL_FORM_INPUTS) {
         handleFillFormInputs(message, sendResponse);
         return true;
     }
 
+    if (message?.type === MESSAGE_TYPE.START_RECORDING) {
+        handleStartRecording(message, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.SAVE_RECORDED_TOUR) {
+        handleSaveRecordedTour(message, sendResponse);
+        return true;
+    }
+
+    if ([MESSAGE_TYPE.TOUR_STARTED, MESSAGE_TYPE.TOUR_PROGRESS, MESSAGE_TYPE.TOUR_ENDED].includes(message?.type)) {
+        handleTourSessionUpdate(message, sender, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.TOUR_EVENT) {
+        handleTourEvent(message, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.STEP_ELEMENT_PICKED) {
+        handleStepElementPicked(message, sender, sendResponse);
+        return true;
+    }
+
+    if (message?.type === MESSAGE_TYPE.GET_TOUR_SESSION) {
+        handleGetTourSession(message, sender, sendResponse);
+        return true;
+    }
+
     return false;
 });
 
-async function handlePredefinedTours(message, sendResponse) {
+/**
+ * Lists the tours matching `message.url`, in the language of the requesting tab
+ * (the prompt bar's) or the active one (the popup's).
+ */
+async function handlePredefinedTours(message, sender, sendResponse) {
     try {
-        const resp = await getPredefinedTours(message.url);
+        const tab = sender.tab || await getActiveTab();
+        const resp = await getPredefinedTours(message.url, await getTabTourLanguage(tab.id));
         sendResponse({ ok: true, tours: resp });
     } catch (error) {
         // Centralized error handling
         console.error('PREDEFINED_TOURS process failed:', error);
-        sendResponse({
-            ok: false,
-            error: error.message || 'An unknown error occurred during tour generation.'
+        sendResponse(toErrorResponse(error, 'An unknown error occurred during tour generation.'));
+    }
+}
+
+/**
+ * Starts a predefined tour on the requesting tab (the prompt bar's) with its default inputs.
+ * @param {{ tourName: string }} message - The name of a tour listed by PREDEFINED_TOURS.
+ */
+async function handleStartPredefinedTour(message, sender, sendResponse) {
+    try {
+        const tab = sender.tab;
+        const tours = await getPredefinedTours(tab.url, await getTabTourLanguage(tab.id)) || [];
+        const tour = tours.find(candidate => candidate.tourName === message.tourName);
+        if (!tour) {
+            throw createError(ERROR_CODE.NO_STEPS, `"${message.tourName}" is no longer available on this page.`);
+        }
+
+        const { steps, missing } = applyDefaultFormInputs(tour);
+        if (missing.length) {
+            throw createError(ERROR_CODE.MISSING_INPUT, `"${tour.tourName}" needs ${missing.join(', ')}. Describe them in the prompt, or start it from the popup.`);
+        }
+        await runStepsOnTab(tab.id, steps, tour.tourName, tour.config);
+        sendResponse({ ok: true });
+    } catch (error) {
+        console.error('START_PREDEFINED_TOUR process failed:', error);
+        sendResponse(toErrorResponse(error, 'The tour could not be started on this page.'));
+    }
+}
+
+/**
+ * Sends a minimal request with the key, model and endpoint entered on the options page,
+ * before they are saved.
+ * @param {{ providerId: string, apiKey: string, model: string, baseUrl: string }} message
+ */
+async function handleTestConnection(message, sendResponse) {
+    try {
+        const provider = getProvider(message.providerId);
+        if (provider.requiresApiKey && !message.apiKey) {
+            throw createError(ERROR_CODE.MISSING_API_KEY, `Enter your ${provider.label} API key first.`);
+        }
+        const { latencyMs } = await testConnection({
+            provider,
+            apiKey: message.apiKey,
+            model: message.model || provider.defaultModel,
+            baseUrl: message.baseUrl || provider.defaultBaseUrl || '',
         });
+        sendResponse({ ok: true, latencyMs });
+    } catch (error) {
+        console.error('TEST_CONNECTION process failed:', error);
+        sendResponse(toErrorResponse(error, 'The connection test failed.'));
+    }
+}
+
+/**
+ * Starts the in-page recorder on the active tab (injecting the content scripts if needed).
+ */
+async function handleStartRecording(message, sendResponse) {
+    try {
+        const tab = await getActiveTab();
+        await sendMessageWithInjectionRetry(tab.id, { type: MESSAGE_TYPE.START_RECORDING });
+        sendResponse({ ok: true });
+    } catch (error) {
+        console.error('START_RECORDING process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to start the tour recorder.'));
+    }
+}
+
+/**
+ * Stores a tour authored with the recorder in the user's tour library.
+ */
+async function handleSaveRecordedTour(message, sendResponse) {
+    try {
+        const tour = await saveUserTour(message.tour, TOUR_SOURCE.RECORDED);
+        console.log("Saved recorded tour:", tour);
+        sendResponse({ ok: true, tour });
+    } catch (error) {
+        console.error('SAVE_RECORDED_TOUR process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to save the recorded tour.'));
+    }
+}
+
+/**
+ * Points a step of the tab's draft tour at the element the user picked on the page
+ * (the popup is closed while picking, so the draft is updated here).
+ */
+async function handleStepElementPicked(message, sender, sendResponse) {
+    try {
+        const tabId = sender.tab?.id;
+        const draft = tabId ? await getLastGeneratedTour(tabId) : null;
+        const step = draft?.steps[message.stepIndex];
+        if (!step) {
+            throw new Error(`No draft tour step ${message.stepIndex + 1} to update.`);
+        }
+
+        const { element, selector, ...rest } = step;
+        draft.steps[message.stepIndex] = { ...rest, locators: message.locators, xpath: message.xpath };
+        await rememberGeneratedTour(tabId, draft);
+        sendResponse({ ok: true });
+    } catch (error) {
+        console.error('STEP_ELEMENT_PICKED process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to update the step element.'));
+    }
+}
+
+// =============================================================================
+// Multi-page Tours
+// =============================================================================
+
+/**
+ * Records tour progress reported by a tab's content script (see tour-session.js).
+ */
+async function handleTourSessionUpdate(message, sender, sendResponse) {
+    try {
+        const tabId = sender.tab?.id;
+        if (!tabId) {
+            throw new Error('Tour progress must come from a tab.');
+        }
+
+        if (message.type === MESSAGE_TYPE.TOUR_STARTED) {
+            // Queued before the session is stored, so the run exists before its first step event
+            const run = { runId: message.runId, tourName: message.tourName, url: sender.tab.url, steps: message.steps };
+            startTourRun(run)
+                .then(() => sendToAnalyticsCollector({ runId: run.runId, tourName: run.tourName, url: run.url, event: TOUR_EVENT.STARTED }))
+                .catch(error => console.warn('Failed to record the tour run:', error));
+            await startTourSession(tabId, {
+                tourName: message.tourName, config: message.config, steps: message.steps, stepIndex: message.stepIndex, url: sender.tab.url, runId: message.runId,
+            });
+        } else if (message.type === MESSAGE_TYPE.TOUR_PROGRESS) {
+            await updateTourSession(tabId, { stepIndex: message.stepIndex, inputs: message.inputs });
+        } else {
+            await endTourSession(tabId);
+        }
+        sendResponse({ ok: true });
+    } catch (error) {
+        console.error(`${message.type} process failed:`, error);
+        sendResponse(toErrorResponse(error, 'Failed to update tour progress.'));
+    }
+}
+
+/**
+ * Finds the step at which the tab's running tour continues on the page at `url`.
+ * @param {number} tabId
+ * @param {string} url
+ * @returns {Promise<{ tourName: string, config: Object|null, steps: Array<Object>, stepIndex: number, runId: string }|null>}
+ */
+async function getResumableTour(tabId, url) {
+    const session = await getTourSession(tabId);
+    if (!session) return null;
+
+    const stepIndex = resolveResumeIndex(session, url);
+    if (stepIndex === -1) {
+        console.log(`Tour "${session.tourName}" has no step for ${url}; keeping it for later pages.`);
+        return null;
+    }
+
+    await updateTourSession(tabId, { stepIndex });
+    return { tourName: session.tourName, config: session.config, steps: getStepsWithInputs(session), stepIndex, runId: session.runId };
+}
+
+/**
+ * Answers a content script that just loaded: resume the tab's tour, if it has one for this page.
+ */
+async function handleGetTourSession(message, sender, sendResponse) {
+    try {
+        const tour = sender.tab?.id ? await getResumableTour(sender.tab.id, message.url || sender.tab.url) : null;
+        sendResponse({ ok: true, tour });
+    } catch (error) {
+        console.error('GET_TOUR_SESSION process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to read tour progress.'));
+    }
+}
+
+/**
+ * Same-document navigations (history.pushState, fragment changes) do not reload
+ * the content script, so the page is told where the tour continues.
+ * @param {{ tabId: number, frameId: number, url: string }} details
+ */
+async function handleRouteChange(details) {
+    if (details.frameId !== 0) return;
+    try {
+        const tour = await getResumableTour(details.tabId, details.url);
+        if (tour) {
+            await chrome.tabs.sendMessage(details.tabId, { type: MESSAGE_TYPE.RESUME_TOUR, tour });
+        }
+    } catch (error) {
+        console.warn('Failed to resume tour after route change:', error);
     }
 }
+
+chrome.webNavigation.onHistoryStateUpdated.addListener(handleRouteChange);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(handleRouteChange);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    endTourSession(tabId).catch(error => console.warn('Failed to clear tour progress:', error));
+    clearConversation(tabId).catch(error => console.warn('Failed to clear tour history:', error));
+});
+
+// =============================================================================
+// Tour Analytics
+// =============================================================================
+
+/**
+ * Records a step view or the end of a tour run for tour analytics (see tour-analytics.js).
+ * @param {{ runId: string, event: string, stepIndex?: number, direction?: string, broken?: boolean }} message
+ */
+async function handleTourEvent(message, sendResponse) {
+    try {
+        const run = await recordTourEvent(message.runId, message);
+        if (run) {
+            sendToAnalyticsCollector({
+                runId: run.id,
+                tourName: run.tourName,
+                url: run.url,
+                event: message.event,
+                stepIndex: message.stepIndex,
+                stepTitle: run.stepTitles[message.stepIndex],
+                direction: message.direction,
+                broken: message.broken,
+            });
+        }
+        sendResponse({ ok: true });
+    } catch (error) {
+        console.error('TOUR_EVENT process failed:', error);
+        sendResponse(toErrorResponse(error, 'Failed to record the tour event.'));
+    }
+}
+
+/**
+ * POSTs an analytics event to the collector endpoint set on the options page, if any.
+ * Events of pages on the privacy denylist are not sent, and the page URL is sent
+ * without its query string and fragment (see redactPageUrl()).
+ * Delivery is best-effort: failures are logged and the event stays stored locally.
+ * @param {Object} event - With the page `url`.
+ */
+async function sendToAnalyticsCollector(event) {
+    try {
+        const collectorUrl = await getAnalyticsCollectorUrl();
+        if (!collectorUrl) return;
+        const privacy = await getPrivacySettings();
+        if (isDomainDenied(event.url, privacy.deniedDomains)) return;
+        const response = await fetch(collectorUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...event, url: redactPageUrl(event.url, privacy), timestamp: new Date().toISOString() }),
+        });
+        if (!response.ok) {
+            console.warn(`Analytics collector answered ${response.status}.`);
+        }
+    } catch (error) {
+        console.warn('Failed to send the event to the analytics collector:', error);
+    }
+}
+
+// =============================================================================
+// Keyboard Shortcuts and Context Menu
+// =============================================================================
+
+// Commands declared in manifest.json; "_execute_action" opens the popup by itself
+const COMMAND = {
+    RUN_PREDEFINED_TOUR: 'run-predefined-tour',
+    REPEAT_LAST_TOUR: 'repeat-last-tour',
+};
+
+const CONTEXT_MENU = {
+    EXPLAIN_ELEMENT: 'explain-element',
+    TOUR_SECTION: 'tour-section',
+};
+
+// What "Tour this section" asks for; the section itself is in the page context
+const SECTION_TOUR_PROMPT = 'Give me a tour of this section of the page.';
+
+/**
+ * Shows a notice on the page. Shortcuts and context-menu items have no popup
+ * to report progress and errors in.
+ * @param {number} tabId
+ * @param {string} text
+ * @param {{ isError?: boolean }} [options]
+ */
+async function notifyTab(tabId, text, { isError = false } = {}) {
+    try {
+        await sendMessageWithInjectionRetry(tabId, { type: MESSAGE_TYPE.SHOW_NOTICE, text, isError });
+    } catch (error) {
+        console.warn('Failed to show a notice on the page:', error);
+    }
+}
+
+/**
+ * Renders a tour on the tab.
+ * @param {number} tabId
+ * @param {Array<Object>} steps
+ * @param {string} tourName
+ * @param {Object} [config] - The tour's presentation; the user's defaults apply without one.
+ */
+async function runStepsOnTab(tabId, steps, tourName, config) {
+    const response = await sendMessageWithInjectionRetry(tabId, { type: MESSAGE_TYPE.GEMINI_RESULT, result: steps, tourName, config });
+    if (response?.ok === false) {
+        throw createError(response.code || ERROR_CODE.RENDER_FAILED, response.error);
+    }
+}
+
+/**
+ * Fills a predefined tour's inputs with their declared defaults, validated like
+ * the popup's form.
+ * @param {Object} tour
+ * @returns {{ steps: Array<Object>, missing: Array<string> }} The steps, and the labels of
+ *   inputs whose default is missing or invalid.
+ */
+function applyDefaultFormInputs(tour) {
+    const { values, errors } = validateFormValues(tour.formInputs, getDefaultFormValues(tour.formInputs));
+    const missing = normalizeFormInputs(tour.formInputs).filter(input => errors[input.key]).map(input => input.label);
+    return { steps: applyFormValues(tour.steps, values), missing };
+}
+
+/**
+ * Starts the best-matching predefined tour with its default inputs. Tours
+ * whose required inputs have no default are left to the popup's form.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function runBestPredefinedTour(tab) {
+    const [tour] = await getPredefinedTours(tab.url, await getTabTourLanguage(tab.id)) || [];
+    if (!tour) {
+        await notifyTab(tab.id, 'No predefined tour matches this page.');
+        return;
+    }
+
+    const { steps, missing } = applyDefaultFormInputs(tour);
+    if (missing.length) {
+        await notifyTab(tab.id, `"${tour.tourName}" needs ${missing.join(', ')}. Start it from the popup.`);
+        return;
+    }
+
+    await runStepsOnTab(tab.id, steps, tour.tourName, tour.config);
+}
+
+/**
+ * Runs the tour last generated on the tab again, including edits made in the popup.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function repeatLastGeneratedTour(tab) {
+    const tour = await getLastGeneratedTour(tab.id);
+    if (!tour) {
+        await notifyTab(tab.id, 'No tour has been generated in this tab yet.');
+        return;
+    }
+    await runStepsOnTab(tab.id, tour.steps, tour.tourName, tour.config);
+}
+
+/**
+ * "Explain this element": a single-step tour anchored to the right-clicked element.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function explainClickedElement(tab) {
+    const providerConfig = await getActiveProviderConfig();
+    const response = await sendMessageWithInjectionRetry(tab.id, {
+        type: MESSAGE_TYPE.REQUEST_ELEMENT_CONTEXT,
+        tokenBudget: providerConfig.generation.contextTokenBudget,
+    });
+    if (response?.ok === false) {
+        throw createError(response.code || ERROR_CODE.UNKNOWN, response.error);
+    }
+
+    await notifyTab(tab.id, 'Explaining the element…');
+    const steps = await explainElement(providerConfig, response.pageContext, response.element);
+    await runStepsOnTab(tab.id, steps, steps[0].popover.title);
+}
+
+/**
+ * "Tour this section": generates a tour of the right-clicked section, like the popup's Generate.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function tourClickedSection(tab) {
+    await notifyTab(tab.id, 'Generating a tour of this section…');
+    const message = { prompt: SECTION_TOUR_PROMPT, scope: 'section', bypassCache: true };
+    const response = await new Promise(resolve => handleGenerateTour(message, resolve, tab));
+    if (!response.ok) {
+        throw createError(response.code, response.error);
+    }
+}
+
+/**
+ * Runs a shortcut or context-menu action, reporting failures on the page.
+ * @param {chrome.tabs.Tab} tab
+ * @param {function(chrome.tabs.Tab):Promise<void>} action
+ */
+async function runEntryPoint(tab, action) {
+    try {
+        await action(tab);
+    } catch (error) {
+        console.error(`${action.name} failed:`, error);
+        const { fix } = describeError(error.code);
+        await notifyTab(tab.id, fix ? `${error.message} ${fix}` : error.message, { isError: true });
+    }
+}
+
+chrome.runtime.onInstalled.addListener(async () => {
+    // Menus persist across service worker restarts; re-create them on install and update only
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({ id: CONTEXT_MENU.EXPLAIN_ELEMENT, title: 'Explain this element', contexts: ['all'] });
+    chrome.contextMenus.create({ id: CONTEXT_MENU.TOUR_SECTION, title: 'Tour this section', contexts: ['all'] });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id) return;
+    if (info.menuItemId === CONTEXT_MENU.EXPLAIN_ELEMENT) {
+        runEntryPoint(tab, explainClickedElement);
+    } else if (info.menuItemId === CONTEXT_MENU.TOUR_SECTION) {
+        runEntryPoint(tab, tourClickedSection);
+    }
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    tab = tab?.id ? tab : await getActiveTab().catch(() => null);
+    if (!tab) return;
+    if (command === COMMAND.RUN_PREDEFINED_TOUR) {
+        runEntryPoint(tab, runBestPredefinedTour);
+    } else if (command === COMMAND.REPEAT_LAST_TOUR) {
+        runEntryPoint(tab, repeatLastGeneratedTour);
+    }
+});
@@ -7,64 +7,269 @@
 const MESSAGE_TYPE = {
     REQUEST_PAGE_CONTEXT: 'REQUEST_PAGE_CONTEXT',
     GEMINI_RESULT: 'GEMINI_RESULT',
+    VERIFY_STEPS: 'VERIFY_STEPS',
+    START_RECORDING: 'START_RECORDING',
+    SAVE_RECORDED_TOUR: 'SAVE_RECORDED_TOUR',
+    TOUR_STARTED: 'TOUR_STARTED',
+    TOUR_PROGRESS: 'TOUR_PROGRESS',
+    TOUR_ENDED: 'TOUR_ENDED',
+    TOUR_EVENT: 'TOUR_EVENT',
+    GET_TOUR_SESSION: 'GET_TOUR_SESSION',
+    RESUME_TOUR: 'RESUME_TOUR',
+    HIGHLIGHT_STEP: 'HIGHLIGHT_STEP',
+    PICK_ELEMENT: 'PICK_ELEMENT',
+    STEP_ELEMENT_PICKED: 'STEP_ELEMENT_PICKED',
+    GENERATE_TOUR: 'GENERATE_TOUR',
+    CANCEL_GENERATION: 'CANCEL_GENERATION',
+    PREDEFINED_TOURS: 'PREDEFINED_TOURS',
+    START_PREDEFINED_TOUR: 'START_PREDEFINED_TOUR',
+    REQUEST_ELEMENT_CONTEXT: 'REQUEST_ELEMENT_CONTEXT',
+    SHOW_NOTICE: 'SHOW_NOTICE',
 };
 
-// Tags of elements to include in the context snippet sent to Gemini
-const CONTEXT_ELEMENT_TAGS = ['A', 'BUTTON'];
+// Error codes of the message protocol (see errors.js)
+const ERROR_CODE = {
+    NO_STEPS: 'NO_STEPS',
+    RENDER_FAILED: 'RENDER_FAILED',
+    NO_TARGET_ELEMENT: 'NO_TARGET_ELEMENT',
+    CANCELLED: 'CANCELLED',
+};
+
+// Containers that make up a "section" for the "Tour this section" context-menu item
+const SECTION_SELECTOR = [
+    'section', 'article', 'form', 'fieldset', 'nav', 'aside', 'main', 'header', 'footer', 'dialog',
+    '[role="region"]', '[role="navigation"]', '[role="form"]', '[role="search"]', '[role="dialog"]', '[role="complementary"]',
+].join(',');
+
+// Longest element text sent to the model by "Explain this element"
+const MAX_ELEMENT_TEXT_LENGTH = 300;
+
+// The element last right-clicked, for the context-menu items
+let contextMenuTarget = null;
+
+// How long a resumed step waits for its element after a navigation
+const RESUME_ELEMENT_TIMEOUT_MS = 5000;
+
+// The tour running on this page: { driverObj, replaced, runId, lastIndex }
+let activeTour = null;
+
+// The Driver.js instance showing the step the popup's editor highlights (not a tour run)
+let previewDriver = null;
+
+// Analytics events reported to the background script (see tour-analytics.js)
+const TOUR_EVENT = {
+    STEP_VIEWED: 'step_viewed',
+    COMPLETED: 'completed',
+    CLOSED: 'closed',
+};
+
+// Outcome of resolving a step's target against the live DOM
+const STEP_STATUS = {
+    RESOLVED: 'resolved',   // Exactly one visible match
+    FLOATING: 'floating',   // No target declared; shown as a centered popover
+    MISSING: 'missing',     // No match
+    AMBIGUOUS: 'ambiguous', // Several matches
+    HIDDEN: 'hidden',       // Single match that is not rendered/visible
+    INVALID: 'invalid',     // Selector or XPath does not parse
+};
+
+// What running the tour does with a step, reported to the popup after a run
+const STEP_OUTCOME = {
+    HIGHLIGHTED: 'highlighted', // Its element is highlighted
+    FLOATING: 'floating',       // No target declared; a centered popover by design
+    WARNING: 'warning',         // An element is highlighted, but possibly not the intended one
+    SKIPPED: 'skipped',         // Its element was not found; shown as a centered popover instead
+    PENDING: 'pending',         // Not on the page yet; expected after earlier steps' actions or navigation
+};
 
 // =============================================================================
-// DOM Utility Functions
+// Page Context
 // =============================================================================
 
 /**
- * Removes all <svg> tags and their contents from an HTML string.
- * @param {string} htmlString - The input HTML string.
- * @returns {string} The HTML string without SVGs.
+ * Gathers a structured snapshot of the current page (see content/page-snapshot.js).
+ * @param {{ tokenBudget?: number, root?: Element }} [options]
+ *   With `root`, only that subtree is snapshotted and described as the page's `section`.
+ * @returns {{ title: string, url: string, lang: string, viewport: Object, snapshot: Object|null, timestamp: number,
+ *   section?: { selector: string, name: string } }}
+ *   `viewport` is the scroll position and size in CSS pixels, to place snapshot boxes on a screenshot.
  */
-function removeSvgFromHtml(htmlString) {
-    // Regex to find and remove the entire <svg> tag and its contents globally
-    const svgRegex = /<svg[^>]*>[\s\S]*?<\/svg>/g;
-    return htmlString.replace(svgRegex, '');
-}
+function getPageContext(options = {}) {
+    const context = {
+        title: document.title,
+        url: location.href,
+        lang: document.documentElement.lang || '',
+        viewport: { scrollX: window.scrollX, scrollY: window.scrollY, width: window.innerWidth, height: window.innerHeight },
+        snapshot: null,
+        timestamp: Date.now(),
+    };
 
-/**
- * Gathers a concise snapshot of the current page's context (interactive elements).
- * @returns {{ title: string, url: string, textSnippet: string | null, timestamp: number }}
- */
-function getPageContext() {
     try {
-        const targetElements = Array.from(
-            document.body.querySelectorAll(CONTEXT_ELEMENT_TAGS.join(','))
-        );
-
-        // Map the selected elements to their outerHTML, clean SVGs, and join them
-        const textSnippet = targetElements
-            .map(x => removeSvgFromHtml(x.outerHTML))
-            .join('\n')
-            .trim();
-
-        return {
-            title: document.title,
-            url: location.href,
-            textSnippet: textSnippet || null, // send null if no interactive elements found
-            timestamp: Date.now(),
-        };
+        if (options.root) {
+            context.section = describeSection(options.root);
+        }
+        context.snapshot = buildPageSnapshot({ root: options.root, tokenBudget: options.tokenBudget });
     } catch (err) {
-        console.error('Error generating page context:', err);
         // Provide minimal context even on failure
-        return {
-            title: document.title,
-            url: location.href,
-            textSnippet: null,
-            timestamp: Date.now(),
-        };
+        console.error('Error generating page context:', err);
+    }
+
+    return context;
+}
+
+/**
+ * @param {Element} section
+ * @returns {{ selector: string, name: string }} The section's selector and its label or first heading.
+ */
+function describeSection(section) {
+    const heading = section.querySelector('h1, h2, h3, h4, h5, h6, legend');
+    return {
+        selector: buildStableSelector(section),
+        name: getAccessibleName(section, getElementRole(section)) || normalizeText(heading?.textContent || '', 80),
+    };
+}
+
+/**
+ * The section the user right-clicked in: the container of the selected text or
+ * of the clicked element, see SECTION_SELECTOR.
+ * @returns {Element|null}
+ */
+function getContextMenuSection() {
+    const selection = window.getSelection();
+    let anchor = selection && !selection.isCollapsed ? selection.getRangeAt(0).commonAncestorContainer : contextMenuTarget;
+    if (anchor?.nodeType === Node.TEXT_NODE) anchor = anchor.parentElement;
+    if (!anchor?.isConnected) return null;
+    return anchor.closest(SECTION_SELECTOR) || anchor;
+}
+
+/**
+ * Describes the right-clicked element for "Explain this element", with the
+ * locators its popover is anchored by.
+ * @param {Element} element
+ * @returns {Object} A snapshot node (see describeElement()) plus `tag`, `text`, `locators` and `xpath`.
+ */
+function describeTargetElement(element) {
+    return {
+        ...describeElement(element),
+        tag: element.tagName.toLowerCase(),
+        text: normalizeText(element.innerText ?? element.textContent ?? '', MAX_ELEMENT_TEXT_LENGTH),
+        locators: generateLocators(element),
+        xpath: buildXPath(element),
+    };
+}
+
+// =============================================================================
+// Step Verification
+// =============================================================================
+
+/**
+ * Resolves one step's target against the live DOM using the selector engine.
+ * Resolved steps also report their full locator chain so it can be stored with the step.
+ * @param {Object} step
+ * @param {number} index
+ * @returns {{ index: number, locator: string|null, status: string, matchCount: number, matchedBy?: string, locators?: Array<Object>, error?: string }}
+ */
+function verifyStep(step, index) {
+    const stepLocators = getStepLocators(step);
+    if (stepLocators.length === 0) {
+        return { index, locator: null, status: STEP_STATUS.FLOATING, matchCount: 0 };
+    }
+
+    const target = resolveStepTarget(step);
+    const result = {
+        index,
+        locator: describeLocator(target.locator || stepLocators[0]),
+        matchCount: target.matches.length,
+    };
+    if (target.errors.length) result.error = target.errors.join('; ');
+
+    if (!target.element) {
+        result.status = target.errors.length === stepLocators.length ? STEP_STATUS.INVALID : STEP_STATUS.MISSING;
+        return result;
+    }
+
+    result.matchedBy = target.locator.type;
+    if (target.matches.length > 1) {
+        result.status = STEP_STATUS.AMBIGUOUS;
+    } else if (!isElementVisible(target.element)) {
+        result.status = STEP_STATUS.HIDDEN;
+    } else {
+        result.status = STEP_STATUS.RESOLVED;
+        result.locators = generateLocators(target.element);
     }
+    return result;
+}
+
+/**
+ * Resolves every step's target so unresolved ones can be fixed before the tour starts.
+ * @param {Array<Object>} steps
+ * @returns {Array<Object>} One verification result per step, see verifyStep().
+ */
+function verifySteps(steps) {
+    return steps.map(verifyStep);
+}
+
+/**
+ * Explains what running the tour will do with each step on the current page.
+ * @param {Array<Object>} steps
+ * @returns {Array<{ index: number, title: string, status: string, locator: string|null, outcome: string, reason: string }>}
+ */
+function diagnoseSteps(steps) {
+    return verifySteps(steps).map(result => {
+        const step = steps[result.index];
+        const diagnostic = {
+            index: result.index,
+            title: step.popover?.title || step.title || '',
+            status: result.status,
+            locator: result.locator,
+        };
+        const changesPage = step.url || step.match || steps.slice(0, result.index).some(s => s.nextActions || s.waitForInput || s.url || s.match);
+
+        switch (result.status) {
+            case STEP_STATUS.RESOLVED:
+                return { ...diagnostic, outcome: STEP_OUTCOME.HIGHLIGHTED, reason: `Matched by ${result.matchedBy}.` };
+            case STEP_STATUS.FLOATING:
+                return { ...diagnostic, outcome: STEP_OUTCOME.FLOATING, reason: 'No target element; shown as a centered popover.' };
+            case STEP_STATUS.AMBIGUOUS:
+                return { ...diagnostic, outcome: STEP_OUTCOME.WARNING, reason: `${result.matchCount} elements match ${result.locator}; the first is highlighted.` };
+            case STEP_STATUS.HIDDEN:
+                return { ...diagnostic, outcome: STEP_OUTCOME.WARNING, reason: `${result.locator} matches an element that is not visible.` };
+            default:
+                if (changesPage) {
+                    return { ...diagnostic, outcome: STEP_OUTCOME.PENDING, reason: 'Not on the page yet; expected after an earlier step\'s actions or navigation.' };
+                }
+                return {
+                    ...diagnostic,
+                    outcome: STEP_OUTCOME.SKIPPED,
+                    reason: result.status === STEP_STATUS.INVALID
+                        ? `Invalid locator (${result.error}); shown as a centered popover instead.`
+                        : `No element matches ${result.locator}; shown as a centered popover instead.`,
+                };
+        }
+    });
 }
 
 // =============================================================================
 // Driver.js Integration
 // =============================================================================
 
+/**
+ * Shows an error line in the open Driver.js popover.
+ * @param {string} text
+ */
+function showStepError(text) {
+    const description = document.querySelector('.driver-popover-description');
+    if (!description) return;
+    let error = description.querySelector('.tour-step-error');
+    if (!error) {
+        error = document.createElement('p');
+        error.className = 'tour-step-error';
+        error.style.color = '#d93025';
+        description.appendChild(error);
+    }
+    error.textContent = text;
+}
+
 /**
  * Normalizes an array of step objects into the format expected by Driver.js.
  * @param {Array<Object>} steps - Steps from the Gemini result, e.g., { selector, title, description }.
@@ -73,8 +278,8 @@ function getPageContext() {
 function normalizeDriverSteps(steps, getDriverObj) {
     return steps.map((s, stepIndex) => {
         let step = {
-            // Use 'element' or 'selector' for the DOM target
-            element: s.xpath ? () => getElementByXPath(s.xpath) : s.element || s.selector || null,
+            // Resolved lazily through the locator fallback chain; floating when the step has none
+            element: getStepLocators(s).length ? () => resolveStepElement(s) : undefined,
             popover: s.popover || {
                 title: s.title || '',
                 description: s.description || ''
@@ -82,17 +287,24 @@ function normalizeDriverSteps(steps, getDriverObj) {
         };
 
         if (s.waitForInput) {
-            const checkInput = () => {
-                const element = getElementByXPath(s.xpath);
+            // The user types into the element, whatever the tour's disableActiveInteraction
+            step.disableActiveInteraction = false;
+            const checkInput = async () => {
+                const element = resolveStepElement(s);
                 if (element) {
-                    // Inject input value if provided
+                    // Inject input value if provided (see content/input-filler.js)
                     if (s.inputValue) {
-                        element.value = s.inputValue;
-                        element.dispatchEvent(new Event('input', { bubbles: true }));
-                        element.dispatchEvent(new Event('change', { bubbles: true }));
+                        const result = await fillInput(element, s.inputValue, { autocomplete: s.autocomplete });
+                        console.log(`Filled "${s.inputKey || 'input'}" (${result.method}):`, result);
+                        if (!result.ok) {
+                            showStepError(result.error || `"${s.inputValue}" did not take; please enter it manually.`);
+                        }
                     }
 
                     element.addEventListener('blur', () => {
+                        if (s.inputKey) {
+                            notifyBackground({ type: MESSAGE_TYPE.TOUR_PROGRESS, inputs: { [s.inputKey]: element.value } });
+                        }
                         const nextBtn = document.querySelector('.driver-popover-next-btn');
                         if (nextBtn) {
                             nextBtn.style.display = 'inline-block';
@@ -107,18 +319,23 @@ function normalizeDriverSteps(steps, getDriverObj) {
         }
 
         if (s.nextActions && Array.isArray(s.nextActions)) {
-            step.popover.onNextClick = () => {
-                s.nextActions.forEach(action => {
-                    if (action.action === 'click' && action.xpath) {
-                        const element = getElementByXPath(action.xpath);
-                        if (element) {
-                            element.click();
-                            setTimeout(() => {
-                                getDriverObj().moveNext();
-                            }, 500);
-                        }
-                    }
-                });
+            step.popover.onNextClick = async () => {
+                // Saved before running: a click may load another page
+                notifyBackground({ type: MESSAGE_TYPE.TOUR_PROGRESS, stepIndex: stepIndex + 1 });
+
+                const { ok, results } = await runActions(s.nextActions);
+                if (!ok) {
+                    notifyBackground({ type: MESSAGE_TYPE.TOUR_PROGRESS, stepIndex });
+                    showStepError(`Could not continue: ${results[results.length - 1].error}`);
+                    return;
+                }
+
+                // Advance once the next step's element has rendered rather than after a fixed delay
+                const nextStep = steps[stepIndex + 1];
+                if (nextStep) {
+                    await waitForStepElement(nextStep, ACTION_CONFIG.DEFAULT_TIMEOUT_MS);
+                }
+                getDriverObj().moveNext();
             };
         }
 
@@ -126,45 +343,112 @@ function normalizeDriverSteps(steps, getDriverObj) {
     });
 }
 
-function getElementByXPath(xpath) {
-    return document.evaluate(
-        xpath,
-        document,
-        null,
-        XPathResult.FIRST_ORDERED_NODE_TYPE,
-        null
-    ).singleNodeValue;
+/**
+ * Sends tour progress to the background script, which keeps it across page loads.
+ * @param {Object} message
+ */
+function notifyBackground(message) {
+    chrome.runtime.sendMessage(message).catch(err => {
+        console.warn(`Failed to report ${message.type}:`, err);
+    });
+}
+
+/**
+ * @param {number|null} from - The step shown before, or null for the first step shown on this page.
+ * @param {number} to
+ * @param {boolean} resumed
+ * @returns {string} How the tour got to a step, for analytics.
+ */
+function getStepDirection(from, to, resumed) {
+    if (from === null) return resumed ? 'resumed' : 'start';
+    if (to === from + 1) return 'next';
+    if (to === from - 1) return 'previous';
+    return 'jump';
+}
+
+/**
+ * @param {Object} step - The step as given to runDriverjs().
+ * @param {Element|undefined} element - The element Driver.js highlighted; undefined for floating popovers.
+ * @returns {boolean} True when a step with locators is shown without its element.
+ */
+function isBrokenStep(step, element) {
+    return getStepLocators(step).length > 0 && !element;
 }
 
 /**
  * Runs the tour using Driver.js. Loads assets, normalizes steps, and starts the tour.
+ * Any tour already running on the page is replaced.
+ * Step views and how the tour ended are reported as TOUR_EVENT messages for analytics.
  * @param {Array<Object>} steps - The tour steps provided by the background script.
+ * @param {{ tourName?: string, config?: Object, startIndex?: number, resumed?: boolean, runId?: string }} [options]
+ *   `config` is the tour's presentation, see getTourPresentation() in content/tour-theme.js.
+ *   `resumed` tours continue an existing session (and its analytics `runId`) instead of starting a new one.
+ * @returns {Promise<boolean>} True when Driver.js started the tour.
  */
-async function runDriverjs(steps) {
+async function runDriverjs(steps, { tourName = '', config, startIndex = 0, resumed = false, runId = crypto.randomUUID() } = {}) {
     let driverObj;
 
     // 1. Normalize and check steps
     const normalizedSteps = normalizeDriverSteps(steps, () => driverObj);
     if (normalizedSteps.length === 0) {
         console.warn('Attempted to run Driver.js with no steps.');
-        return;
+        return false;
+    }
+    const presentation = await getTourPresentation(config);
+
+    destroyStepPreview();
+    if (activeTour) {
+        activeTour.replaced = true;
+        activeTour.driverObj.destroy();
     }
 
     // 2. Run Driver.js
     try {
         // Check for the exposed global API (driver.js.driver)
         if (typeof window.driver !== 'undefined' && typeof window.driver.js.driver === 'function') {
+            const tour = { driverObj: null, replaced: false, runId, lastIndex: null };
+
             driverObj = window.driver.js.driver({
-                animate: false,
-                showProgress: false,
-                keyboardControl: true,
-                showButtons: ['next', 'previous', 'close'],
-                steps: normalizedSteps
+                ...presentation,
+                steps: normalizedSteps,
+                onHighlighted: (element, step, { driver }) => {
+                    const stepIndex = driver.getActiveIndex();
+                    notifyBackground({ type: MESSAGE_TYPE.TOUR_PROGRESS, stepIndex });
+                    notifyBackground({
+                        type: MESSAGE_TYPE.TOUR_EVENT,
+                        runId,
+                        event: TOUR_EVENT.STEP_VIEWED,
+                        stepIndex,
+                        direction: getStepDirection(tour.lastIndex, stepIndex, resumed),
+                        broken: isBrokenStep(steps[stepIndex], element),
+                    });
+                    tour.lastIndex = stepIndex;
+                },
+                // Called when the user closes the tour or finishes its last step, not when it is replaced
+                onDestroyStarted: (element, step, { driver }) => {
+                    notifyBackground({
+                        type: MESSAGE_TYPE.TOUR_EVENT,
+                        runId,
+                        event: driver.hasNextStep() ? TOUR_EVENT.CLOSED : TOUR_EVENT.COMPLETED,
+                        stepIndex: driver.getActiveIndex(),
+                    });
+                    driver.destroy();
+                },
+                onDestroyed: () => {
+                    if (activeTour === tour) activeTour = null;
+                    // Closed or finished by the user, not replaced by another tour
+                    if (!tour.replaced) notifyBackground({ type: MESSAGE_TYPE.TOUR_ENDED });
+                }
             });
+            tour.driverObj = driverObj;
 
             if (driverObj && typeof driverObj.drive === 'function') {
-                driverObj.drive();
-                return;
+                if (!resumed) {
+                    notifyBackground({ type: MESSAGE_TYPE.TOUR_STARTED, tourName, config, steps, stepIndex: startIndex, runId });
+                }
+                activeTour = tour;
+                driverObj.drive(startIndex);
+                return true;
             }
         } else {
             console.warn('Driver.js global API not found after loading script.');
@@ -174,6 +458,81 @@ async function runDriverjs(steps) {
         // Catch initialization errors from driver.js itself
         console.error('Error executing Driver.js tour:', err);
     }
+    return false;
+}
+
+/**
+ * Removes the step highlighted for the popup's step editor, if any.
+ */
+function destroyStepPreview() {
+    const driverObj = previewDriver;
+    previewDriver = null;
+    driverObj?.destroy();
+}
+
+/**
+ * Highlights a single step for the popup's step editor, replacing any running tour.
+ * @param {Object} step
+ * @returns {boolean} True when the step's element was found (false: shown as a floating popover).
+ */
+function highlightStep(step) {
+    const element = getStepLocators(step).length ? resolveStepElement(step) : undefined;
+
+    destroyStepPreview();
+    if (activeTour) {
+        activeTour.replaced = true;
+        activeTour.driverObj.destroy();
+    }
+    const driverObj = window.driver.js.driver({
+        animate: false,
+        showButtons: ['close'],
+        onDestroyed: () => {
+            if (previewDriver === driverObj) previewDriver = null;
+        },
+    });
+    previewDriver = driverObj;
+    driverObj.highlight({ element, popover: step.popover });
+    return !!element;
+}
+
+// =============================================================================
+// Multi-page Tours
+// =============================================================================
+
+/**
+ * Continues a tour after a navigation, once the step's element has rendered.
+ * A tour already running on the page (SPA route change) just moves to the step.
+ * @param {{ tourName: string, config?: Object, steps: Array<Object>, stepIndex: number, runId: string }} tour
+ */
+async function resumeTour(tour) {
+    const { steps, stepIndex } = tour;
+    if (activeTour?.driverObj.isActive() && activeTour.driverObj.getActiveIndex() === stepIndex) {
+        return;
+    }
+
+    await waitForStepElement(steps[stepIndex], RESUME_ELEMENT_TIMEOUT_MS);
+
+    if (activeTour?.driverObj.isActive()) {
+        activeTour.driverObj.moveTo(stepIndex);
+        return;
+    }
+    console.log(`Resuming tour "${tour.tourName}" at step ${stepIndex + 1}.`);
+    await runDriverjs(steps, { tourName: tour.tourName, config: tour.config, startIndex: stepIndex, resumed: true, runId: tour.runId });
+}
+
+/**
+ * Asks the background script whether this tab has a tour to continue on this page.
+ */
+async function resumeTourAfterPageLoad() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPE.GET_TOUR_SESSION, url: location.href });
+        // A tour started while the request was pending takes precedence
+        if (response?.ok && response.tour && !activeTour) {
+            await resumeTour(response.tour);
+        }
+    } catch (err) {
+        console.warn('Failed to check for a tour to resume:', err);
+    }
 }
 
 // =============================================================================
@@ -192,13 +551,84 @@ function handleMessages(message, sender, sendResponse) {
 
     // A. Handle Page Context Request
     if (message.type === MESSAGE_TYPE.REQUEST_PAGE_CONTEXT) {
-        const pageContext = getPageContext();
+        // "Tour this section" limits the context to the right-clicked section
+        const root = message.scope === 'section' ? getContextMenuSection() : null;
+        const pageContext = getPageContext({ tokenBudget: message.tokenBudget, root });
         sendResponse({ pageContext });
         // Returning false indicates the response is sent synchronously
         return false;
     }
 
-    // B. Handle Gemini Result for Tour
+    // A2. "Explain this element": the right-clicked element and the section around it
+    if (message.type === MESSAGE_TYPE.REQUEST_ELEMENT_CONTEXT) {
+        if (!contextMenuTarget?.isConnected) {
+            sendResponse({ ok: false, code: ERROR_CODE.NO_TARGET_ELEMENT, error: 'The right-clicked element is no longer on the page.' });
+            return false;
+        }
+        const section = contextMenuTarget.closest(SECTION_SELECTOR);
+        sendResponse({
+            ok: true,
+            element: describeTargetElement(contextMenuTarget),
+            pageContext: getPageContext({ tokenBudget: message.tokenBudget, root: section }),
+        });
+        return false;
+    }
+
+    // A3. Progress and errors of keyboard shortcuts and context-menu items
+    if (message.type === MESSAGE_TYPE.SHOW_NOTICE) {
+        showPageNotice(message.text, { isError: message.isError });
+        sendResponse({ ok: true });
+        return false;
+    }
+
+    // B. Resolve steps against the DOM before a tour is started
+    if (message.type === MESSAGE_TYPE.VERIFY_STEPS) {
+        const report = verifySteps(message.steps || []);
+        console.log('Step verification report:', report);
+        sendResponse({ ok: true, report });
+        return false;
+    }
+
+    // C. Start the in-page tour recorder (see content/recorder.js)
+    if (message.type === MESSAGE_TYPE.START_RECORDING) {
+        startRecording();
+        sendResponse({ ok: true });
+        return false;
+    }
+
+    // D. Continue the tab's tour after a same-document navigation
+    if (message.type === MESSAGE_TYPE.RESUME_TOUR) {
+        resumeTour(message.tour);
+        sendResponse({ ok: true });
+        return false;
+    }
+
+    // E. Step editor: preview one step on the page
+    if (message.type === MESSAGE_TYPE.HIGHLIGHT_STEP) {
+        try {
+            sendResponse({ ok: true, found: highlightStep(message.step) });
+        } catch (err) {
+            console.error('Failed to highlight step:', err);
+            sendResponse({ ok: false, error: err.message });
+        }
+        return false;
+    }
+
+    // F. Step editor: let the user click a new target for a step (see content/element-picker.js)
+    if (message.type === MESSAGE_TYPE.PICK_ELEMENT) {
+        startElementPicker(`step ${message.stepIndex + 1}`, element => {
+            notifyBackground({
+                type: MESSAGE_TYPE.STEP_ELEMENT_PICKED,
+                stepIndex: message.stepIndex,
+                locators: generateLocators(element),
+                xpath: buildXPath(element),
+            });
+        });
+        sendResponse({ ok: true });
+        return false;
+    }
+
+    // G. Handle Gemini Result for Tour
     if (message.type === MESSAGE_TYPE.GEMINI_RESULT) {
         // Use an async IIFE to manage asynchronous tour execution
         (async () => {
@@ -208,17 +638,23 @@ function handleMessages(message, sender, sendResponse) {
 
                 if (!Array.isArray(steps) || steps.length === 0) {
                     console.warn('Received Gemini result but no valid steps were found.');
-                    sendResponse({ ok: false, error: 'No tour steps found in Gemini response.' });
+                    sendResponse({ ok: false, code: ERROR_CODE.NO_STEPS, error: 'No tour steps found in Gemini response.' });
                     return;
                 }
 
-                await runDriverjs(steps);
-                sendResponse({ ok: true });
+                hidePageNotice();
+                const diagnostics = diagnoseSteps(steps);
+                if (!await runDriverjs(steps, { tourName: message.tourName, config: message.config })) {
+                    sendResponse({ ok: false, code: ERROR_CODE.RENDER_FAILED, error: 'Driver.js could not start the tour.' });
+                    return;
+                }
+                sendResponse({ ok: true, diagnostics });
 
             } catch (err) {
                 console.error('Content script error rendering tour:', err);
                 sendResponse({
                     ok: false,
+                    code: ERROR_CODE.RENDER_FAILED,
                     error: `Content script failed to render tour: ${err.message}`
                 });
             }
@@ -232,4 +668,13 @@ function handleMessages(message, sender, sendResponse) {
 }
 
 // Attach the main message listener
-chrome.runtime.onMessage.addListener(handleMessages);
\ No newline at end of file
+chrome.runtime.onMessage.addListener(handleMessages);
+
+// Remember what the context-menu items act on
+document.addEventListener('contextmenu', (event) => { contextMenuTarget = event.target; }, true);
+
+// Continue a tour that navigated here from another page
+resumeTourAfterPageLoad();
+
+// Show the prompt bar launcher if it is enabled on the options page
+initializePromptBar();
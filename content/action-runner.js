@@ -0,0 +1,174 @@
+// =============================================================================
+// Action Runner: declarative `nextActions` run when a step's Next is clicked
+// =============================================================================
+//
+// Every action targets an element through the same fields as a step
+// (`locators`, `xpath`, `element`/`selector`, see content/selector-engine.js):
+//   { action: 'click', xpath }
+//   { action: 'type', locators, value, clear: true, autocomplete: true }  // see content/input-filler.js
+//   { action: 'select', element: '#class', value: '3A' }       // option value or label
+//   { action: 'check' | 'uncheck', element: '#flexible' }
+//   { action: 'press', key: 'Enter' }                          // target optional: focused element
+//   { action: 'scroll', xpath }                                // scroll into view
+//   { action: 'waitFor', element: '.results', state: 'appear' | 'disappear', timeoutMs: 10000 }
+//   { action: 'assertText', element: 'h1', value: 'Trains' }   // target optional: whole page
+//   { action: 'assertValue', element: '#origin input', value: 'NDLS' }
+// Actions run in order; the first failure stops the run.
+
+const ACTION_TYPE = {
+    CLICK: 'click',
+    TYPE: 'type',
+    SELECT: 'select',
+    CHECK: 'check',
+    UNCHECK: 'uncheck',
+    PRESS: 'press',
+    SCROLL: 'scroll',
+    WAIT_FOR: 'waitFor',
+    ASSERT_TEXT: 'assertText',
+    ASSERT_VALUE: 'assertValue',
+};
+
+const WAIT_STATE = {
+    APPEAR: 'appear',
+    DISAPPEAR: 'disappear',
+};
+
+const ACTION_CONFIG = {
+    // How long an action waits for its target (or a waitFor condition)
+    DEFAULT_TIMEOUT_MS: 5000,
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Waits for an action's target element.
+ * @param {Object} action
+ * @returns {Promise<Element>}
+ * @throws {Error} When the action has no locators or nothing matched before the timeout.
+ */
+async function getActionTarget(action) {
+    if (getStepLocators(action).length === 0) {
+        throw new Error(`"${action.action}" needs a target element.`);
+    }
+    const element = await waitForStepElement(action, action.timeoutMs ?? ACTION_CONFIG.DEFAULT_TIMEOUT_MS);
+    if (!element) {
+        throw new Error(`Target not found: ${describeLocator(getStepLocators(action)[0])}`);
+    }
+    return element;
+}
+
+// =============================================================================
+// Actions
+// =============================================================================
+
+/**
+ * Runs one action.
+ * @param {Object} action
+ * @returns {Promise<void>}
+ * @throws {Error} When the action fails.
+ */
+async function performAction(action) {
+    switch (action.action) {
+        case ACTION_TYPE.CLICK: {
+            const element = await getActionTarget(action);
+            element.scrollIntoView({ block: 'center' });
+            element.click();
+            return;
+        }
+        case ACTION_TYPE.TYPE:
+        case ACTION_TYPE.SELECT: {
+            const element = await getActionTarget(action);
+            if (action.action === ACTION_TYPE.SELECT && element.tagName !== 'SELECT') {
+                throw new Error('"select" needs a <select> element.');
+            }
+            const result = await fillInput(element, action.value, { clear: action.clear, autocomplete: action.autocomplete });
+            if (!result.ok) {
+                throw new Error(result.error || `Value did not take: field holds "${result.value}".`);
+            }
+            return;
+        }
+        case ACTION_TYPE.CHECK:
+        case ACTION_TYPE.UNCHECK: {
+            const element = await getActionTarget(action);
+            const checked = action.action === ACTION_TYPE.CHECK;
+            if (!('checked' in element)) {
+                throw new Error(`"${action.action}" needs a checkbox or radio button.`);
+            }
+            // Clicking lets the page's own handlers run
+            if (element.checked !== checked) element.click();
+            if (element.checked !== checked) {
+                throw new Error(`Element is still ${element.checked ? 'checked' : 'unchecked'}.`);
+            }
+            return;
+        }
+        case ACTION_TYPE.PRESS: {
+            if (!action.key) {
+                throw new Error('"press" needs a key.');
+            }
+            const element = getStepLocators(action).length ? await getActionTarget(action) : document.activeElement || document.body;
+            dispatchKey(element, action.key);
+            return;
+        }
+        case ACTION_TYPE.SCROLL: {
+            const element = await getActionTarget(action);
+            element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            return;
+        }
+        case ACTION_TYPE.WAIT_FOR: {
+            const timeoutMs = action.timeoutMs ?? ACTION_CONFIG.DEFAULT_TIMEOUT_MS;
+            const isPresent = () => {
+                const { element } = resolveStepTarget(action);
+                return !!element && isElementVisible(element);
+            };
+            const disappear = action.state === WAIT_STATE.DISAPPEAR;
+            if (!await waitUntil(() => isPresent() !== disappear, timeoutMs)) {
+                throw new Error(`Element did not ${disappear ? 'disappear' : 'appear'} within ${timeoutMs} ms.`);
+            }
+            return;
+        }
+        case ACTION_TYPE.ASSERT_TEXT: {
+            const element = getStepLocators(action).length ? await getActionTarget(action) : document.body;
+            const text = normalizeText(element.innerText ?? element.textContent, Infinity);
+            const expected = normalizeText(String(action.value ?? ''), Infinity);
+            if (!text.includes(expected)) {
+                throw new Error(`Text "${expected}" not found.`);
+            }
+            return;
+        }
+        case ACTION_TYPE.ASSERT_VALUE: {
+            const element = await getActionTarget(action);
+            if (element.value !== String(action.value ?? '')) {
+                throw new Error(`Expected value "${action.value}", got "${element.value}".`);
+            }
+            return;
+        }
+        default:
+            throw new Error(`Unknown action: ${action.action}`);
+    }
+}
+
+/**
+ * Runs actions in order, stopping at the first failure.
+ * @param {Array<Object>} actions
+ * @returns {Promise<{ ok: boolean, results: Array<{ action: string, ok: boolean, error?: string, durationMs: number }> }>}
+ */
+async function runActions(actions) {
+    const results = [];
+
+    for (const action of actions) {
+        const startedAt = Date.now();
+        try {
+            await performAction(action);
+            results.push({ action: action.action, ok: true, durationMs: Date.now() - startedAt });
+        } catch (err) {
+            results.push({ action: action.action, ok: false, error: err.message, durationMs: Date.now() - startedAt });
+            console.warn(`Action "${action.action}" failed:`, err.message, action);
+            return { ok: false, results };
+        }
+    }
+
+    console.log('Step actions completed:', results);
+    return { ok: true, results };
+}
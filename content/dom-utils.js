@@ -0,0 +1,61 @@
+// =============================================================================
+// DOM Utility Functions (shared by the content scripts)
+// =============================================================================
+
+/**
+ * Checks whether an element is rendered and visible to the user.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isElementVisible(element) {
+    if (typeof element.checkVisibility === 'function') {
+        return element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+    const style = getComputedStyle(element);
+    return element.getClientRects().length > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+}
+
+/**
+ * Checks whether any part of an element lies inside the current viewport.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isElementInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+}
+
+/**
+ * Collapses whitespace and truncates text for compact display.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function normalizeText(text, maxLength) {
+    const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+    return collapsed.length > maxLength ? `${collapsed.slice(0, maxLength - 1)}…` : collapsed;
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls until a condition holds.
+ * @param {function():boolean} condition
+ * @param {number} timeoutMs
+ * @param {number} [intervalMs]
+ * @returns {Promise<boolean>} False on timeout.
+ */
+async function waitUntil(condition, timeoutMs, intervalMs = 100) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() >= deadline) return false;
+        await delay(intervalMs);
+    }
+    return true;
+}
@@ -0,0 +1,117 @@
+// =============================================================================
+// Element Picker: click the page element a tour step should point at
+// =============================================================================
+//
+// Used by the popup's step editor to re-pick a step's target. The popup closes
+// as soon as the page is clicked, so the pick is reported to the background
+// script, which updates the draft tour.
+
+const PICKER_CONFIG = {
+    HOST_ID: 'llm-tour-element-picker',
+    Z_INDEX: 2147483647,
+    // How long the confirmation banner stays after a pick
+    CONFIRMATION_MS: 3000,
+};
+
+const PICKER_STYLES = `
+:host { all: initial; }
+.banner {
+    position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: ${PICKER_CONFIG.Z_INDEX};
+    font: 13px/1.4 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #fff; background: #1f2937;
+    border-radius: 8px; padding: 8px 12px; box-shadow: 0 4px 6px -1px rgba(0,0,0,.1);
+}
+.highlight { position: fixed; z-index: ${PICKER_CONFIG.Z_INDEX - 1}; pointer-events: none; border: 2px solid #2563eb; background: rgba(37,99,235,.1); border-radius: 4px; display: none; }
+`;
+
+// Picker state; null while not picking
+let pickerState = null;
+
+// =============================================================================
+// Picking Lifecycle
+// =============================================================================
+
+/**
+ * Lets the user click one element on the page.
+ * @param {string} label - Shown in the banner, e.g. "step 3".
+ * @param {function(Element):void} onPick - Called with the clicked element.
+ */
+function startElementPicker(label, onPick) {
+    stopElementPicker();
+
+    const host = document.createElement('div');
+    host.id = PICKER_CONFIG.HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    const banner = document.createElement('div');
+    banner.className = 'banner';
+    banner.textContent = `Click the element for ${label} (Esc to cancel)`;
+    const highlight = document.createElement('div');
+    highlight.className = 'highlight';
+    const style = document.createElement('style');
+    style.textContent = PICKER_STYLES;
+    shadow.append(style, highlight, banner);
+    document.documentElement.append(host);
+
+    pickerState = { host, banner, highlight, onPick, picked: false };
+
+    document.addEventListener('mouseover', handlePickerHover, true);
+    document.addEventListener('click', handlePickerClick, true);
+    document.addEventListener('keydown', handlePickerKeydown, true);
+}
+
+/**
+ * Stops picking and removes the picker UI.
+ */
+function stopElementPicker() {
+    if (!pickerState) return;
+    document.removeEventListener('mouseover', handlePickerHover, true);
+    document.removeEventListener('click', handlePickerClick, true);
+    document.removeEventListener('keydown', handlePickerKeydown, true);
+    pickerState.host.remove();
+    pickerState = null;
+}
+
+/**
+ * Outlines the element under the pointer.
+ * @param {MouseEvent} event
+ */
+function handlePickerHover(event) {
+    if (pickerState.picked || event.composedPath().includes(pickerState.host)) return;
+    const rect = event.target.getBoundingClientRect();
+    Object.assign(pickerState.highlight.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+    });
+}
+
+/**
+ * Picks the clicked element instead of activating it, then confirms briefly.
+ * @param {MouseEvent} event
+ */
+function handlePickerClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (pickerState.picked) return;
+
+    pickerState.picked = true;
+    pickerState.onPick(event.target);
+    pickerState.highlight.style.display = 'none';
+    pickerState.banner.textContent = 'Element saved. Reopen the extension to continue editing the tour.';
+    const state = pickerState;
+    setTimeout(() => {
+        if (pickerState === state) stopElementPicker();
+    }, PICKER_CONFIG.CONFIRMATION_MS);
+}
+
+/**
+ * Escape cancels picking.
+ * @param {KeyboardEvent} event
+ */
+function handlePickerKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        stopElementPicker();
+    }
+}
@@ -0,0 +1,317 @@
+// =============================================================================
+// Input Filler: sets values the way a user would, so framework state updates
+// =============================================================================
+//
+// React, Vue and Angular track input values themselves; assigning
+// `element.value` alone is overwritten on the next render. The filler uses the
+// native value setter, types character by character with key and input events,
+// and picks the matching suggestion of autocomplete comboboxes. It also handles
+// selects, checkboxes, radios, date inputs and contenteditable fields.
+
+const FILL_METHOD = {
+    TEXT: 'text',
+    AUTOCOMPLETE: 'autocomplete',
+    SELECT: 'select',
+    CHECKBOX: 'checkbox',
+    RADIO: 'radio',
+    DATE: 'date',
+    CONTENT_EDITABLE: 'contenteditable',
+};
+
+const FILLER_CONFIG = {
+    // How long to wait for an autocomplete suggestion list to show the value
+    SUGGESTION_TIMEOUT_MS: 3000,
+};
+
+// Suggestion items of ARIA comboboxes and common widget libraries (PrimeNG, jQuery UI, Google Places)
+const SUGGESTION_SELECTOR = [
+    '[role="option"]',
+    '.p-autocomplete-item',
+    '.ui-autocomplete-list-item',
+    '.ui-menu-item',
+    '.autocomplete-suggestion',
+    '.pac-item',
+].join(', ');
+
+const DATE_INPUT_TYPES = ['date', 'datetime-local', 'month', 'week', 'time'];
+
+const TRUTHY_VALUES = ['true', 'yes', 'on', '1', 'checked'];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Dispatches the keydown/keypress/keyup sequence of one key.
+ * @param {Element} element
+ * @param {string} key - A KeyboardEvent `key` value, e.g. "Enter" or "a".
+ */
+function dispatchKey(element, key) {
+    const init = { key, bubbles: true, cancelable: true };
+    element.dispatchEvent(new KeyboardEvent('keydown', init));
+    if (key.length === 1 || key === 'Enter') {
+        element.dispatchEvent(new KeyboardEvent('keypress', init));
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+}
+
+/**
+ * Sets `value` through the prototype's setter, bypassing the instance-level
+ * property React installs to track changes, so React sees the new value.
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element
+ * @param {string} value
+ */
+function setNativeValue(element, value) {
+    const prototype = Object.getPrototypeOf(element);
+    const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (setter) {
+        setter.call(element, value);
+    } else {
+        element.value = value;
+    }
+}
+
+/**
+ * @param {Element} element
+ * @param {string} value
+ * @param {string} inputType - InputEvent `inputType`, e.g. "insertText".
+ */
+function dispatchInput(element, value, inputType) {
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType, data: value }));
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean} True for comboboxes that show a suggestion list while typing.
+ */
+function isAutocompleteInput(element) {
+    return element.getAttribute('role') === 'combobox'
+        || ['list', 'both'].includes(element.getAttribute('aria-autocomplete'))
+        || !!element.closest('[role="combobox"], p-autocomplete, .p-autocomplete, .ui-autocomplete');
+}
+
+/**
+ * Converts a human date ("15 Aug 2025", "2025-08-15") to the ISO form date inputs expect.
+ * @param {string} value
+ * @returns {string} YYYY-MM-DD, or the value unchanged when it does not parse.
+ */
+function toIsoDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return value;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function toComparable(text) {
+    return normalizeText(text, Infinity).toLowerCase();
+}
+
+/**
+ * Finds the visible suggestion that best matches a value: exact text, then
+ * prefix, then substring. Options of the listbox the input controls come first.
+ * @param {Element} input
+ * @param {string} value
+ * @returns {Element|null}
+ */
+function findSuggestion(input, value) {
+    const listId = input.getAttribute('aria-controls') || input.getAttribute('aria-owns');
+    const list = listId && document.getElementById(listId);
+    const scoped = list ? Array.from(list.querySelectorAll(SUGGESTION_SELECTOR)) : [];
+    const candidates = (scoped.length ? scoped : Array.from(document.querySelectorAll(SUGGESTION_SELECTOR)))
+        .filter(isElementVisible);
+
+    const wanted = toComparable(value);
+    return candidates.find(option => toComparable(option.textContent) === wanted)
+        || candidates.find(option => toComparable(option.textContent).startsWith(wanted))
+        || candidates.find(option => toComparable(option.textContent).includes(wanted))
+        || null;
+}
+
+/**
+ * Clicks a suggestion the way a pointer does; some widgets select on mousedown.
+ * @param {Element} option
+ */
+function pickSuggestion(option) {
+    const init = { bubbles: true, cancelable: true, view: window };
+    option.dispatchEvent(new MouseEvent('mousedown', init));
+    option.dispatchEvent(new MouseEvent('mouseup', init));
+    option.click();
+}
+
+// =============================================================================
+// Fillers
+// =============================================================================
+
+/**
+ * Types text one character at a time with key and input events.
+ * @param {HTMLInputElement|HTMLTextAreaElement} element
+ * @param {string} value
+ * @param {boolean} clear - Replace the current value instead of appending.
+ */
+function typeText(element, value, clear) {
+    element.focus();
+    let current = clear ? '' : element.value;
+    if (clear && element.value) {
+        setNativeValue(element, '');
+        dispatchInput(element, null, 'deleteContentBackward');
+    }
+
+    for (const char of value) {
+        const init = { key: char, bubbles: true, cancelable: true };
+        element.dispatchEvent(new KeyboardEvent('keydown', init));
+        element.dispatchEvent(new KeyboardEvent('keypress', init));
+        current += char;
+        setNativeValue(element, current);
+        dispatchInput(element, char, 'insertText');
+        element.dispatchEvent(new KeyboardEvent('keyup', init));
+    }
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * @param {HTMLSelectElement} element
+ * @param {string} value - Option value or label.
+ * @returns {{ ok: boolean, value: string, method: string, error?: string }}
+ */
+function fillSelect(element, value) {
+    const options = Array.from(element.options);
+    const option = options.find(o => o.value === value)
+        || options.find(o => toComparable(o.textContent) === toComparable(value));
+    if (!option) {
+        return { ok: false, value: element.value, method: FILL_METHOD.SELECT, error: `No option "${value}".` };
+    }
+    element.focus();
+    setNativeValue(element, option.value);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return { ok: element.value === option.value, value: element.value, method: FILL_METHOD.SELECT };
+}
+
+/**
+ * Checks or unchecks a checkbox by clicking it, so the page's handlers run.
+ * @param {HTMLInputElement} element
+ * @param {string} value - "true"/"yes"/"on"/"1"/"checked" to check, anything else to uncheck.
+ * @returns {{ ok: boolean, value: string, method: string }}
+ */
+function fillCheckbox(element, value) {
+    const checked = TRUTHY_VALUES.includes(toComparable(value));
+    if (element.checked !== checked) element.click();
+    return { ok: element.checked === checked, value: String(element.checked), method: FILL_METHOD.CHECKBOX };
+}
+
+/**
+ * Selects the radio of the element's group whose value or label matches.
+ * @param {HTMLInputElement} element - Any radio of the group.
+ * @param {string} value
+ * @returns {{ ok: boolean, value: string, method: string, error?: string }}
+ */
+function fillRadio(element, value) {
+    const scope = element.form || document;
+    const group = element.name
+        ? Array.from(scope.querySelectorAll(`input[type="radio"][name="${CSS.escape(element.name)}"]`))
+        : [element];
+    const wanted = toComparable(value);
+    const radio = group.find(r => toComparable(r.value) === wanted)
+        || group.find(r => Array.from(r.labels || []).some(label => toComparable(label.textContent) === wanted));
+    if (!radio) {
+        return { ok: false, value: '', method: FILL_METHOD.RADIO, error: `No radio option "${value}".` };
+    }
+    if (!radio.checked) radio.click();
+    return { ok: radio.checked, value: radio.value, method: FILL_METHOD.RADIO };
+}
+
+/**
+ * @param {HTMLElement} element - A contenteditable element.
+ * @param {string} value
+ * @returns {{ ok: boolean, value: string, method: string }}
+ */
+function fillContentEditable(element, value) {
+    element.focus();
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    // insertText goes through the editor's own input handling; fall back to a plain replace
+    if (!document.execCommand('insertText', false, value)) {
+        element.textContent = value;
+        dispatchInput(element, value, 'insertText');
+    }
+    const text = normalizeText(element.innerText ?? element.textContent, Infinity);
+    return { ok: text === normalizeText(value, Infinity), value: text, method: FILL_METHOD.CONTENT_EDITABLE };
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Fills a form field and reports whether the value took.
+ * @param {Element} element
+ * @param {string} value
+ * @param {{ clear?: boolean, autocomplete?: boolean }} [options]
+ *   `autocomplete` forces (true) or skips (false) picking a suggestion; detected from ARIA/widget markup by default.
+ * @returns {Promise<{ ok: boolean, value: string, method: string, error?: string }>}
+ *   `value` is what the field holds afterwards, e.g. the picked suggestion's text.
+ */
+async function fillInput(element, value, options = {}) {
+    const text = String(value ?? '');
+
+    if (element.isContentEditable) {
+        return fillContentEditable(element, text);
+    }
+    if (element.tagName === 'SELECT') {
+        return fillSelect(element, text);
+    }
+    if (!['INPUT', 'TEXTAREA'].includes(element.tagName)) {
+        return { ok: false, value: '', method: FILL_METHOD.TEXT, error: `<${element.tagName.toLowerCase()}> is not a form field.` };
+    }
+
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    if (type === 'checkbox') return fillCheckbox(element, text);
+    if (type === 'radio') return fillRadio(element, text);
+
+    if (DATE_INPUT_TYPES.includes(type)) {
+        const dateValue = type === 'date' ? toIsoDate(text) : text;
+        element.focus();
+        setNativeValue(element, dateValue);
+        dispatchInput(element, dateValue, 'insertReplacementText');
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        return {
+            ok: element.value === dateValue,
+            value: element.value,
+            method: FILL_METHOD.DATE,
+            ...(element.value === dateValue ? {} : { error: `"${text}" is not a valid ${type} value.` }),
+        };
+    }
+
+    const expected = options.clear === false ? `${element.value}${text}` : text;
+    typeText(element, text, options.clear !== false);
+
+    const useAutocomplete = options.autocomplete ?? isAutocompleteInput(element);
+    if (!useAutocomplete) {
+        return { ok: element.value === expected, value: element.value, method: FILL_METHOD.TEXT };
+    }
+
+    let option = null;
+    await waitUntil(() => (option = findSuggestion(element, text)) !== null, FILLER_CONFIG.SUGGESTION_TIMEOUT_MS);
+    if (!option) {
+        return {
+            ok: false,
+            value: element.value,
+            method: FILL_METHOD.AUTOCOMPLETE,
+            error: `No suggestion matching "${text}" appeared.`,
+        };
+    }
+
+    pickSuggestion(option);
+    // Let the widget copy the choice into the input
+    await delay(100);
+    return { ok: element.value.trim() !== '', value: element.value, method: FILL_METHOD.AUTOCOMPLETE };
+}
@@ -0,0 +1,63 @@
+// =============================================================================
+// Page Notice: short status messages shown on the page
+// =============================================================================
+//
+// Keyboard shortcuts and context-menu items run without the popup, so their
+// progress and errors are shown in a banner on the page instead.
+
+const NOTICE_CONFIG = {
+    HOST_ID: 'llm-tour-page-notice',
+    Z_INDEX: 2147483647,
+    // How long a notice stays before it fades out
+    DURATION_MS: 5000,
+};
+
+const NOTICE_STYLES = `
+:host { all: initial; }
+.notice {
+    position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); z-index: ${NOTICE_CONFIG.Z_INDEX};
+    max-width: 420px; font: 13px/1.4 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #fff; background: #1f2937;
+    border-radius: 8px; padding: 8px 12px; box-shadow: 0 4px 6px -1px rgba(0,0,0,.1);
+}
+.notice.error { background: #b91c1c; }
+`;
+
+// The notice on screen; null when none is shown
+let noticeState = null;
+
+/**
+ * Shows a notice, replacing the current one.
+ * @param {string} text
+ * @param {{ isError?: boolean }} [options]
+ */
+function showPageNotice(text, { isError = false } = {}) {
+    hidePageNotice();
+
+    const host = document.createElement('div');
+    host.id = NOTICE_CONFIG.HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    const notice = document.createElement('div');
+    notice.className = isError ? 'notice error' : 'notice';
+    notice.setAttribute('role', isError ? 'alert' : 'status');
+    notice.textContent = text;
+    const style = document.createElement('style');
+    style.textContent = NOTICE_STYLES;
+    shadow.append(style, notice);
+    document.documentElement.append(host);
+
+    const state = { host, timer: null };
+    state.timer = setTimeout(() => {
+        if (noticeState === state) hidePageNotice();
+    }, NOTICE_CONFIG.DURATION_MS);
+    noticeState = state;
+}
+
+/**
+ * Removes the current notice, if any.
+ */
+function hidePageNotice() {
+    if (!noticeState) return;
+    clearTimeout(noticeState.timer);
+    noticeState.host.remove();
+    noticeState = null;
+}
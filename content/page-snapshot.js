@@ -0,0 +1,199 @@
+// =============================================================================
+// Page Snapshot: an accessibility-tree-style view of the page for the LLM
+// =============================================================================
+
+const SNAPSHOT_CONFIG = {
+    DEFAULT_TOKEN_BUDGET: 4000,
+    // Rough chars-per-token ratio used to estimate the cost of a node
+    CHARS_PER_TOKEN: 4,
+    MAX_NAME_LENGTH: 80,
+    // Upper bound on elements described, to keep huge pages responsive
+    MAX_CANDIDATES: 1500,
+};
+
+// Elements worth describing to the model: interactive controls, form structure,
+// headings and landmarks.
+const SNAPSHOT_CANDIDATE_SELECTOR = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[contenteditable=""]', '[contenteditable="true"]', '[role]', '[tabindex]:not([tabindex="-1"])',
+    'label', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'nav', 'main', 'header', 'footer', 'aside', 'form', 'dialog',
+    'section[aria-label]', 'section[aria-labelledby]', 'img[alt]:not([alt=""])',
+].join(',');
+
+const INTERACTIVE_ROLES = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio',
+    'switch', 'slider', 'spinbutton', 'menuitem', 'tab', 'option',
+]);
+
+const LANDMARK_ROLES = new Set([
+    'banner', 'navigation', 'main', 'contentinfo', 'complementary', 'form', 'region', 'search', 'dialog',
+]);
+
+// Roles whose accessible name may come from their text content (landmarks and
+// forms are only named by labels, otherwise their whole text would be the name)
+const NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'link', 'heading', 'label', 'menuitem', 'tab', 'option', 'checkbox', 'radio', 'switch', 'cell', 'img',
+]);
+
+// Implicit ARIA roles of <input> types
+const INPUT_TYPE_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button',
+    checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox',
+};
+
+// Implicit ARIA roles by tag name
+const TAG_ROLES = {
+    A: 'link', BUTTON: 'button', SUMMARY: 'button', TEXTAREA: 'textbox', IMG: 'img',
+    NAV: 'navigation', MAIN: 'main', HEADER: 'banner', FOOTER: 'contentinfo', ASIDE: 'complementary',
+    FORM: 'form', SECTION: 'region', DIALOG: 'dialog', LABEL: 'label',
+    H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading', H5: 'heading', H6: 'heading',
+};
+
+// =============================================================================
+// Role and Accessible Name
+// =============================================================================
+
+/**
+ * Computes an element's explicit or implicit ARIA role.
+ * @param {Element} element
+ * @returns {string}
+ */
+function getElementRole(element) {
+    const explicitRole = element.getAttribute('role');
+    if (explicitRole) return explicitRole.split(/\s+/)[0];
+
+    if (element.tagName === 'INPUT') return INPUT_TYPE_ROLES[element.type] || 'textbox';
+    if (element.tagName === 'SELECT') return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    if (element.isContentEditable) return 'textbox';
+
+    return TAG_ROLES[element.tagName] || element.tagName.toLowerCase();
+}
+
+/**
+ * Approximates the accessible name of an element (aria-labelledby, aria-label,
+ * associated labels, alt/title/placeholder, then text content).
+ * @param {Element} element
+ * @param {string} role - The element's role, see getElementRole().
+ * @returns {string}
+ */
+function getAccessibleName(element, role) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const text = labelledBy.split(/\s+/)
+            .map(id => document.getElementById(id)?.textContent || '')
+            .join(' ');
+        if (text.trim()) return normalizeText(text, SNAPSHOT_CONFIG.MAX_NAME_LENGTH);
+    }
+
+    const candidates = [
+        element.getAttribute('aria-label'),
+        element.labels?.length ? Array.from(element.labels).map(l => l.textContent).join(' ') : '',
+        element.getAttribute('alt'),
+        element.getAttribute('title'),
+        element.getAttribute('placeholder'),
+        element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type) ? element.value : '',
+        NAME_FROM_CONTENT_ROLES.has(role) ? element.innerText ?? element.textContent : '',
+    ];
+
+    const name = candidates.find(c => c && c.trim());
+    return normalizeText(name || '', SNAPSHOT_CONFIG.MAX_NAME_LENGTH);
+}
+
+// =============================================================================
+// Snapshot
+// =============================================================================
+
+/**
+ * Lists the state flags of an element worth telling the model about.
+ * @param {Element} element
+ * @returns {Array<string>}
+ */
+function getElementStates(element) {
+    const states = [];
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') states.push('disabled');
+    if (element.required || element.getAttribute('aria-required') === 'true') states.push('required');
+    if (element.checked || element.getAttribute('aria-checked') === 'true') states.push('checked');
+    if (element.getAttribute('aria-expanded') === 'true') states.push('expanded');
+    if (element.getAttribute('aria-expanded') === 'false') states.push('collapsed');
+    return states;
+}
+
+/**
+ * Describes one element as a snapshot node.
+ * @param {Element} element
+ * @returns {Object}
+ */
+function describeElement(element) {
+    const role = getElementRole(element);
+    const rect = element.getBoundingClientRect();
+    const node = {
+        role,
+        name: getAccessibleName(element, role),
+        selector: buildStableSelector(element),
+        visible: isElementVisible(element),
+        inViewport: isElementInViewport(element),
+        box: [
+            Math.round(rect.left + window.scrollX),
+            Math.round(rect.top + window.scrollY),
+            Math.round(rect.width),
+            Math.round(rect.height),
+        ],
+    };
+
+    if (role === 'heading') node.level = Number(element.tagName.slice(1)) || Number(element.getAttribute('aria-level')) || undefined;
+    if (element.tagName === 'INPUT') node.inputType = element.type;
+
+    const states = getElementStates(element);
+    if (states.length) node.states = states;
+
+    return node;
+}
+
+/**
+ * Ranks nodes for the token budget: visible interactive controls first, then
+ * visible landmarks/headings, then other visible nodes, then hidden ones.
+ * @param {Object} node
+ * @returns {number} Lower is more important.
+ */
+function getNodePriority(node) {
+    const interactive = INTERACTIVE_ROLES.has(node.role);
+    const structural = LANDMARK_ROLES.has(node.role) || node.role === 'heading';
+    const rank = interactive ? 0 : structural ? 1 : 2;
+    return node.visible ? rank : rank + 3;
+}
+
+/**
+ * Builds a structured snapshot of the page, trimmed to a token budget.
+ * Nodes are chosen by priority, then returned in document order with a `ref` number.
+ *
+ * @param {{ root?: Element, tokenBudget?: number }} [options]
+ * @returns {{ nodes: Array<Object>, totalNodes: number, truncated: boolean }}
+ */
+function buildPageSnapshot({ root = document.body, tokenBudget = SNAPSHOT_CONFIG.DEFAULT_TOKEN_BUDGET } = {}) {
+    const elements = Array.from(root.querySelectorAll(SNAPSHOT_CANDIDATE_SELECTOR))
+        .slice(0, SNAPSHOT_CONFIG.MAX_CANDIDATES);
+    const described = elements
+        .map((element, order) => ({ order, node: describeElement(element) }))
+        // Unnamed generic containers carry no information for the model
+        .filter(({ node }) => node.name || INTERACTIVE_ROLES.has(node.role) || LANDMARK_ROLES.has(node.role));
+
+    const byPriority = [...described].sort((a, b) =>
+        getNodePriority(a.node) - getNodePriority(b.node) || a.order - b.order
+    );
+
+    const selected = [];
+    let usedTokens = 0;
+    for (const entry of byPriority) {
+        const cost = Math.ceil(JSON.stringify(entry.node).length / SNAPSHOT_CONFIG.CHARS_PER_TOKEN);
+        if (usedTokens + cost > tokenBudget) continue;
+        usedTokens += cost;
+        selected.push(entry);
+    }
+
+    const nodes = selected
+        .sort((a, b) => a.order - b.order)
+        .map(({ node }, i) => ({ ref: i + 1, ...node }));
+
+    return { nodes, totalNodes: described.length, truncated: selected.length < described.length };
+}
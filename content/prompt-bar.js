@@ -0,0 +1,304 @@
+// =============================================================================
+// Prompt Bar: ask for a tour from the page, without the popup
+// =============================================================================
+//
+// An optional launcher (enabled on the options page) that opens a prompt bar.
+// It sends the same GENERATE_TOUR and PREDEFINED_TOURS messages as the popup,
+// so the page stays in view while trying one prompt after another. Predefined
+// tours are started by the background script, which fills and validates their
+// default inputs (see form-inputs.js).
+
+const PROMPT_BAR_CONFIG = {
+    HOST_ID: 'llm-tour-prompt-bar',
+    Z_INDEX: 2147483647,
+    // chrome.storage.local key of the options page's "Show the prompt bar on pages" setting (see settings.js)
+    ENABLED_STORAGE_KEY: 'showPromptBar',
+};
+
+const PROMPT_BAR_STYLES = `
+:host { all: initial; }
+.launcher, .panel {
+    position: fixed; right: 16px; z-index: ${PROMPT_BAR_CONFIG.Z_INDEX};
+    font: 13px/1.4 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #111827;
+}
+.launcher {
+    bottom: 16px; padding: 8px 14px; border: none; border-radius: 999px; background: #1f2937; color: #fff;
+    font: inherit; font-weight: 600; cursor: pointer; box-shadow: 0 4px 6px -1px rgba(0,0,0,.2);
+}
+.panel {
+    bottom: 60px; width: 320px; box-sizing: border-box; padding: 10px; background: #fff;
+    border: 1px solid #d1d5db; border-radius: 8px; box-shadow: 0 4px 6px -1px rgba(0,0,0,.1), 0 2px 4px -1px rgba(0,0,0,.06);
+}
+.header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; }
+.title { font-weight: 700; text-transform: uppercase; letter-spacing: .05em; font-size: 11px; }
+textarea { width: 100%; box-sizing: border-box; min-height: 56px; resize: vertical; padding: 5px 7px; border: 1px solid #e5e7eb; border-radius: 6px; font: inherit; }
+.row { display: flex; gap: 6px; margin-top: 8px; }
+.row > * { flex: 1; }
+button { padding: 6px 8px; border-radius: 6px; border: 1px solid #d1d5db; background: #fff; color: #1f2937; font: inherit; font-weight: 600; cursor: pointer; }
+button.primary { background: #1f2937; border-color: #1f2937; color: #fff; }
+button.close { border: none; padding: 0 4px; font-size: 16px; line-height: 1; }
+button:disabled { opacity: .6; cursor: default; }
+.status { color: #6b7280; font-size: 12px; margin-top: 6px; }
+.status.error { color: #b91c1c; }
+.tours { margin-top: 10px; border-top: 1px solid #e5e7eb; padding-top: 8px; }
+.tours button { display: block; width: 100%; text-align: left; margin-top: 4px; font-weight: 400; }
+`;
+
+// Prompt bar state; null while the bar is not on the page
+let promptBarState = null;
+
+// =============================================================================
+// Small Helpers
+// =============================================================================
+
+/**
+ * Creates an element with properties and children.
+ * @param {string} tag
+ * @param {Object} [props] - Assigned to the element (className, textContent, type...).
+ * @param {Array<Node|string>} [children]
+ * @returns {HTMLElement}
+ */
+function createPromptBarElement(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.assign(element, props);
+    children.forEach(child => element.append(child));
+    return element;
+}
+
+/**
+ * @param {string} text
+ * @param {{ isError?: boolean }} [options]
+ */
+function showPromptBarStatus(text, { isError = false } = {}) {
+    const { status } = promptBarState;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+// =============================================================================
+// Mounting
+// =============================================================================
+
+/**
+ * Adds the launcher to the page. The bar itself opens on click.
+ */
+function mountPromptBar() {
+    if (promptBarState) return;
+
+    const host = document.createElement('div');
+    host.id = PROMPT_BAR_CONFIG.HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    // Keep the page's own shortcuts from reacting to typing in the bar
+    host.addEventListener('keydown', (event) => {
+        event.stopPropagation();
+        if (event.key === 'Escape') closePromptBar();
+    });
+
+    const launcher = createPromptBarElement('button', { className: 'launcher', textContent: 'Tour', title: 'Ask for a tour of this page' });
+    launcher.addEventListener('click', () => (promptBarState.panel.hidden ? openPromptBar() : closePromptBar()));
+
+    const prompt = createPromptBarElement('textarea', { placeholder: 'e.g. "Show me how to book a ticket"' });
+    prompt.setAttribute('aria-label', 'Tour prompt');
+    prompt.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && !event.shiftKey) {
+            event.preventDefault();
+            handlePromptBarGenerate();
+        }
+    });
+    const generateButton = createPromptBarElement('button', { className: 'primary', textContent: 'Generate tour' });
+    generateButton.addEventListener('click', handlePromptBarGenerate);
+    const cancelButton = createPromptBarElement('button', { textContent: 'Cancel', hidden: true });
+    cancelButton.addEventListener('click', handlePromptBarCancel);
+    const closeButton = createPromptBarElement('button', { className: 'close', textContent: '×', title: 'Close' });
+    closeButton.addEventListener('click', closePromptBar);
+
+    const status = createPromptBarElement('div', { className: 'status' });
+    status.setAttribute('role', 'status');
+    const tours = createPromptBarElement('div', { className: 'tours', hidden: true });
+
+    const panel = createPromptBarElement('div', { className: 'panel', hidden: true }, [
+        createPromptBarElement('div', { className: 'header' }, [
+            createPromptBarElement('span', { className: 'title', textContent: 'Ask for a tour' }),
+            closeButton,
+        ]),
+        prompt,
+        createPromptBarElement('div', { className: 'row' }, [generateButton, cancelButton]),
+        status,
+        tours,
+    ]);
+
+    shadow.append(createPromptBarElement('style', { textContent: PROMPT_BAR_STYLES }), panel, launcher);
+    document.documentElement.append(host);
+
+    promptBarState = { host, panel, prompt, generateButton, cancelButton, status, tours, requestId: null };
+}
+
+/**
+ * Removes the launcher and the bar, cancelling a generation in progress.
+ */
+function unmountPromptBar() {
+    if (!promptBarState) return;
+    handlePromptBarCancel();
+    promptBarState.host.remove();
+    promptBarState = null;
+}
+
+/**
+ * Opens the bar and lists the predefined tours for this page.
+ */
+function openPromptBar() {
+    promptBarState.panel.hidden = false;
+    promptBarState.prompt.focus();
+    renderPromptBarTours();
+}
+
+/**
+ * Collapses the bar to its launcher. The prompt is kept for the next try.
+ */
+function closePromptBar() {
+    if (promptBarState) promptBarState.panel.hidden = true;
+}
+
+/**
+ * Shows or hides the launcher when the setting changes.
+ * @param {boolean} enabled
+ */
+function setPromptBarEnabled(enabled) {
+    if (enabled) mountPromptBar();
+    else unmountPromptBar();
+}
+
+// =============================================================================
+// Tours
+// =============================================================================
+
+/**
+ * Lists the predefined and library tours matching this page, best match first.
+ */
+async function renderPromptBarTours() {
+    const { tours } = promptBarState;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPE.PREDEFINED_TOURS, url: location.href });
+        if (!promptBarState || response?.ok === false) return;
+
+        const matches = response?.tours || [];
+        tours.replaceChildren(
+            createPromptBarElement('div', { className: 'title', textContent: 'Tours for this page' }),
+            ...matches.map(tour => {
+                const button = createPromptBarElement('button', { textContent: tour.tourName, title: tour.description || '' });
+                button.addEventListener('click', () => startPromptBarTour(tour));
+                return button;
+            }),
+        );
+        tours.hidden = matches.length === 0;
+    } catch (err) {
+        console.warn('Failed to list the tours for this page:', err);
+    }
+}
+
+/**
+ * Has the background script start a predefined tour with its default inputs.
+ * @param {Object} tour
+ */
+async function startPromptBarTour(tour) {
+    showPromptBarStatus('');
+    closePromptBar();
+    try {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPE.START_PREDEFINED_TOUR, tourName: tour.tourName });
+        if (response?.ok === false) {
+            openPromptBar();
+            showPromptBarStatus(response.error, { isError: true });
+        }
+    } catch (err) {
+        console.error('Prompt bar tour start failed:', err);
+        openPromptBar();
+        showPromptBarStatus(`The tour could not be started: ${err.message}`, { isError: true });
+    }
+}
+
+// =============================================================================
+// Generation
+// =============================================================================
+
+/**
+ * @param {boolean} busy
+ */
+function setPromptBarBusy(busy) {
+    const { prompt, generateButton, cancelButton } = promptBarState;
+    prompt.disabled = busy;
+    generateButton.disabled = busy;
+    generateButton.textContent = busy ? 'Generating…' : 'Generate tour';
+    cancelButton.hidden = !busy;
+}
+
+/**
+ * Generates a tour from the prompt. The background script runs it on this
+ * page; the bar collapses while it runs and reports steps that could not be highlighted.
+ */
+async function handlePromptBarGenerate() {
+    const prompt = promptBarState.prompt.value.trim();
+    if (!prompt || promptBarState.requestId) return;
+
+    const requestId = crypto.randomUUID();
+    promptBarState.requestId = requestId;
+    setPromptBarBusy(true);
+    showPromptBarStatus('Reading the page and asking the model…');
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPE.GENERATE_TOUR, prompt, requestId });
+        if (promptBarState?.requestId !== requestId) return;
+
+        if (response?.ok === false) {
+            const cancelled = response.code === ERROR_CODE.CANCELLED;
+            showPromptBarStatus(cancelled ? 'Cancelled.' : response.error, { isError: !cancelled });
+            return;
+        }
+
+        showPromptBarStatus('');
+        closePromptBar();
+        const skipped = (response?.diagnostics || []).filter(step => step.outcome === STEP_OUTCOME.SKIPPED);
+        if (skipped.length) {
+            showPageNotice(`${skipped.length} of ${response.diagnostics.length} steps could not be highlighted and show as floating popovers.`);
+        }
+    } catch (err) {
+        console.error('Prompt bar generation failed:', err);
+        if (promptBarState?.requestId === requestId) {
+            showPromptBarStatus(`Generation failed: ${err.message}`, { isError: true });
+        }
+    } finally {
+        if (promptBarState?.requestId === requestId) {
+            promptBarState.requestId = null;
+            setPromptBarBusy(false);
+        }
+    }
+}
+
+/**
+ * Aborts the generation started from the bar, if any.
+ */
+function handlePromptBarCancel() {
+    if (!promptBarState?.requestId) return;
+    chrome.runtime.sendMessage({ type: MESSAGE_TYPE.CANCEL_GENERATION, requestId: promptBarState.requestId })
+        .catch(err => console.warn('Failed to cancel the generation:', err));
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+/**
+ * Shows the launcher if it is enabled, and follows changes to the setting.
+ */
+async function initializePromptBar() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        const change = changes[PROMPT_BAR_CONFIG.ENABLED_STORAGE_KEY];
+        if (areaName === 'local' && change) setPromptBarEnabled(!!change.newValue);
+    });
+
+    try {
+        const data = await chrome.storage.local.get([PROMPT_BAR_CONFIG.ENABLED_STORAGE_KEY]);
+        setPromptBarEnabled(!!data[PROMPT_BAR_CONFIG.ENABLED_STORAGE_KEY]);
+    } catch (err) {
+        console.warn('Failed to read the prompt bar setting:', err);
+    }
+}
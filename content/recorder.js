@@ -0,0 +1,384 @@
+// =============================================================================
+// Tour Recorder: author predefined tours by clicking elements on the page
+// =============================================================================
+//
+// Produces tours in the data/stored-steps.json schema:
+// { url, tourName, description, formInputs, steps: [{ locators, xpath, popover, waitForInput, inputKey, nextActions }] }
+
+const RECORDER_CONFIG = {
+    HOST_ID: 'llm-tour-recorder',
+    Z_INDEX: 2147483647,
+};
+
+// How a recorded step advances to the next one
+const ADVANCE_MODE = {
+    NEXT_BUTTON: 'next',
+    WAIT_FOR_INPUT: 'input',
+    CLICK: 'click',
+};
+
+const RECORDER_STYLES = `
+:host { all: initial; }
+.toolbar, .editor {
+    position: fixed; z-index: ${RECORDER_CONFIG.Z_INDEX}; font: 13px/1.4 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+    color: #111827; background: #fff; border: 1px solid #d1d5db; border-radius: 8px;
+    box-shadow: 0 4px 6px -1px rgba(0,0,0,.1), 0 2px 4px -1px rgba(0,0,0,.06); padding: 10px; box-sizing: border-box;
+}
+.toolbar { top: 12px; right: 12px; width: 280px; }
+.editor { width: 300px; }
+.title { font-weight: 700; text-transform: uppercase; letter-spacing: .05em; font-size: 11px; margin-bottom: 8px; }
+label { display: block; font-size: 11px; font-weight: 700; color: #4b5563; margin: 6px 0 2px; }
+input[type="text"], textarea, select { width: 100%; box-sizing: border-box; padding: 5px 7px; border: 1px solid #e5e7eb; border-radius: 6px; font: inherit; }
+textarea { min-height: 48px; resize: vertical; }
+.row { display: flex; gap: 6px; margin-top: 8px; }
+.row > * { flex: 1; }
+.radio { display: flex; align-items: center; gap: 6px; font-weight: 400; color: #111827; }
+button { padding: 6px 8px; border-radius: 6px; border: 1px solid #d1d5db; background: #fff; color: #1f2937; font: inherit; font-weight: 600; cursor: pointer; }
+button.primary { background: #1f2937; border-color: #1f2937; color: #fff; }
+.hint { color: #6b7280; font-size: 12px; margin-top: 6px; }
+.steps { margin: 6px 0 0; padding-left: 18px; max-height: 120px; overflow: auto; }
+.highlight { position: fixed; z-index: ${RECORDER_CONFIG.Z_INDEX - 1}; pointer-events: none; border: 2px solid #2563eb; background: rgba(37,99,235,.1); border-radius: 4px; }
+`;
+
+// Recorder state; null while not recording
+let recorderState = null;
+
+// =============================================================================
+// Small DOM Helper
+// =============================================================================
+
+/**
+ * Creates an element with properties and children.
+ * @param {string} tag
+ * @param {Object} [props] - Assigned to the element (className, textContent, type, value...).
+ * @param {Array<Node|string>} [children]
+ * @returns {HTMLElement}
+ */
+function createRecorderElement(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.assign(element, props);
+    children.forEach(child => element.append(child));
+    return element;
+}
+
+// =============================================================================
+// Recording Lifecycle
+// =============================================================================
+
+/**
+ * Starts recording: shows the toolbar and intercepts clicks on the page.
+ */
+function startRecording() {
+    if (recorderState) return;
+
+    const host = document.createElement('div');
+    host.id = RECORDER_CONFIG.HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.append(createRecorderElement('style', { textContent: RECORDER_STYLES }));
+    document.documentElement.append(host);
+
+    recorderState = {
+        host,
+        shadow,
+        steps: [],
+        highlight: createRecorderElement('div', { className: 'highlight' }),
+        toolbar: null,
+        editor: null,
+    };
+    shadow.append(recorderState.highlight);
+    renderRecorderToolbar();
+
+    document.addEventListener('mouseover', handleRecorderHover, true);
+    document.addEventListener('click', handleRecorderClick, true);
+    document.addEventListener('keydown', handleRecorderKeydown, true);
+}
+
+/**
+ * Stops recording and removes the recorder UI.
+ */
+function stopRecording() {
+    if (!recorderState) return;
+    document.removeEventListener('mouseover', handleRecorderHover, true);
+    document.removeEventListener('click', handleRecorderClick, true);
+    document.removeEventListener('keydown', handleRecorderKeydown, true);
+    recorderState.host.remove();
+    recorderState = null;
+}
+
+/**
+ * @param {Event} event
+ * @returns {boolean} True when the event comes from the recorder's own UI.
+ */
+function isRecorderEvent(event) {
+    return event.composedPath().includes(recorderState.host);
+}
+
+/**
+ * Outlines the element under the pointer while no step is being edited.
+ * @param {MouseEvent} event
+ */
+function handleRecorderHover(event) {
+    if (isRecorderEvent(event) || recorderState.editor) return;
+    const rect = event.target.getBoundingClientRect();
+    Object.assign(recorderState.highlight.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+    });
+}
+
+/**
+ * Turns a click on the page into a new step instead of activating the element.
+ * @param {MouseEvent} event
+ */
+function handleRecorderClick(event) {
+    if (isRecorderEvent(event) || recorderState.editor) {
+        if (!isRecorderEvent(event)) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    openStepEditor(event.target);
+}
+
+/**
+ * Escape closes the step editor, or stops recording when no editor is open.
+ * @param {KeyboardEvent} event
+ */
+function handleRecorderKeydown(event) {
+    if (event.key !== 'Escape') return;
+    event.stopPropagation();
+    if (recorderState.editor) {
+        closeStepEditor();
+    } else {
+        stopRecording();
+    }
+}
+
+// =============================================================================
+// Toolbar
+// =============================================================================
+
+/**
+ * (Re-)renders the toolbar with the tour details and recorded steps.
+ */
+function renderRecorderToolbar() {
+    const previous = recorderState.toolbar;
+    const nameInput = createRecorderElement('input', { type: 'text', placeholder: 'Tour name', value: previous?.querySelector('[data-field="name"]')?.value || document.title });
+    nameInput.dataset.field = 'name';
+    const descriptionInput = createRecorderElement('input', { type: 'text', placeholder: 'Short description', value: previous?.querySelector('[data-field="description"]')?.value || '' });
+    descriptionInput.dataset.field = 'description';
+
+    const stepList = createRecorderElement('ol', { className: 'steps' },
+        recorderState.steps.map(step => createRecorderElement('li', { textContent: step.popover.title })));
+
+    const floatingButton = createRecorderElement('button', { textContent: 'Add floating step' });
+    floatingButton.addEventListener('click', () => openStepEditor(null));
+    const undoButton = createRecorderElement('button', { textContent: 'Undo step', disabled: recorderState.steps.length === 0 });
+    undoButton.addEventListener('click', () => {
+        recorderState.steps.pop();
+        renderRecorderToolbar();
+    });
+
+    const copyButton = createRecorderElement('button', { textContent: 'Copy JSON', disabled: recorderState.steps.length === 0 });
+    copyButton.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(JSON.stringify(buildRecordedTour(), null, 4));
+        copyButton.textContent = 'Copied';
+    });
+    const saveButton = createRecorderElement('button', { className: 'primary', textContent: 'Save tour', disabled: recorderState.steps.length === 0 });
+    saveButton.addEventListener('click', () => saveRecordedTour(saveButton));
+    const cancelButton = createRecorderElement('button', { textContent: 'Cancel' });
+    cancelButton.addEventListener('click', stopRecording);
+
+    const toolbar = createRecorderElement('div', { className: 'toolbar' }, [
+        createRecorderElement('div', { className: 'title', textContent: `Recording tour · ${recorderState.steps.length} step(s)` }),
+        createRecorderElement('label', { textContent: 'Name' }), nameInput,
+        createRecorderElement('label', { textContent: 'Description' }), descriptionInput,
+        stepList,
+        createRecorderElement('div', { className: 'hint', textContent: 'Click any element to add a step. Esc stops recording.' }),
+        createRecorderElement('div', { className: 'row' }, [floatingButton, undoButton]),
+        createRecorderElement('div', { className: 'row' }, [copyButton, saveButton, cancelButton]),
+    ]);
+
+    if (previous) previous.replaceWith(toolbar);
+    else recorderState.shadow.append(toolbar);
+    recorderState.toolbar = toolbar;
+}
+
+/**
+ * Assembles the recorded tour in the stored-steps.json schema.
+ * @returns {Object}
+ */
+function buildRecordedTour() {
+    const toolbar = recorderState.toolbar;
+    const formInputs = {};
+    recorderState.steps
+        .filter(step => step.inputKey)
+        .forEach(step => { formInputs[step.inputKey] = { type: 'string', label: step.popover.title, required: true }; });
+
+    const tour = {
+        url: `${location.origin}${location.pathname}`,
+        tourName: toolbar.querySelector('[data-field="name"]').value.trim() || document.title,
+        description: toolbar.querySelector('[data-field="description"]').value.trim(),
+        steps: recorderState.steps,
+    };
+    if (Object.keys(formInputs).length) tour.formInputs = formInputs;
+    return tour;
+}
+
+/**
+ * Sends the recorded tour to the background script for storage in the tour library.
+ * @param {HTMLButtonElement} button - The save button, used for progress feedback.
+ */
+async function saveRecordedTour(button) {
+    button.disabled = true;
+    button.textContent = 'Saving...';
+    try {
+        const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPE.SAVE_RECORDED_TOUR, tour: buildRecordedTour() });
+        if (!response?.ok) {
+            throw new Error(response?.error || 'Unknown error saving tour.');
+        }
+        stopRecording();
+    } catch (err) {
+        console.error('Failed to save recorded tour:', err);
+        button.disabled = false;
+        button.textContent = 'Save tour';
+        alert(`Failed to save tour: ${err.message}`);
+    }
+}
+
+// =============================================================================
+// Step Editor
+// =============================================================================
+
+/**
+ * Opens the inline editor for a new step targeting `target` (null for a floating step).
+ * @param {Element|null} target
+ */
+function openStepEditor(target) {
+    closeStepEditor();
+
+    const titleInput = createRecorderElement('input', { type: 'text', placeholder: 'Step title' });
+    const descriptionInput = createRecorderElement('textarea', { placeholder: 'What should the user know about this element?' });
+    const sideSelect = createRecorderElement('select', {}, ['bottom', 'top', 'left', 'right']
+        .map(side => createRecorderElement('option', { value: side, textContent: side })));
+    const alignSelect = createRecorderElement('select', {}, ['start', 'center', 'end']
+        .map(align => createRecorderElement('option', { value: align, textContent: align })));
+
+    const inputKeyInput = createRecorderElement('input', { type: 'text', placeholder: 'Input key, e.g. origin', value: target?.name || target?.id || '' });
+    const modeOption = (mode, text) => {
+        const radio = createRecorderElement('input', { type: 'radio', name: 'advance', value: mode, checked: mode === ADVANCE_MODE.NEXT_BUTTON });
+        return createRecorderElement('label', { className: 'radio' }, [radio, text]);
+    };
+    const modeOptions = target
+        ? [
+            modeOption(ADVANCE_MODE.NEXT_BUTTON, 'Next button'),
+            modeOption(ADVANCE_MODE.WAIT_FOR_INPUT, 'Wait for input'),
+            modeOption(ADVANCE_MODE.CLICK, 'Click element to advance'),
+        ]
+        : [];
+
+    const addButton = createRecorderElement('button', { className: 'primary', textContent: 'Add step' });
+    const cancelButton = createRecorderElement('button', { textContent: 'Cancel' });
+    cancelButton.addEventListener('click', closeStepEditor);
+
+    const editor = createRecorderElement('div', { className: 'editor' }, [
+        createRecorderElement('div', { className: 'title', textContent: target ? `Step on <${target.tagName.toLowerCase()}>` : 'Floating step' }),
+        createRecorderElement('label', { textContent: 'Title' }), titleInput,
+        createRecorderElement('label', { textContent: 'Description' }), descriptionInput,
+        createRecorderElement('div', { className: 'row' }, [sideSelect, alignSelect]),
+        ...(target ? [createRecorderElement('label', { textContent: 'Advance by' }), ...modeOptions, inputKeyInput] : []),
+        createRecorderElement('div', { className: 'row' }, [addButton, cancelButton]),
+    ]);
+
+    const syncInputKeyVisibility = () => {
+        const mode = editor.querySelector('input[name="advance"]:checked')?.value;
+        inputKeyInput.style.display = mode === ADVANCE_MODE.WAIT_FOR_INPUT ? 'block' : 'none';
+    };
+    editor.addEventListener('change', syncInputKeyVisibility);
+    syncInputKeyVisibility();
+
+    addButton.addEventListener('click', () => {
+        const title = titleInput.value.trim();
+        if (!title) {
+            titleInput.focus();
+            return;
+        }
+        const mode = editor.querySelector('input[name="advance"]:checked')?.value || ADVANCE_MODE.NEXT_BUTTON;
+        recorderState.steps.push(buildRecordedStep(target, {
+            title,
+            description: descriptionInput.value.trim(),
+            side: sideSelect.value,
+            align: alignSelect.value,
+            mode,
+            inputKey: inputKeyInput.value.trim(),
+        }));
+        closeStepEditor();
+        renderRecorderToolbar();
+    });
+
+    positionStepEditor(editor, target);
+    recorderState.shadow.append(editor);
+    recorderState.editor = editor;
+    titleInput.focus();
+}
+
+/**
+ * Places the editor next to its target, or centered for floating steps.
+ * @param {HTMLElement} editor
+ * @param {Element|null} target
+ */
+function positionStepEditor(editor, target) {
+    if (!target) {
+        Object.assign(editor.style, { top: '30%', left: 'calc(50% - 150px)' });
+        return;
+    }
+    const rect = target.getBoundingClientRect();
+    const top = Math.min(Math.max(rect.bottom + 8, 8), window.innerHeight - 320);
+    const left = Math.min(Math.max(rect.left, 8), window.innerWidth - 308);
+    Object.assign(editor.style, { top: `${top}px`, left: `${left}px` });
+}
+
+function closeStepEditor() {
+    recorderState.editor?.remove();
+    recorderState.editor = null;
+}
+
+/**
+ * Builds a step in the stored-steps.json schema.
+ * @param {Element|null} target
+ * @param {{ title: string, description: string, side: string, align: string, mode: string, inputKey: string }} details
+ * @returns {Object}
+ */
+function buildRecordedStep(target, details) {
+    const step = {};
+
+    if (target) {
+        step.locators = generateLocators(target);
+        step.xpath = buildXPath(target);
+    }
+
+    step.popover = {
+        title: details.title,
+        description: details.description,
+        side: details.side,
+        align: details.align,
+    };
+
+    if (target && details.mode === ADVANCE_MODE.WAIT_FOR_INPUT) {
+        step.waitForInput = true;
+        step.inputKey = details.inputKey || `input${recorderState.steps.length + 1}`;
+        step.inputValue = '';
+    }
+
+    if (target && details.mode === ADVANCE_MODE.CLICK) {
+        step.nextActions = [{ action: 'click', locators: step.locators, xpath: step.xpath }];
+    }
+
+    return step;
+}
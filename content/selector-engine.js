@@ -0,0 +1,321 @@
+// =============================================================================
+// Selector Engine: several locators per step, tried in order at runtime
+// =============================================================================
+//
+// A step may carry `locators`, ordered from most to least stable:
+//   { type: 'id', value: 'origin' }
+//   { type: 'testid', attribute: 'data-testid', value: 'search-button' }
+//   { type: 'role', role: 'button', name: 'Search' }
+//   { type: 'text', tag: 'button', value: 'Search' }
+//   { type: 'css', value: '#origin > input' }
+//   { type: 'xpath', value: '//*[@id="origin"]/span/input' }
+// The legacy `element`/`selector` (CSS) and `xpath` fields are still honoured
+// and tried after any explicit locators.
+
+const LOCATOR_TYPE = {
+    ID: 'id',
+    TEST_ID: 'testid',
+    ROLE: 'role',
+    TEXT: 'text',
+    CSS: 'css',
+    XPATH: 'xpath',
+};
+
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+
+// Text locators are only generated for short labels
+const MAX_TEXT_LOCATOR_LENGTH = 60;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Heuristically rejects generated ids/values (React `:r1:`, hashes, long numbers)
+ * that are unlikely to survive a page reload.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isStableToken(value) {
+    return !!value && !/^:r|\d{4,}|^[a-f0-9-]{16,}$/i.test(value);
+}
+
+/**
+ * @param {string} selector
+ * @returns {boolean} True when the selector matches exactly one element.
+ */
+function isUniqueSelector(selector) {
+    try {
+        return document.querySelectorAll(selector).length === 1;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Quotes a string for use inside an XPath expression.
+ * @param {string} value
+ * @returns {string}
+ */
+function toXPathLiteral(value) {
+    if (!value.includes('"')) return `"${value}"`;
+    if (!value.includes("'")) return `'${value}'`;
+    return `concat("${value.split('"').join(`", '"', "`)}")`;
+}
+
+/**
+ * Runs an XPath expression and returns every matching element.
+ * @param {string} xpath
+ * @returns {Array<Element>}
+ */
+function evaluateXPathAll(xpath) {
+    const snapshot = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    return Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i));
+}
+
+/**
+ * Short human-readable description of a locator for logs and reports.
+ * @param {Object} locator
+ * @returns {string}
+ */
+function describeLocator(locator) {
+    if (!locator) return '';
+    if (locator.type === LOCATOR_TYPE.ROLE) return `role=${locator.role} name=${JSON.stringify(locator.name)}`;
+    if (locator.type === LOCATOR_TYPE.TEXT) return `text=${JSON.stringify(locator.value)}${locator.tag ? ` in <${locator.tag}>` : ''}`;
+    return `${locator.type}=${locator.value}`;
+}
+
+// =============================================================================
+// Locator Generation
+// =============================================================================
+
+/**
+ * Pre-computes a CSS selector that uniquely identifies an element, preferring
+ * ids and test/name attributes over positional paths.
+ * @param {Element} element
+ * @returns {string}
+ */
+function buildStableSelector(element) {
+    const tag = element.tagName.toLowerCase();
+
+    if (isStableToken(element.id) && isUniqueSelector(`#${CSS.escape(element.id)}`)) {
+        return `#${CSS.escape(element.id)}`;
+    }
+
+    for (const attr of [...TEST_ID_ATTRIBUTES, 'name', 'aria-label']) {
+        const value = element.getAttribute(attr);
+        const selector = value && `${tag}[${attr}="${CSS.escape(value)}"]`;
+        if (selector && isUniqueSelector(selector)) return selector;
+    }
+
+    // Positional path up to the nearest ancestor with a unique id
+    const segments = [];
+    let current = element;
+    while (current && current !== document.documentElement) {
+        if (current !== element && isStableToken(current.id) && isUniqueSelector(`#${CSS.escape(current.id)}`)) {
+            segments.unshift(`#${CSS.escape(current.id)}`);
+            break;
+        }
+        const currentTag = current.tagName.toLowerCase();
+        const siblings = current.parentElement
+            ? Array.from(current.parentElement.children).filter(c => c.tagName === current.tagName)
+            : [];
+        segments.unshift(siblings.length > 1 ? `${currentTag}:nth-of-type(${siblings.indexOf(current) + 1})` : currentTag);
+        current = current.parentElement;
+    }
+    return segments.join(' > ');
+}
+
+/**
+ * Builds an XPath in the same style as data/stored-steps.json: anchored on the
+ * nearest ancestor id, positional below it.
+ * @param {Element} element
+ * @returns {string}
+ */
+function buildXPath(element) {
+    const segments = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+        if (isStableToken(current.id) && isUniqueSelector(`#${CSS.escape(current.id)}`)) {
+            segments.unshift(`//*[@id=${toXPathLiteral(current.id)}]`);
+            return segments.join('/');
+        }
+        const tag = current.tagName.toLowerCase();
+        const siblings = current.parentElement
+            ? Array.from(current.parentElement.children).filter(c => c.tagName === current.tagName)
+            : [];
+        segments.unshift(siblings.length > 1 ? `${tag}[${siblings.indexOf(current) + 1}]` : tag);
+        current = current.parentElement;
+    }
+    return `/${segments.join('/')}`;
+}
+
+/**
+ * Generates the fallback chain of locators for an element, most stable first.
+ * Role and text locators are only kept when they are unique on the page.
+ * @param {Element} element
+ * @returns {Array<Object>}
+ */
+function generateLocators(element) {
+    const locators = [];
+
+    if (isStableToken(element.id) && document.getElementById(element.id) === element) {
+        locators.push({ type: LOCATOR_TYPE.ID, value: element.id });
+    }
+
+    const testIdAttribute = TEST_ID_ATTRIBUTES.find(attr => element.getAttribute(attr));
+    if (testIdAttribute) {
+        locators.push({ type: LOCATOR_TYPE.TEST_ID, attribute: testIdAttribute, value: element.getAttribute(testIdAttribute) });
+    }
+
+    const role = getElementRole(element);
+    const name = getAccessibleName(element, role);
+    const roleLocator = { type: LOCATOR_TYPE.ROLE, role, name };
+    const isMeaningfulRole = INTERACTIVE_ROLES.has(role) || LANDMARK_ROLES.has(role) || role === 'heading';
+    if (name && isMeaningfulRole && findByLocator(roleLocator).length === 1) {
+        locators.push(roleLocator);
+    }
+
+    const text = normalizeText(element.innerText ?? element.textContent, Infinity);
+    const textLocator = { type: LOCATOR_TYPE.TEXT, tag: element.tagName.toLowerCase(), value: text };
+    if (text && text.length <= MAX_TEXT_LOCATOR_LENGTH && findByLocator(textLocator).length === 1) {
+        locators.push(textLocator);
+    }
+
+    locators.push({ type: LOCATOR_TYPE.CSS, value: buildStableSelector(element) });
+    locators.push({ type: LOCATOR_TYPE.XPATH, value: buildXPath(element) });
+
+    return locators;
+}
+
+// =============================================================================
+// Locator Resolution
+// =============================================================================
+
+/**
+ * Finds every element matching one locator.
+ * @param {Object} locator
+ * @returns {Array<Element>}
+ * @throws {Error} When a CSS selector or XPath is syntactically invalid, or the type is unknown.
+ */
+function findByLocator(locator) {
+    switch (locator.type) {
+        case LOCATOR_TYPE.ID: {
+            const element = document.getElementById(locator.value);
+            return element ? [element] : [];
+        }
+        case LOCATOR_TYPE.TEST_ID:
+            return Array.from(document.querySelectorAll(`[${locator.attribute || 'data-testid'}="${CSS.escape(locator.value)}"]`));
+        case LOCATOR_TYPE.ROLE: {
+            const name = normalizeText(locator.name, Infinity).toLowerCase();
+            return Array.from(document.querySelectorAll(SNAPSHOT_CANDIDATE_SELECTOR)).filter(element => {
+                const role = getElementRole(element);
+                return role === locator.role && getAccessibleName(element, role).toLowerCase() === name;
+            });
+        }
+        case LOCATOR_TYPE.TEXT: {
+            const matches = evaluateXPathAll(`//${locator.tag || '*'}[normalize-space(.)=${toXPathLiteral(locator.value)}]`);
+            // Keep the innermost elements: an ancestor's text equals its only child's text
+            return matches.filter(element => !matches.some(other => other !== element && element.contains(other)));
+        }
+        case LOCATOR_TYPE.CSS:
+            return Array.from(document.querySelectorAll(locator.value));
+        case LOCATOR_TYPE.XPATH:
+            return evaluateXPathAll(locator.value);
+        default:
+            throw new Error(`Unknown locator type: ${locator.type}`);
+    }
+}
+
+/**
+ * Lists a step's locators in the order they are tried: explicit `locators`
+ * first, then the legacy `xpath` and `element`/`selector` fields.
+ * @param {Object} step - A tour step or a `nextActions` entry.
+ * @returns {Array<Object>}
+ */
+function getStepLocators(step) {
+    const locators = Array.isArray(step.locators) ? [...step.locators] : [];
+    if (step.xpath) locators.push({ type: LOCATOR_TYPE.XPATH, value: step.xpath });
+    const css = typeof step.element === 'string' ? step.element : step.selector;
+    if (css) locators.push({ type: LOCATOR_TYPE.CSS, value: css });
+    return locators;
+}
+
+/**
+ * Tries a step's locators in order. The first locator with exactly one match
+ * wins; otherwise the first locator with several matches is used.
+ * @param {Object} step
+ * @returns {{ element: Element|null, matches: Array<Element>, locator: Object|null, errors: Array<string> }}
+ */
+function resolveStepTarget(step) {
+    const errors = [];
+    let ambiguous = null;
+
+    for (const locator of getStepLocators(step)) {
+        let matches;
+        try {
+            matches = findByLocator(locator);
+        } catch (err) {
+            errors.push(`${describeLocator(locator)}: ${err.message}`);
+            continue;
+        }
+
+        if (matches.length === 1) {
+            return { element: matches[0], matches, locator, errors };
+        }
+        if (matches.length > 1 && !ambiguous) {
+            ambiguous = { element: matches[0], matches, locator, errors };
+        }
+    }
+
+    return ambiguous || { element: null, matches: [], locator: null, errors };
+}
+
+/**
+ * Resolves a step to a single element, logging which locator matched.
+ * @param {Object} step
+ * @returns {Element|undefined} Undefined when nothing matched (Driver.js then shows a floating popover).
+ */
+function resolveStepElement(step) {
+    const { element, locator, errors } = resolveStepTarget(step);
+    if (errors.length) {
+        console.warn('Invalid step locators:', errors);
+    }
+    if (element) {
+        console.log(`Step element matched by ${describeLocator(locator)}`);
+        return element;
+    }
+    console.warn('No locator matched step:', step);
+    return undefined;
+}
+
+/**
+ * Waits for a step's target to appear, e.g. while a single-page app renders a new route.
+ * @param {Object} step
+ * @param {number} timeoutMs
+ * @returns {Promise<Element|null>} The element, or null on timeout or when the step has no locators.
+ */
+function waitForStepElement(step, timeoutMs) {
+    if (getStepLocators(step).length === 0) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const find = () => resolveStepTarget(step).element;
+        const found = find();
+        if (found) {
+            resolve(found);
+            return;
+        }
+
+        const observer = new MutationObserver(() => {
+            const element = find();
+            if (element) finish(element);
+        });
+        const timer = setTimeout(() => finish(null), timeoutMs);
+        const finish = (element) => {
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(element);
+        };
+        observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
+    });
+}
@@ -0,0 +1,74 @@
+// =============================================================================
+// Tour Theme: how Driver.js presents a tour
+// =============================================================================
+//
+// A tour's own `config` (from the model or the tour library) is merged over the
+// user's defaults from the options page, which are merged over the extension's
+// defaults. Themes are the stylesheets in themes/, loaded next to
+// vendor/driver.css; a theme only adds its class to the popover.
+
+const TOUR_THEME_CONFIG = {
+    // chrome.storage.local key of the options page's presentation settings (see settings.js)
+    STORAGE_KEY: 'tourPresentation',
+    CLASS_PREFIX: 'tour-theme-',
+    // Themes with a stylesheet; "default" is the plain Driver.js look
+    STYLED_THEMES: ['light', 'dark', 'high-contrast'],
+};
+
+// Used until the options page is saved; PRESENTATION_DEFAULTS in settings.js has the same values
+const TOUR_PRESENTATION_DEFAULTS = {
+    theme: 'default',
+    animate: false,
+    showProgress: false,
+    showButtons: ['next', 'previous', 'close'],
+    allowClose: true,
+    allowKeyboardControl: true,
+    disableActiveInteraction: false,
+    overlayColor: '#000000',
+    overlayOpacity: 0.7,
+    stagePadding: 10,
+};
+
+// The Driver.js options a config may set (TOUR_CONFIG_SCHEMA in ai-providers/schema.js, less `theme`)
+const DRIVER_PRESENTATION_KEYS = [
+    'animate', 'smoothScroll', 'showProgress', 'progressText', 'showButtons',
+    'nextBtnText', 'prevBtnText', 'doneBtnText', 'allowClose', 'allowKeyboardControl',
+    'disableActiveInteraction', 'overlayColor', 'overlayOpacity', 'stagePadding', 'stageRadius', 'popoverClass',
+];
+
+/**
+ * @returns {Promise<Object>} The presentation defaults saved on the options page; empty when never saved.
+ */
+async function readPresentationSettings() {
+    try {
+        const data = await chrome.storage.local.get([TOUR_THEME_CONFIG.STORAGE_KEY]);
+        return data[TOUR_THEME_CONFIG.STORAGE_KEY] || {};
+    } catch (err) {
+        console.warn('Failed to read the tour presentation settings:', err);
+        return {};
+    }
+}
+
+/**
+ * Builds the Driver.js options a tour is presented with. Keys other than the
+ * presentation options are ignored, so a config cannot replace steps or hooks.
+ * @param {Object} [tourConfig] - The tour's `config`.
+ * @returns {Promise<Object>} Options for window.driver.js.driver().
+ */
+async function getTourPresentation(tourConfig = {}) {
+    const merged = { ...TOUR_PRESENTATION_DEFAULTS, ...(await readPresentationSettings()), ...tourConfig };
+
+    const options = {};
+    DRIVER_PRESENTATION_KEYS.forEach(key => {
+        // Empty button texts keep the Driver.js labels
+        if (merged[key] !== undefined && merged[key] !== '') options[key] = merged[key];
+    });
+    if (typeof options.overlayOpacity === 'number') {
+        options.overlayOpacity = Math.min(Math.max(options.overlayOpacity, 0), 1);
+    }
+
+    const themeClass = TOUR_THEME_CONFIG.STYLED_THEMES.includes(merged.theme) ? `${TOUR_THEME_CONFIG.CLASS_PREFIX}${merged.theme}` : '';
+    const popoverClass = [themeClass, options.popoverClass].filter(Boolean).join(' ');
+    if (popoverClass) options.popoverClass = popoverClass;
+    return options;
+}
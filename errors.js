@@ -0,0 +1,135 @@
+// errors.js
+//
+// Error codes of the message protocol. Errors stay plain `Error`s with a
+// `code` (and the raw model output when there is one); handlers reply with
+// toErrorResponse(), and the popup looks the code up in ERROR_DETAILS to show
+// the cause category and a suggested fix.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const ERROR_CODE = {
+    MISSING_API_KEY: 'MISSING_API_KEY',
+    MISSING_INPUT: 'MISSING_INPUT',
+    NO_ACTIVE_TAB: 'NO_ACTIVE_TAB',
+    CONTENT_SCRIPT_UNAVAILABLE: 'CONTENT_SCRIPT_UNAVAILABLE',
+    NETWORK: 'NETWORK',
+    PROVIDER_AUTH: 'PROVIDER_AUTH',
+    PROVIDER_RATE_LIMIT: 'PROVIDER_RATE_LIMIT',
+    PROVIDER_HTTP: 'PROVIDER_HTTP',
+    INVALID_RESPONSE: 'INVALID_RESPONSE',
+    UNEXPECTED_RESPONSE: 'UNEXPECTED_RESPONSE',
+    NO_STEPS: 'NO_STEPS',
+    RENDER_FAILED: 'RENDER_FAILED',
+    NO_TARGET_ELEMENT: 'NO_TARGET_ELEMENT',
+    DOMAIN_DENIED: 'DOMAIN_DENIED',
+    CANCELLED: 'CANCELLED',
+    UNKNOWN: 'UNKNOWN',
+};
+
+// Cause category and suggested fix shown in the popup's error panel
+export const ERROR_DETAILS = {
+    [ERROR_CODE.MISSING_API_KEY]: {
+        category: 'Configuration',
+        fix: 'Enter the API key of the selected provider on the options page, or switch to a provider that does not need one.',
+    },
+    [ERROR_CODE.MISSING_INPUT]: {
+        category: 'Input',
+        fix: 'Fill in the missing field and try again.',
+    },
+    [ERROR_CODE.NO_ACTIVE_TAB]: {
+        category: 'Page',
+        fix: 'Open the popup from the tab you want a tour of.',
+    },
+    [ERROR_CODE.CONTENT_SCRIPT_UNAVAILABLE]: {
+        category: 'Page',
+        fix: 'Reload the page. Browser pages (chrome://, the Web Store) and PDF viewers cannot run tours.',
+    },
+    [ERROR_CODE.NETWORK]: {
+        category: 'Provider',
+        fix: 'Check your connection, and for local models that the server is running at the endpoint URL.',
+    },
+    [ERROR_CODE.PROVIDER_AUTH]: {
+        category: 'Provider',
+        fix: 'The provider rejected the API key or model. Check the key, and that it has access to the model.',
+    },
+    [ERROR_CODE.PROVIDER_RATE_LIMIT]: {
+        category: 'Provider',
+        fix: 'The provider\'s rate limit or quota was hit. Wait a minute, or use another model.',
+    },
+    [ERROR_CODE.PROVIDER_HTTP]: {
+        category: 'Provider',
+        fix: 'The provider returned an error. Try again, or check the model name and endpoint URL.',
+    },
+    [ERROR_CODE.INVALID_RESPONSE]: {
+        category: 'Model output',
+        fix: 'The model did not return a valid tour, even after being asked to correct it. Try again, rephrase the prompt or pick a stronger model.',
+    },
+    [ERROR_CODE.UNEXPECTED_RESPONSE]: {
+        category: 'Model output',
+        fix: 'The model answered with something other than a tour. Rephrase the prompt as a request for a tour of this page.',
+    },
+    [ERROR_CODE.NO_STEPS]: {
+        category: 'Tour',
+        fix: 'The tour has no steps. Generate it again or add steps in the editor.',
+    },
+    [ERROR_CODE.RENDER_FAILED]: {
+        category: 'Tour',
+        fix: 'The page could not show the tour. Reload the page and run it again.',
+    },
+    [ERROR_CODE.NO_TARGET_ELEMENT]: {
+        category: 'Page',
+        fix: 'Right-click the element again. The page changed, or was reloaded after the right-click.',
+    },
+    [ERROR_CODE.DOMAIN_DENIED]: {
+        category: 'Privacy',
+        fix: 'Remove the site from the privacy denylist on the options page to use AI here. Predefined tours still run.',
+    },
+    [ERROR_CODE.CANCELLED]: {
+        category: 'Cancelled',
+        fix: '',
+    },
+    [ERROR_CODE.UNKNOWN]: {
+        category: 'Unexpected error',
+        fix: 'Try again. The extension\'s service worker console has the details.',
+    },
+};
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * @param {string} code - One of ERROR_CODE.
+ * @param {string} message
+ * @param {{ raw?: string, status?: number, retryable?: boolean }} [details]
+ *   `raw` is the model output that caused the error; `retryable: false` stops provider retries.
+ * @returns {Error}
+ */
+export function createError(code, message, details = {}) {
+    return Object.assign(new Error(message), { code }, details);
+}
+
+/**
+ * Builds the `{ ok: false }` reply of a message handler.
+ * @param {Error} error
+ * @param {string} fallbackMessage - Used when the error has no message.
+ * @returns {{ ok: false, code: string, error: string, raw?: string }}
+ */
+export function toErrorResponse(error, fallbackMessage) {
+    return {
+        ok: false,
+        code: error?.code || ERROR_CODE.UNKNOWN,
+        error: error?.message || fallbackMessage,
+        ...(error?.raw !== undefined ? { raw: error.raw } : {}),
+    };
+}
+
+/**
+ * @param {string} [code]
+ * @returns {{ category: string, fix: string }}
+ */
+export function describeError(code) {
+    return ERROR_DETAILS[code] || ERROR_DETAILS[ERROR_CODE.UNKNOWN];
+}
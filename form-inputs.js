@@ -0,0 +1,212 @@
+// form-inputs.js
+//
+// Typed `formInputs` of parameterised tours. Each key matches the `inputKey`
+// of the steps that collect it:
+//
+//   "formInputs": {
+//     "origin": { "type": "string", "label": "From", "required": true, "minLength": 2 },
+//     "journeyDate": { "type": "date", "label": "Journey date", "min": "today" },
+//     "passengers": { "type": "number", "label": "Passengers", "min": 1, "max": 6, "default": 1 },
+//     "travelClass": { "type": "enum", "label": "Class", "options": ["SL", "3A", "2A"], "default": "SL" }
+//   }
+//
+// The legacy form, `"origin": ""`, is an optional string input with that default.
+// Values are always strings once validated, ready to become a step's `inputValue`.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const FORM_INPUT_TYPE = {
+    STRING: 'string',
+    DATE: 'date',
+    NUMBER: 'number',
+    ENUM: 'enum',
+};
+
+export const FORM_INPUT_TYPES = Object.values(FORM_INPUT_TYPE);
+
+// Accepted in a date input's `min`/`max` for the current day
+const TODAY = 'today';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Turns an input key into a label: "journeyDate" -> "Journey date".
+ * @param {string} key
+ * @returns {string}
+ */
+function toLabel(key) {
+    const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The local date as YYYY-MM-DD.
+ */
+function toIsoDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses an ISO or human-readable date ("15 Aug 2025").
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD, or null when the text is not a date.
+ */
+function parseDate(text) {
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(text);
+    if (Number.isNaN(date.getTime())) return null;
+    // Reject rollovers such as 2025-02-31
+    if (iso && toIsoDate(date) !== text) return null;
+    return toIsoDate(date);
+}
+
+/**
+ * @param {string|undefined} bound - A date bound, possibly "today".
+ * @returns {string|undefined}
+ */
+function resolveDateBound(bound) {
+    return bound === TODAY ? toIsoDate(new Date()) : bound;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Expands a tour's `formInputs` into full definitions, in declaration order.
+ * @param {Object} [formInputs]
+ * @returns {Array<{ key: string, type: string, label: string, description?: string, default: string,
+ *   required: boolean, options?: Array<string>, min?: number|string, max?: number|string,
+ *   pattern?: string, minLength?: number, maxLength?: number }>}
+ */
+export function normalizeFormInputs(formInputs) {
+    return Object.entries(formInputs || {}).map(([key, spec]) => {
+        if (typeof spec !== 'object' || spec === null) {
+            return { key, type: FORM_INPUT_TYPE.STRING, label: toLabel(key), default: String(spec ?? ''), required: false };
+        }
+
+        const hasOptions = Array.isArray(spec.options) && spec.options.length > 0;
+        let type = FORM_INPUT_TYPES.includes(spec.type) ? spec.type : FORM_INPUT_TYPE.STRING;
+        if (type === FORM_INPUT_TYPE.ENUM && !hasOptions) type = FORM_INPUT_TYPE.STRING;
+
+        const definition = {
+            ...spec,
+            key,
+            type,
+            label: spec.label || toLabel(key),
+            default: spec.default === undefined ? '' : String(spec.default),
+            required: spec.required === true,
+        };
+        if (type === FORM_INPUT_TYPE.DATE) {
+            definition.min = resolveDateBound(spec.min);
+            definition.max = resolveDateBound(spec.max);
+        }
+        if (hasOptions) definition.options = spec.options.map(String);
+        return definition;
+    });
+}
+
+/**
+ * Validates and canonicalizes one value against its definition.
+ * @param {Object} definition - One entry of normalizeFormInputs().
+ * @param {*} raw
+ * @returns {{ value: string, error?: string }} `value` is empty when the input was left blank.
+ */
+export function validateFormValue(definition, raw) {
+    const text = raw === undefined || raw === null ? '' : String(raw).trim();
+    const { label } = definition;
+
+    if (text === '') {
+        return definition.required ? { value: '', error: `${label} is required.` } : { value: '' };
+    }
+
+    switch (definition.type) {
+        case FORM_INPUT_TYPE.NUMBER: {
+            const number = Number(text);
+            if (!Number.isFinite(number)) return { value: text, error: `${label} must be a number.` };
+            if (definition.min !== undefined && number < definition.min) return { value: text, error: `${label} must be at least ${definition.min}.` };
+            if (definition.max !== undefined && number > definition.max) return { value: text, error: `${label} must be at most ${definition.max}.` };
+            return { value: String(number) };
+        }
+        case FORM_INPUT_TYPE.DATE: {
+            const date = parseDate(text);
+            if (!date) return { value: text, error: `${label} must be a date (YYYY-MM-DD).` };
+            if (definition.min && date < definition.min) return { value: date, error: `${label} must be on or after ${definition.min}.` };
+            if (definition.max && date > definition.max) return { value: date, error: `${label} must be on or before ${definition.max}.` };
+            return { value: date };
+        }
+        case FORM_INPUT_TYPE.ENUM: {
+            const option = definition.options.find(o => o === text)
+                || definition.options.find(o => o.toLowerCase() === text.toLowerCase());
+            if (!option) return { value: text, error: `${label} must be one of: ${definition.options.join(', ')}.` };
+            return { value: option };
+        }
+        default: {
+            if (definition.minLength !== undefined && text.length < definition.minLength) {
+                return { value: text, error: `${label} must be at least ${definition.minLength} characters.` };
+            }
+            if (definition.maxLength !== undefined && text.length > definition.maxLength) {
+                return { value: text, error: `${label} must be at most ${definition.maxLength} characters.` };
+            }
+            if (definition.pattern && !new RegExp(`^(?:${definition.pattern})$`).test(text)) {
+                return { value: text, error: `${label} has an invalid format.` };
+            }
+            return { value: text };
+        }
+    }
+}
+
+/**
+ * Validates a set of values against a tour's `formInputs`. Unknown keys are dropped.
+ * @param {Object} formInputs
+ * @param {Object} values - Raw values by input key.
+ * @param {{ partial?: boolean }} [options] - `partial` skips required checks on missing values,
+ *   for values extracted from a sentence that may mention only some inputs.
+ * @returns {{ values: Object<string, string>, errors: Object<string, string> }} Valid, non-empty values and errors by key.
+ */
+export function validateFormValues(formInputs, values, { partial = false } = {}) {
+    const result = { values: {}, errors: {} };
+
+    normalizeFormInputs(formInputs).forEach(definition => {
+        const raw = values?.[definition.key];
+        const missing = raw === undefined || raw === null || String(raw).trim() === '';
+        if (partial && missing) return;
+
+        const { value, error } = validateFormValue(definition, raw);
+        if (error) {
+            result.errors[definition.key] = error;
+        } else if (value !== '') {
+            result.values[definition.key] = value;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * @param {Object} formInputs
+ * @returns {Object<string, string>} The declared defaults by input key, blanks omitted.
+ */
+export function getDefaultFormValues(formInputs) {
+    return Object.fromEntries(
+        normalizeFormInputs(formInputs).filter(d => d.default !== '').map(d => [d.key, d.default])
+    );
+}
+
+/**
+ * Sets the `inputValue` of every step whose `inputKey` has a value.
+ * @param {Array<Object>} steps
+ * @param {Object<string, string>} values
+ * @returns {Array<Object>}
+ */
+export function applyFormValues(steps, values) {
+    return steps.map(step =>
+        step.inputKey && values[step.inputKey] ? { ...step, inputValue: values[step.inputKey] } : step
+    );
+}
@@ -0,0 +1,218 @@
+import {
+    getAllTours,
+    renameUserTour,
+    deleteUserTour,
+    duplicateTour,
+    setTourLocale,
+    exportTours,
+    importTours,
+} from './tour-library.js';
+import { describeLanguage, normalizeLanguageTag } from './tour-locale.js';
+
+// =============================================================================
+// Constants & DOM Selectors
+// =============================================================================
+
+class DOM {
+    static get importButton() { return document.getElementById('import'); }
+    static get importFile() { return document.getElementById('import-file'); }
+    static get exportAllButton() { return document.getElementById('export-all'); }
+    static get status() { return document.getElementById('status'); }
+    static get tourRows() { return document.getElementById('tour-rows'); }
+}
+
+// =============================================================================
+// UI Helpers
+// =============================================================================
+
+/**
+ * Shows a status line above the table.
+ * @param {string} text
+ * @param {boolean} [isError]
+ */
+function showStatus(text, isError = false) {
+    DOM.status.textContent = text;
+    DOM.status.classList.toggle('error', isError);
+}
+
+/**
+ * Offers JSON text as a file download.
+ * @param {string} json
+ * @param {string} filename
+ */
+function downloadJson(json, filename) {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {string} name
+ * @returns {string} A filesystem-friendly file name.
+ */
+function toFileName(name) {
+    return `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tour'}.json`;
+}
+
+/**
+ * Runs a library action, reporting its outcome and refreshing the table.
+ * @param {function():Promise<string>} action - Resolves to the success message.
+ */
+async function runAction(action) {
+    try {
+        const message = await action();
+        if (message) showStatus(message);
+        await renderTours();
+    } catch (error) {
+        console.error('Tour library action failed:', error);
+        showStatus(error.message, true);
+    }
+}
+
+// =============================================================================
+// Translation
+// =============================================================================
+
+/**
+ * Translates a tour through the active provider and stores the result as the
+ * tour's text variant for the language. Bundled tours get a translated copy.
+ * @param {Object} tour
+ * @param {string} language - A language tag.
+ * @returns {Promise<string>} The success message.
+ */
+async function addTranslation(tour, language) {
+    if (!normalizeLanguageTag(language)) {
+        throw new Error(`"${language}" is not a language tag such as "fr" or "pt-BR".`);
+    }
+    const { tourName, description, steps } = tour;
+    const response = await chrome.runtime.sendMessage({ type: 'TRANSLATE_TOUR', tour: { tourName, description, steps }, language });
+    if (response?.ok === false) {
+        throw new Error(response.error);
+    }
+
+    const target = tour.readOnly ? await duplicateTour(tour.id) : tour;
+    await setTourLocale(target.id, language, response.tour);
+    return `Added ${describeLanguage(language)} text to "${target.tourName}".`;
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Creates a small action button.
+ * @param {string} label
+ * @param {function():void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createActionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Builds the table row of one tour. Bundled tours can only be duplicated, translated (as a copy) and exported.
+ * @param {Object} tour
+ * @returns {HTMLTableRowElement}
+ */
+function createTourRow(tour) {
+    const row = document.createElement('tr');
+
+    [tour.tourName, tour.url, String(tour.steps.length), tour.source || ''].forEach((text, i) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (i === 1) {
+            cell.className = 'url';
+            cell.title = text;
+        }
+        row.appendChild(cell);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'tour-actions';
+
+    if (!tour.readOnly) {
+        actions.appendChild(createActionButton('Rename', () => {
+            const name = prompt('New tour name:', tour.tourName);
+            if (name === null) return;
+            runAction(async () => {
+                await renameUserTour(tour.id, name);
+                return `Renamed to "${name.trim()}".`;
+            });
+        }));
+    }
+
+    actions.appendChild(createActionButton('Duplicate', () => runAction(async () => {
+        const copy = await duplicateTour(tour.id);
+        return `Created "${copy.tourName}".`;
+    })));
+
+    actions.appendChild(createActionButton('Translate', () => {
+        const language = prompt('Add the tour\'s text in which language? Enter a language tag, e.g. fr, de or pt-BR.');
+        if (!language) return;
+        runAction(() => addTranslation(tour, language.trim()));
+    }));
+
+    actions.appendChild(createActionButton('Export', () => runAction(async () => {
+        downloadJson(await exportTours([tour.id]), toFileName(tour.tourName));
+        return '';
+    })));
+
+    if (!tour.readOnly) {
+        actions.appendChild(createActionButton('Delete', () => {
+            if (!confirm(`Delete "${tour.tourName}"?`)) return;
+            runAction(async () => {
+                await deleteUserTour(tour.id);
+                return `Deleted "${tour.tourName}".`;
+            });
+        }));
+    }
+
+    const actionsCell = document.createElement('td');
+    actionsCell.appendChild(actions);
+    row.appendChild(actionsCell);
+
+    return row;
+}
+
+/**
+ * Renders every library and bundled tour.
+ */
+async function renderTours() {
+    const tours = await getAllTours();
+    DOM.tourRows.replaceChildren(...tours.map(createTourRow));
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+function initializeLibrary() {
+    DOM.importButton.addEventListener('click', () => DOM.importFile.click());
+
+    DOM.importFile.addEventListener('change', () => {
+        const [file] = DOM.importFile.files;
+        if (!file) return;
+        runAction(async () => {
+            const imported = await importTours(await file.text());
+            return `Imported ${imported.length} tour(s) from ${file.name}.`;
+        }).finally(() => {
+            DOM.importFile.value = '';
+        });
+    });
+
+    DOM.exportAllButton.addEventListener('click', () => runAction(async () => {
+        downloadJson(await exportTours(), 'website-tours.json');
+        return '';
+    }));
+
+    renderTours().catch(error => showStatus(`Failed to load tours: ${error.message}`, true));
+}
+
+document.addEventListener('DOMContentLoaded', initializeLibrary);
@@ -0,0 +1,510 @@
+import { getProvider, listProviders } from './ai-providers/registry.js';
+import { DEFAULT_PROMPT_TEMPLATE, PROMPT_TEMPLATE_VARIABLES } from './ai-providers/prompts.js';
+import {
+    getActiveProviderId,
+    setActiveProviderId,
+    getProviderSettings,
+    saveProviderSettings,
+    getGenerationSettings,
+    saveGenerationSettings,
+    getShowPromptBar,
+    setShowPromptBar,
+    getAnalyticsCollectorUrl,
+    saveAnalyticsCollectorUrl,
+    getPrivacySettings,
+    savePrivacySettings,
+    getPresentationSettings,
+    savePresentationSettings,
+} from './settings.js';
+import { TOUR_THEMES } from './ai-providers/schema.js';
+import { getTourRuns, clearTourRuns, summarizeTourRuns, tourRunsToCsv } from './tour-analytics.js';
+import { describeLanguage } from './tour-locale.js';
+import { createError, describeError } from './errors.js';
+
+// =============================================================================
+// Constants & DOM Selectors
+// =============================================================================
+
+class DOM {
+    static get provider() { return document.getElementById('provider'); }
+    static get model() { return document.getElementById('model'); }
+    static get modelOptions() { return document.getElementById('model-options'); }
+    static get baseUrl() { return document.getElementById('baseUrl'); }
+    static get baseUrlGroup() { return document.getElementById('base-url-group'); }
+    static get apiKey() { return document.getElementById('apiKey'); }
+    static get apiKeyGroup() { return document.getElementById('api-key-group'); }
+    static get apiKeyLabel() { return document.getElementById('api-key-label'); }
+    static get toggleKeyButton() { return document.getElementById('toggle-key'); }
+    static get rememberKey() { return document.getElementById('remember-key'); }
+    static get testConnectionButton() { return document.getElementById('test-connection'); }
+    static get connectionStatus() { return document.getElementById('connection-status'); }
+    static get temperature() { return document.getElementById('temperature'); }
+    static get maxSteps() { return document.getElementById('max-steps'); }
+    static get maxRetries() { return document.getElementById('max-retries'); }
+    static get contextBudget() { return document.getElementById('context-budget'); }
+    static get tourLanguage() { return document.getElementById('tour-language'); }
+    static get tourLanguageOptions() { return document.getElementById('tour-language-options'); }
+    static get sendScreenshot() { return document.getElementById('send-screenshot'); }
+    static get promptTemplate() { return document.getElementById('prompt-template'); }
+    static get templateVariables() { return document.getElementById('template-variables'); }
+    static get resetTemplateButton() { return document.getElementById('reset-template'); }
+    static get showPromptBar() { return document.getElementById('show-prompt-bar'); }
+    static get tourTheme() { return document.getElementById('tour-theme'); }
+    static get overlayColor() { return document.getElementById('overlay-color'); }
+    static get overlayOpacity() { return document.getElementById('overlay-opacity'); }
+    static get stagePadding() { return document.getElementById('stage-padding'); }
+    static get nextBtnText() { return document.getElementById('next-btn-text'); }
+    static get prevBtnText() { return document.getElementById('prev-btn-text'); }
+    static get doneBtnText() { return document.getElementById('done-btn-text'); }
+    static get showNextButton() { return document.getElementById('show-next-button'); }
+    static get showPreviousButton() { return document.getElementById('show-previous-button'); }
+    static get showCloseButton() { return document.getElementById('show-close-button'); }
+    static get showProgress() { return document.getElementById('show-progress'); }
+    static get animateTour() { return document.getElementById('animate-tour'); }
+    static get allowClose() { return document.getElementById('allow-close'); }
+    static get keyboardControl() { return document.getElementById('keyboard-control'); }
+    static get disableInteraction() { return document.getElementById('disable-interaction'); }
+    static get redactContext() { return document.getElementById('redact-context'); }
+    static get deniedDomains() { return document.getElementById('denied-domains'); }
+    static get analyticsSummary() { return document.getElementById('analytics-summary'); }
+    static get exportCsvButton() { return document.getElementById('export-analytics-csv'); }
+    static get exportJsonButton() { return document.getElementById('export-analytics-json'); }
+    static get clearAnalyticsButton() { return document.getElementById('clear-analytics'); }
+    static get analyticsStatus() { return document.getElementById('analytics-status'); }
+    static get analyticsCollector() { return document.getElementById('analytics-collector'); }
+    static get saveButton() { return document.getElementById('save'); }
+    static get status() { return document.getElementById('status'); }
+}
+
+// Suggested in the tour language field; any language tag is accepted
+const SUGGESTED_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt-BR', 'nl', 'pl', 'ru', 'tr', 'ar', 'hi', 'ja', 'ko', 'zh-CN'];
+
+// =============================================================================
+// UI Helpers
+// =============================================================================
+
+/**
+ * @param {HTMLElement} element - A status line.
+ * @param {string} text
+ * @param {'error'|'success'} [kind]
+ */
+function showStatus(element, text, kind) {
+    element.textContent = text;
+    element.classList.toggle('error', kind === 'error');
+    element.classList.toggle('success', kind === 'success');
+}
+
+/**
+ * @param {Error} error
+ * @returns {string} The message followed by the suggested fix for its error code.
+ */
+function describeFailure(error) {
+    const { fix } = describeError(error.code);
+    return fix ? `${error.message} ${fix}` : error.message;
+}
+
+/**
+ * Creates an element with a class name and text.
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Offers text as a file download.
+ * @param {string} text
+ * @param {string} type - The MIME type.
+ * @param {string} filename
+ */
+function downloadText(text, type, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {HTMLInputElement} input
+ * @returns {number|null} The input's number, or null when it is empty.
+ */
+function readNumber(input) {
+    return input.value.trim() === '' ? null : Number(input.value);
+}
+
+// =============================================================================
+// Provider Settings
+// =============================================================================
+
+/**
+ * Shows the model, endpoint and key fields relevant to a provider, filled with its saved values.
+ * @param {string} providerId
+ */
+async function showProviderFields(providerId) {
+    const provider = getProvider(providerId);
+    const settings = await getProviderSettings(providerId);
+
+    DOM.modelOptions.replaceChildren(...provider.models.map(model => {
+        const option = document.createElement('option');
+        option.value = model;
+        return option;
+    }));
+    DOM.model.value = settings.model;
+
+    DOM.baseUrlGroup.style.display = provider.defaultBaseUrl ? 'block' : 'none';
+    DOM.baseUrl.value = settings.baseUrl;
+
+    DOM.apiKeyLabel.textContent = provider.requiresApiKey ? `${provider.label} API Key` : `${provider.label} API Key (optional)`;
+    DOM.apiKeyGroup.style.display = provider.id === 'mock' ? 'none' : 'block';
+    DOM.apiKey.value = settings.apiKey;
+    DOM.apiKey.type = 'password';
+    DOM.toggleKeyButton.textContent = 'Show';
+    DOM.rememberKey.checked = settings.rememberKey;
+    showStatus(DOM.connectionStatus, '');
+}
+
+/**
+ * @returns {{ apiKey: string, rememberKey: boolean, model: string, baseUrl: string }} The provider fields as entered.
+ */
+function readProviderFields() {
+    return {
+        apiKey: DOM.apiKey.value.trim(),
+        rememberKey: DOM.rememberKey.checked,
+        model: DOM.model.value.trim(),
+        baseUrl: DOM.baseUrl.value.trim(),
+    };
+}
+
+function toggleKeyVisibility() {
+    const hidden = DOM.apiKey.type === 'password';
+    DOM.apiKey.type = hidden ? 'text' : 'password';
+    DOM.toggleKeyButton.textContent = hidden ? 'Hide' : 'Show';
+}
+
+/**
+ * Sends a minimal request with the entered (unsaved) key, model and endpoint.
+ */
+async function handleTestConnection() {
+    const button = DOM.testConnectionButton;
+    button.classList.add('loading');
+    showStatus(DOM.connectionStatus, 'Testing…');
+    try {
+        const { apiKey, model, baseUrl } = readProviderFields();
+        const response = await chrome.runtime.sendMessage({
+            type: 'TEST_CONNECTION',
+            providerId: DOM.provider.value,
+            apiKey,
+            model,
+            baseUrl,
+        });
+        if (response?.ok === false) {
+            throw createError(response.code, response.error);
+        }
+        showStatus(DOM.connectionStatus, `Connected: the model answered in ${response.latencyMs} ms.`, 'success');
+    } catch (error) {
+        console.error('Connection test failed:', error);
+        showStatus(DOM.connectionStatus, describeFailure(error), 'error');
+    } finally {
+        button.classList.remove('loading');
+    }
+}
+
+// =============================================================================
+// Generation Settings
+// =============================================================================
+
+/**
+ * @param {Object} settings - From getGenerationSettings().
+ */
+function showGenerationSettings(settings) {
+    DOM.temperature.value = settings.temperature ?? '';
+    DOM.maxSteps.value = settings.maxSteps;
+    DOM.maxRetries.value = settings.maxRetries;
+    DOM.contextBudget.value = settings.contextTokenBudget;
+    DOM.promptTemplate.value = settings.promptTemplate;
+    DOM.tourLanguage.value = settings.language;
+    DOM.sendScreenshot.checked = settings.screenshot;
+}
+
+/**
+ * @returns {Object} The generation settings as entered.
+ */
+function readGenerationSettings() {
+    return {
+        temperature: readNumber(DOM.temperature),
+        maxSteps: readNumber(DOM.maxSteps),
+        maxRetries: readNumber(DOM.maxRetries),
+        contextTokenBudget: readNumber(DOM.contextBudget),
+        promptTemplate: DOM.promptTemplate.value,
+        language: DOM.tourLanguage.value.trim(),
+        screenshot: DOM.sendScreenshot.checked,
+    };
+}
+
+function renderLanguageOptions() {
+    DOM.tourLanguageOptions.replaceChildren(...SUGGESTED_LANGUAGES.map(tag => new Option(describeLanguage(tag), tag)));
+}
+
+function renderTemplateVariables() {
+    DOM.templateVariables.replaceChildren(...Object.entries(PROMPT_TEMPLATE_VARIABLES).map(([name, description]) => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = `{{${name}}}`;
+        item.append(code, ` - ${description}`);
+        return item;
+    }));
+}
+
+// =============================================================================
+// Tour Analytics
+// =============================================================================
+
+/**
+ * @param {number} count
+ * @param {number} total
+ * @returns {string} e.g. "8 (80%)".
+ */
+function formatShare(count, total) {
+    return `${count} (${total ? Math.round((count / total) * 100) : 0}%)`;
+}
+
+/**
+ * @param {Object} summary - One entry of summarizeTourRuns().
+ * @returns {HTMLElement} The tour's stats and its completion funnel, one row per step.
+ */
+function renderTourSummary(summary) {
+    const container = createElement('div', 'analytics-tour');
+    const unfinished = summary.runs - summary.completed - summary.closed;
+    container.append(
+        createElement('div', 'analytics-tour-title', summary.tourName),
+        createElement('div', 'analytics-tour-url', summary.url),
+        createElement('div', 'analytics-tour-stats',
+            `${summary.runs} runs · ${formatShare(summary.completed, summary.runs)} completed · ${summary.closed} closed early · ${unfinished} unfinished`),
+    );
+
+    const table = createElement('table', 'analytics-steps');
+    const head = createElement('tr');
+    ['Step', 'Reached', 'Avg. time', 'Element missing'].forEach(title => head.appendChild(createElement('th', '', title)));
+    table.appendChild(head);
+
+    summary.steps.forEach((step, index) => {
+        const row = createElement('tr');
+        const reached = createElement('td');
+        const bar = createElement('span', 'funnel-bar');
+        bar.style.width = `${summary.runs ? Math.round((step.reached / summary.runs) * 80) : 0}px`;
+        reached.append(bar, formatShare(step.reached, summary.runs));
+
+        row.append(
+            createElement('td', '', `${index + 1}. ${step.title || '(untitled)'}`),
+            reached,
+            createElement('td', '', step.avgTimeMs === null ? '-' : `${(step.avgTimeMs / 1000).toFixed(1)} s`),
+            createElement('td', step.broken ? 'broken' : '', String(step.broken)),
+        );
+        table.appendChild(row);
+    });
+
+    container.appendChild(table);
+    return container;
+}
+
+/**
+ * Shows the runs recorded so far, per tour and page.
+ */
+async function renderAnalytics() {
+    const summaries = summarizeTourRuns(await getTourRuns());
+    DOM.analyticsSummary.replaceChildren(...(summaries.length
+        ? summaries.map(renderTourSummary)
+        : [createElement('div', 'analytics-empty', 'No tours have run yet.')]));
+}
+
+/**
+ * @param {'csv'|'json'} format
+ */
+async function handleExportAnalytics(format) {
+    try {
+        const runs = await getTourRuns();
+        if (format === 'csv') {
+            downloadText(tourRunsToCsv(runs), 'text/csv', 'tour-analytics.csv');
+        } else {
+            downloadText(JSON.stringify(runs, null, 2), 'application/json', 'tour-analytics.json');
+        }
+    } catch (error) {
+        console.error('Exporting analytics failed:', error);
+        showStatus(DOM.analyticsStatus, `Export failed: ${error.message}`, 'error');
+    }
+}
+
+async function handleClearAnalytics() {
+    if (!confirm('Delete all recorded tour runs?')) return;
+    try {
+        await clearTourRuns();
+        await renderAnalytics();
+        showStatus(DOM.analyticsStatus, 'Analytics cleared.', 'success');
+    } catch (error) {
+        console.error('Clearing analytics failed:', error);
+        showStatus(DOM.analyticsStatus, `Clearing failed: ${error.message}`, 'error');
+    }
+}
+
+// =============================================================================
+// Privacy Settings
+// =============================================================================
+
+/**
+ * @param {{ redact: boolean, deniedDomains: Array<string> }} privacy
+ */
+function showPrivacySettings(privacy) {
+    DOM.redactContext.checked = privacy.redact;
+    DOM.deniedDomains.value = privacy.deniedDomains.join('\n');
+}
+
+/**
+ * @returns {{ redact: boolean, deniedDomains: Array<string> }} The privacy settings as entered.
+ */
+function readPrivacySettings() {
+    return { redact: DOM.redactContext.checked, deniedDomains: DOM.deniedDomains.value.split('\n') };
+}
+
+// =============================================================================
+// Tour Appearance
+// =============================================================================
+
+const THEME_LABELS = {
+    default: 'Driver.js default',
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast',
+};
+
+function renderThemeOptions() {
+    DOM.tourTheme.replaceChildren(...TOUR_THEMES.map(theme => new Option(THEME_LABELS[theme] || theme, theme)));
+}
+
+/**
+ * @returns {Array<{ button: string, input: HTMLInputElement }>} The checkbox of each Driver.js button.
+ */
+function getButtonCheckboxes() {
+    return [
+        { button: 'next', input: DOM.showNextButton },
+        { button: 'previous', input: DOM.showPreviousButton },
+        { button: 'close', input: DOM.showCloseButton },
+    ];
+}
+
+/**
+ * @param {Object} presentation - From getPresentationSettings().
+ */
+function showPresentationSettings(presentation) {
+    DOM.tourTheme.value = presentation.theme;
+    DOM.overlayColor.value = presentation.overlayColor;
+    DOM.overlayOpacity.value = presentation.overlayOpacity;
+    DOM.stagePadding.value = presentation.stagePadding;
+    DOM.nextBtnText.value = presentation.nextBtnText;
+    DOM.prevBtnText.value = presentation.prevBtnText;
+    DOM.doneBtnText.value = presentation.doneBtnText;
+    getButtonCheckboxes().forEach(({ button, input }) => { input.checked = presentation.showButtons.includes(button); });
+    DOM.showProgress.checked = presentation.showProgress;
+    DOM.animateTour.checked = presentation.animate;
+    DOM.allowClose.checked = presentation.allowClose;
+    DOM.keyboardControl.checked = presentation.allowKeyboardControl;
+    DOM.disableInteraction.checked = presentation.disableActiveInteraction;
+}
+
+/**
+ * @returns {Object} The tour presentation defaults as entered.
+ */
+function readPresentationSettings() {
+    return {
+        theme: DOM.tourTheme.value,
+        overlayColor: DOM.overlayColor.value,
+        overlayOpacity: readNumber(DOM.overlayOpacity),
+        stagePadding: readNumber(DOM.stagePadding),
+        nextBtnText: DOM.nextBtnText.value.trim(),
+        prevBtnText: DOM.prevBtnText.value.trim(),
+        doneBtnText: DOM.doneBtnText.value.trim(),
+        showButtons: getButtonCheckboxes().filter(({ input }) => input.checked).map(({ button }) => button),
+        showProgress: DOM.showProgress.checked,
+        animate: DOM.animateTour.checked,
+        allowClose: DOM.allowClose.checked,
+        allowKeyboardControl: DOM.keyboardControl.checked,
+        disableActiveInteraction: DOM.disableInteraction.checked,
+    };
+}
+
+// =============================================================================
+// Saving
+// =============================================================================
+
+/**
+ * Saves the provider selection, the shown provider's fields, the generation settings,
+ * the page settings, the tour appearance, the analytics collector and the privacy settings.
+ */
+async function handleSave() {
+    try {
+        // Generation settings are validated first, so nothing is saved when they are invalid
+        const generation = await saveGenerationSettings(readGenerationSettings());
+        await saveAnalyticsCollectorUrl(DOM.analyticsCollector.value);
+        showGenerationSettings(generation);
+        showPrivacySettings(await savePrivacySettings(readPrivacySettings()));
+        showPresentationSettings(await savePresentationSettings(readPresentationSettings()));
+
+        const providerId = DOM.provider.value;
+        await setActiveProviderId(providerId);
+        await saveProviderSettings(providerId, readProviderFields());
+        await setShowPromptBar(DOM.showPromptBar.checked);
+
+        showStatus(DOM.status, 'Settings saved.', 'success');
+    } catch (error) {
+        console.error('Saving settings failed:', error);
+        showStatus(DOM.status, error.message, 'error');
+    }
+}
+
+// =============================================================================
+// Initialization
+// =============================================================================
+
+async function initializeOptions() {
+    DOM.provider.replaceChildren(...listProviders().map(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        return option;
+    }));
+    renderTemplateVariables();
+    renderLanguageOptions();
+    renderThemeOptions();
+
+    DOM.provider.addEventListener('change', () => showProviderFields(DOM.provider.value));
+    DOM.toggleKeyButton.addEventListener('click', toggleKeyVisibility);
+    DOM.testConnectionButton.addEventListener('click', handleTestConnection);
+    DOM.resetTemplateButton.addEventListener('click', () => { DOM.promptTemplate.value = DEFAULT_PROMPT_TEMPLATE; });
+    DOM.saveButton.addEventListener('click', handleSave);
+    DOM.exportCsvButton.addEventListener('click', () => handleExportAnalytics('csv'));
+    DOM.exportJsonButton.addEventListener('click', () => handleExportAnalytics('json'));
+    DOM.clearAnalyticsButton.addEventListener('click', handleClearAnalytics);
+
+    try {
+        DOM.provider.value = await getActiveProviderId();
+        await showProviderFields(DOM.provider.value);
+        showGenerationSettings(await getGenerationSettings());
+        DOM.showPromptBar.checked = await getShowPromptBar();
+        showPrivacySettings(await getPrivacySettings());
+        showPresentationSettings(await getPresentationSettings());
+        DOM.analyticsCollector.value = await getAnalyticsCollectorUrl();
+        await renderAnalytics();
+    } catch (error) {
+        console.error('Loading settings failed:', error);
+        showStatus(DOM.status, `Failed to load settings: ${error.message}`, 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeOptions);
@@ -0,0 +1,113 @@
+// page-screenshot.js
+//
+// Screenshot of the visible part of a tab for multimodal providers. Snapshot
+// nodes on screen are outlined and labelled with their [ref] number, so the
+// model can point at what it sees by number; ai-service.js maps the numbers
+// back to the nodes' selectors. Runs in the background service worker
+// (OffscreenCanvas, no DOM).
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const SCREENSHOT_CONFIG = {
+    // Wider captures are scaled down; models downscale large images anyway
+    MAX_WIDTH: 1280,
+    JPEG_QUALITY: 0.8,
+    // Boxes beyond this are not drawn, so labels stay readable
+    MAX_BOXES: 80,
+    BOX_COLOR: '#e11d48',
+    LABEL_TEXT_COLOR: '#ffffff',
+    LABEL_FONT_PX: 12,
+};
+
+export const SCREENSHOT_MIME_TYPE = 'image/jpeg';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} The blob's bytes as base64.
+ */
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    // Chunked, as String.fromCharCode() takes a limited number of arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * The snapshot nodes to outline: visible, in the viewport, and with a box.
+ * @param {Object} pageContext
+ * @returns {Array<Object>}
+ */
+function getVisibleNodes(pageContext) {
+    return (pageContext.snapshot?.nodes || [])
+        .filter(node => node.visible && node.inViewport && node.box && node.box[2] > 0 && node.box[3] > 0)
+        .slice(0, SCREENSHOT_CONFIG.MAX_BOXES);
+}
+
+/**
+ * Outlines a node and labels it with its ref number.
+ * @param {OffscreenCanvasRenderingContext2D} context
+ * @param {Object} node
+ * @param {{ scrollX: number, scrollY: number }} viewport
+ * @param {number} scale - Image pixels per CSS pixel.
+ */
+function drawNodeBox(context, node, viewport, scale) {
+    const [left, top, width, height] = node.box;
+    const x = (left - viewport.scrollX) * scale;
+    const y = (top - viewport.scrollY) * scale;
+    context.strokeRect(x, y, width * scale, height * scale);
+
+    const label = String(node.ref);
+    const labelWidth = context.measureText(label).width + 6;
+    const labelHeight = SCREENSHOT_CONFIG.LABEL_FONT_PX + 4;
+    // Above the box, or inside it at the top edge of the image
+    const labelY = y >= labelHeight ? y - labelHeight : Math.max(y, 0);
+    context.fillStyle = SCREENSHOT_CONFIG.BOX_COLOR;
+    context.fillRect(Math.max(x, 0), labelY, labelWidth, labelHeight);
+    context.fillStyle = SCREENSHOT_CONFIG.LABEL_TEXT_COLOR;
+    context.fillText(label, Math.max(x, 0) + 3, labelY + 2);
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Captures the visible part of a tab and outlines the snapshot nodes on screen
+ * with their [ref] numbers. The tab must be the active one of its window.
+ * @param {chrome.tabs.Tab} tab
+ * @param {Object} pageContext - From the content script's getPageContext(), with `viewport` and `snapshot`.
+ * @returns {Promise<{ mimeType: string, data: string, refs: Array<number> }>}
+ *   `data` is the base64 image; `refs` are the numbers drawn on it.
+ */
+export async function captureAnnotatedScreenshot(tab, pageContext) {
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+
+    const width = Math.min(bitmap.width, SCREENSHOT_CONFIG.MAX_WIDTH);
+    const height = Math.round(bitmap.height * (width / bitmap.width));
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const viewport = pageContext.viewport || { scrollX: 0, scrollY: 0, width };
+    const scale = width / viewport.width;
+    const nodes = getVisibleNodes(pageContext);
+    context.strokeStyle = SCREENSHOT_CONFIG.BOX_COLOR;
+    context.lineWidth = 2;
+    context.font = `bold ${SCREENSHOT_CONFIG.LABEL_FONT_PX}px sans-serif`;
+    context.textBaseline = 'top';
+    nodes.forEach(node => drawNodeBox(context, node, viewport, scale));
+
+    const blob = await canvas.convertToBlob({ type: SCREENSHOT_MIME_TYPE, quality: SCREENSHOT_CONFIG.JPEG_QUALITY });
+    return { mimeType: SCREENSHOT_MIME_TYPE, data: await blobToBase64(blob), refs: nodes.map(node => node.ref) };
+}
@@ -1,12 +1,60 @@
+import { getProvider } from './ai-providers/registry.js';
+import { getActiveProviderId, getProviderSettings, getActiveProviderConfig } from './settings.js';
+import { getLastGeneratedTour, rememberGeneratedTour, forgetGeneratedTour, saveUserTour, TOUR_SOURCE } from './tour-library.js';
+import { POPOVER_SIDES, POPOVER_ALIGNS } from './ai-providers/schema.js';
+import { normalizeFormInputs, validateFormValues, applyFormValues, FORM_INPUT_TYPE } from './form-inputs.js';
+import { getConversation, restoreVersion, clearConversation, diffSteps, describeStepTarget } from './tour-history.js';
+import { ERROR_CODE, createError, describeError } from './errors.js';
+
 // =============================================================================
 // Constants & DOM Selectors
 // =============================================================================
 
 // Use a class for clean DOM access, avoiding the generic '$' utility
 class DOM {
-    static get apiKey() { return document.getElementById('apiKey'); }
+    static get providerSummary() { return document.getElementById('provider-summary'); }
+    static get openOptionsButton() { return document.getElementById('open-options'); }
     static get prompt() { return document.getElementById('prompt'); }
     static get generateButton() { return document.getElementById('generate'); }
+    static get generationProgress() { return document.getElementById('generation-progress'); }
+    static get generationStatus() { return document.getElementById('generation-status'); }
+    static get generationSteps() { return document.getElementById('generation-steps'); }
+    static get cancelGenerationButton() { return document.getElementById('cancel-generation'); }
+    static get recordButton() { return document.getElementById('record'); }
+    static get previewRequestButton() { return document.getElementById('preview-request'); }
+    static get requestPreview() { return document.getElementById('request-preview'); }
+    static get requestPreviewSummary() { return document.getElementById('request-preview-summary'); }
+    static get requestPreviewText() { return document.getElementById('request-preview-text'); }
+    static get requestPreviewCloseButton() { return document.getElementById('request-preview-close'); }
+    static get tourEditor() { return document.getElementById('tour-editor'); }
+    static get editorTourName() { return document.getElementById('editor-tour-name'); }
+    static get editorCacheNote() { return document.getElementById('editor-cache-note'); }
+    static get editorCacheText() { return document.getElementById('editor-cache-text'); }
+    static get editorRegenerateAnywayButton() { return document.getElementById('editor-regenerate-anyway'); }
+    static get editorSteps() { return document.getElementById('editor-steps'); }
+    static get editorRunButton() { return document.getElementById('editor-run'); }
+    static get editorSaveButton() { return document.getElementById('editor-save'); }
+    static get editorRegenerateButton() { return document.getElementById('editor-regenerate'); }
+    static get editorDiscardButton() { return document.getElementById('editor-discard'); }
+    static get refinePrompt() { return document.getElementById('refine-prompt'); }
+    static get editorRefineButton() { return document.getElementById('editor-refine'); }
+    static get translateLanguage() { return document.getElementById('translate-language'); }
+    static get editorTranslateButton() { return document.getElementById('editor-translate'); }
+    static get editorHistory() { return document.getElementById('editor-history'); }
+    static get editorVersions() { return document.getElementById('editor-versions'); }
+    static get editorDiff() { return document.getElementById('editor-diff'); }
+    static get openLibraryButton() { return document.getElementById('open-library'); }
+    static get errorPanel() { return document.getElementById('error-panel'); }
+    static get errorCategory() { return document.getElementById('error-category'); }
+    static get errorMessage() { return document.getElementById('error-message'); }
+    static get errorFix() { return document.getElementById('error-fix'); }
+    static get errorRaw() { return document.getElementById('error-raw'); }
+    static get errorRawText() { return document.getElementById('error-raw-text'); }
+    static get errorDismissButton() { return document.getElementById('error-dismiss'); }
+    static get runDiagnostics() { return document.getElementById('run-diagnostics'); }
+    static get runDiagnosticsSummary() { return document.getElementById('run-diagnostics-summary'); }
+    static get runDiagnosticsSteps() { return document.getElementById('run-diagnostics-steps'); }
+    static get runDiagnosticsCloseButton() { return document.getElementById('run-diagnostics-close'); }
     static get predefinedTourContainer() { return document.getElementById('predefined-tours-container'); }
 }
 
@@ -15,31 +63,23 @@ class DOM {
 // =============================================================================
 
 /**
- * Loads the saved Gemini API key from local storage.
+ * Shows which provider and model tours are generated with; they are set on the options page.
  */
-async function loadApiKey() {
+async function showProviderSummary() {
     try {
-        const data = await chrome.storage.local.get(['geminiApiKey']);
-        if (data.geminiApiKey) {
-            DOM.apiKey.value = data.geminiApiKey;
-        }
+        const provider = getProvider(await getActiveProviderId());
+        const { model, apiKey } = await getProviderSettings(provider.id);
+        const missingKey = provider.requiresApiKey && !apiKey ? ' (no API key)' : '';
+        DOM.providerSummary.textContent = `${provider.label} · ${model}${missingKey}`;
     } catch (error) {
-        console.error('Failed to load API key:', error);
+        console.error('Failed to load provider settings:', error);
     }
 }
 
-/**
- * Saves the API key to local storage.
- * @param {string} key - The API key to save.
- */
-async function saveApiKey(key) {
-    // The set method is implicitly a promise in MV3, but we keep it async/await for clarity
-    await chrome.storage.local.set({ geminiApiKey: key });
-}
-
 /**
  * Sends a message to the background script and returns a Promise.
  * Handles the lastError property and converts the response into a standard Promise pattern.
+ * Failed responses reject with an error carrying the response's `code` and `raw` model output.
  *
  * @param {Object} message - The message to send.
  * @returns {Promise<Object>} The response object from the background script.
@@ -55,7 +95,9 @@ function sendMessageAsync(message) {
 
             // Check for logical errors defined in the background script's response
             if (response && response.ok === false) {
-                return reject(new Error(response.error || 'Unknown generation failure.'));
+                return reject(createError(response.code || ERROR_CODE.UNKNOWN, response.error || 'Unknown generation failure.', {
+                    raw: response.raw,
+                }));
             }
 
             // Successful response
@@ -64,59 +106,671 @@ function sendMessageAsync(message) {
     });
 }
 
+// =============================================================================
+// Generation Progress and Cancellation
+// =============================================================================
+
+const GENERATION_STAGE_LABELS = {
+    reading_page: 'Reading the page…',
+    generating: 'Generating steps…',
+    verifying: 'Checking the steps against the page…',
+};
+
+// Request id of the generation in progress, for Cancel
+let activeRequestId = null;
+
+/**
+ * Shows the stage of the running generation and the steps received so far.
+ * @param {{ stage: string, steps?: Array<Object> }} progress
+ */
+function showGenerationProgress({ stage, steps }) {
+    DOM.generationProgress.style.display = 'block';
+    const count = steps?.length ? ` (${steps.length} so far)` : '';
+    DOM.generationStatus.textContent = `${GENERATION_STAGE_LABELS[stage] || stage}${stage === 'generating' ? count : ''}`;
+    if (steps) {
+        DOM.generationSteps.replaceChildren(...steps.map(step => {
+            const item = document.createElement('li');
+            item.textContent = step.popover?.title || '(untitled step)';
+            return item;
+        }));
+    }
+}
+
+/**
+ * Sends a GENERATE_TOUR or REFINE_TOUR request, showing its progress below the
+ * button that started it until it settles. Cancel aborts the request in the background script.
+ * @param {Object} message
+ * @param {HTMLElement} button
+ * @returns {Promise<Object>} The background's response.
+ */
+async function sendGenerationRequest(message, button) {
+    const requestId = crypto.randomUUID();
+    const onProgress = (progress) => {
+        if (progress?.type === 'GENERATION_PROGRESS' && progress.requestId === requestId) {
+            showGenerationProgress(progress);
+        }
+    };
+
+    activeRequestId = requestId;
+    chrome.runtime.onMessage.addListener(onProgress);
+    button.after(DOM.generationProgress);
+    DOM.generationSteps.replaceChildren();
+    DOM.cancelGenerationButton.disabled = false;
+    showGenerationProgress({ stage: 'reading_page' });
+
+    try {
+        return await sendMessageAsync({ ...message, requestId });
+    } finally {
+        chrome.runtime.onMessage.removeListener(onProgress);
+        activeRequestId = null;
+        DOM.generationProgress.style.display = 'none';
+    }
+}
+
+/**
+ * Aborts the generation in progress.
+ */
+async function handleCancelGeneration() {
+    if (!activeRequestId) return;
+    DOM.cancelGenerationButton.disabled = true;
+    DOM.generationStatus.textContent = 'Cancelling…';
+    try {
+        await sendMessageAsync({ type: 'CANCEL_GENERATION', requestId: activeRequestId });
+    } catch (error) {
+        console.error('Cancelling the generation failed:', error);
+    }
+}
+
+// =============================================================================
+// Error Panel and Run Diagnostics
+// =============================================================================
+
+// Step outcomes that need no attention, see diagnoseSteps() in content.js
+const EXPECTED_STEP_OUTCOMES = ['highlighted', 'floating'];
+
+const STEP_OUTCOME_LABELS = {
+    highlighted: 'Highlighted',
+    floating: 'Floating',
+    warning: 'Check',
+    skipped: 'Not found',
+    pending: 'Later',
+};
+
+/**
+ * Shows an error's cause category, message and suggested fix, and the raw
+ * model output when the model's answer caused it. Cancellations are not shown.
+ * @param {Error} error - Coded errors come from sendMessageAsync() or createError().
+ */
+function showError(error) {
+    if (error.code === ERROR_CODE.CANCELLED) return;
+
+    const { category, fix } = describeError(error.code);
+    DOM.errorCategory.textContent = category;
+    DOM.errorMessage.textContent = error.message;
+    DOM.errorFix.textContent = fix;
+    DOM.errorRaw.style.display = error.raw ? 'block' : 'none';
+    DOM.errorRawText.textContent = error.raw || '';
+    DOM.errorPanel.style.display = 'block';
+    DOM.errorPanel.scrollIntoView({ block: 'nearest' });
+}
+
+function hideError() {
+    DOM.errorPanel.style.display = 'none';
+}
+
+/**
+ * Runs steps on a tab through the content script.
+ * @param {number} tabId
+ * @param {Array<Object>} steps
+ * @param {string} tourName
+ * @param {Object} [config] - The tour's presentation; the user's defaults apply without one.
+ * @returns {Promise<Array<Object>>} How each step resolved, see diagnoseSteps() in content.js.
+ */
+async function runTourOnPage(tabId, steps, tourName, config) {
+    let response;
+    try {
+        response = await chrome.tabs.sendMessage(tabId, { type: 'GEMINI_RESULT', result: steps, tourName, config });
+    } catch (error) {
+        throw createError(ERROR_CODE.CONTENT_SCRIPT_UNAVAILABLE, `Could not reach the page: ${error.message}`);
+    }
+    if (response?.ok === false) {
+        throw createError(response.code || ERROR_CODE.RENDER_FAILED, response.error);
+    }
+    return response?.diagnostics || [];
+}
+
+/**
+ * Closes the popup once a tour is running, unless some steps need attention:
+ * those are listed with what happened to them instead.
+ * @param {Array<Object>} [diagnostics] - See runTourOnPage().
+ * @returns {boolean} False when the diagnostics are shown instead of closing.
+ */
+function finishRun(diagnostics = []) {
+    const flagged = diagnostics.filter(d => !EXPECTED_STEP_OUTCOMES.includes(d.outcome));
+    if (flagged.length === 0) {
+        window.close();
+        return true;
+    }
+
+    DOM.runDiagnosticsSummary.textContent = `The tour is running. ${flagged.length} of ${diagnostics.length} steps need attention:`;
+    DOM.runDiagnosticsSteps.replaceChildren(...diagnostics.map(diagnostic => {
+        const item = document.createElement('li');
+        item.className = diagnostic.outcome;
+        item.value = diagnostic.index + 1;
+        item.textContent = `${STEP_OUTCOME_LABELS[diagnostic.outcome] || diagnostic.outcome}: ${diagnostic.title || '(untitled step)'}`;
+
+        const reason = document.createElement('span');
+        reason.className = 'run-diagnostics-reason';
+        reason.textContent = diagnostic.reason;
+        item.appendChild(reason);
+        return item;
+    }));
+    DOM.runDiagnostics.style.display = 'block';
+    DOM.runDiagnostics.scrollIntoView({ block: 'nearest' });
+    return false;
+}
+
 // =============================================================================
 // UI State and Logic
 // =============================================================================
 
 /**
  * Validates inputs and initiates the tour generation process.
+ * @param {{ bypassCache?: boolean }} [options] - `bypassCache` skips the tour cache ("regenerate anyway").
  */
-async function handleGenerateClick() {
+async function handleGenerateClick({ bypassCache = false } = {}) {
     const button = DOM.generateButton;
     button.classList.add('loading'); // Show loading state
+    hideError();
 
     try {
-        const apiKey = DOM.apiKey.value.trim();
         const prompt = DOM.prompt.value.trim();
 
         // 1. Validation
-        if (!apiKey) {
-            alert('Please enter your Gemini API key.');
-            return;
-        }
         if (!prompt) {
-            alert('Please enter a prompt describing the tour you want.');
+            showError(createError(ERROR_CODE.MISSING_INPUT, 'Please enter a prompt describing the tour you want.'));
             return;
         }
 
-        // 2. Save Key
-        await saveApiKey(apiKey);
+        // 2. Check the provider is set up (throws MISSING_API_KEY; keys are entered on the options page)
+        await getActiveProviderConfig();
 
-        // 3. Send Message and Await Response
-        await sendMessageAsync({ type: 'GENERATE_TOUR', prompt });
+        // 3. Send Message and Await Response; generated tours come back for preview
+        const response = await sendGenerationRequest({ type: 'GENERATE_TOUR', prompt, preview: true, bypassCache }, button);
 
-        // 4. Success: Close the window
-        window.close();
+        // 4. Success: edit the generated tour, or close once a predefined tour is running
+        if (response?.tour) {
+            showTourEditor((await getActiveTab()).id, response.tour);
+        } else {
+            finishRun(response?.diagnostics);
+        }
 
     } catch (error) {
-        // 5. Handle Errors
+        // 5. Handle Errors (showError() ignores a cancelled generation)
         console.error('Tour Generation Failed:', error);
-        alert(`Failed to start generation: ${error.message}`);
+        showError(error);
     } finally {
         // 6. Cleanup (always remove loading state)
         button.classList.remove('loading');
     }
 }
 
+// What each redaction count means, see redaction.js
+const REDACTION_LABELS = {
+    emails: 'emails',
+    numbers: 'ID or card numbers',
+    urls: 'URLs shortened',
+    selectors: 'selectors hidden',
+    secretFields: 'secret fields',
+};
+
+/**
+ * Shows exactly what Generate would send to the provider for the prompt, after redaction.
+ */
+async function handlePreviewRequestClick() {
+    hideError();
+    try {
+        const prompt = DOM.prompt.value.trim();
+        if (!prompt) {
+            showError(createError(ERROR_CODE.MISSING_INPUT, 'Please enter a prompt describing the tour you want.'));
+            return;
+        }
+
+        const response = await sendMessageAsync({ type: 'PREVIEW_REQUEST', prompt });
+        const redacted = Object.entries(response.redactions || {})
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `${count} ${REDACTION_LABELS[kind] || kind}`);
+        let summary = 'Redaction is turned off on the options page.';
+        if (response.redactions) {
+            summary = redacted.length ? `Redacted: ${redacted.join(', ')}.` : 'Nothing needed redacting.';
+        }
+        if (response.screenshot) {
+            summary += ' A screenshot of the visible page is attached too.';
+        }
+        DOM.requestPreviewSummary.textContent = `Sent to ${response.provider} (${response.model}). ${summary}`;
+        DOM.requestPreviewText.textContent = response.messages.map(message => `[${message.role}]\n${message.text}`).join('\n\n');
+        DOM.requestPreview.style.display = 'block';
+        DOM.requestPreview.scrollIntoView({ block: 'nearest' });
+    } catch (error) {
+        console.error('Request preview failed:', error);
+        showError(error);
+    }
+}
+
+/**
+ * Starts the in-page tour recorder on the active tab and closes the popup.
+ */
+async function handleRecordClick() {
+    try {
+        await sendMessageAsync({ type: 'START_RECORDING' });
+        window.close();
+    } catch (error) {
+        console.error('Starting the recorder failed:', error);
+        showError(error);
+    }
+}
+
 /**
  * Initializes the popup listeners and state.
  */
 function initializePopup() {
-    // Load previously saved key immediately
-    loadApiKey();
+    // Show the provider set on the options page
+    showProviderSummary();
+    DOM.openOptionsButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
     // Attach event listener to the generate button
-    DOM.generateButton.addEventListener('click', handleGenerateClick);
+    DOM.generateButton.addEventListener('click', () => handleGenerateClick());
+    DOM.cancelGenerationButton.addEventListener('click', handleCancelGeneration);
+    DOM.errorDismissButton.addEventListener('click', hideError);
+    DOM.runDiagnosticsCloseButton.addEventListener('click', () => window.close());
+    DOM.previewRequestButton.addEventListener('click', handlePreviewRequestClick);
+    DOM.requestPreviewCloseButton.addEventListener('click', () => { DOM.requestPreview.style.display = 'none'; });
+    DOM.recordButton.addEventListener('click', handleRecordClick);
+    DOM.openLibraryButton.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('library.html') }));
+
+    DOM.editorTourName.addEventListener('change', () => updateDraft(tour => { tour.tourName = DOM.editorTourName.value.trim() || tour.tourName; }));
+    DOM.editorRunButton.addEventListener('click', handleRunDraft);
+    DOM.editorSaveButton.addEventListener('click', handleSaveDraft);
+    DOM.editorRegenerateButton.addEventListener('click', handleRegenerateDraft);
+    DOM.editorRegenerateAnywayButton.addEventListener('click', handleRegenerateDraft);
+    DOM.editorDiscardButton.addEventListener('click', handleDiscardDraft);
+    DOM.editorRefineButton.addEventListener('click', handleRefineClick);
+    DOM.editorTranslateButton.addEventListener('click', handleTranslateClick);
+
+    loadTourDraft();
+}
+
+// =============================================================================
+// Tour Editor: preview and edit a generated tour before running it
+// =============================================================================
+
+// The draft being edited: { tabId, tour }. Every edit is stored right away,
+// since the popup closes whenever the page is clicked (e.g. to re-pick an element).
+let editorState = null;
+
+/**
+ * Shows the active tab's last generated tour in the editor, if there is one.
+ */
+async function loadTourDraft() {
+    try {
+        const tab = await getActiveTab();
+        const tour = await getLastGeneratedTour(tab.id);
+        if (tour) showTourEditor(tab.id, tour);
+    } catch (error) {
+        console.warn('Loading the generated tour draft failed:', error);
+    }
+}
+
+/**
+ * @param {number} tabId
+ * @param {Object} tour - A generated tour, see buildGeneratedTour() in background.js.
+ */
+function showTourEditor(tabId, tour) {
+    editorState = { tabId, tour };
+    DOM.tourEditor.style.display = 'block';
+    DOM.editorTourName.value = tour.tourName;
+    DOM.editorSaveButton.textContent = 'Save to library';
+    DOM.editorSaveButton.disabled = false;
+    DOM.editorCacheNote.style.display = tour.cachedAt ? 'flex' : 'none';
+    DOM.editorCacheText.textContent = tour.cachedAt
+        ? `Replayed from cache (generated ${new Date(tour.cachedAt).toLocaleString()}).`
+        : '';
+    renderEditorSteps();
+    renderTourHistory();
+}
+
+/**
+ * Applies an edit to the draft, stores it and re-renders the step list.
+ * @param {function(Object):void} edit - Mutates the draft tour.
+ */
+function updateDraft(edit) {
+    edit(editorState.tour);
+    rememberGeneratedTour(editorState.tabId, editorState.tour)
+        .catch(error => console.error('Storing the tour draft failed:', error));
+    renderEditorSteps();
+}
+
+/**
+ * @param {Array<string>} values
+ * @param {string} selected
+ * @param {function(string):void} onChange
+ * @returns {HTMLSelectElement} A select with an empty "default" option.
+ */
+function createEditorSelect(values, selected, onChange) {
+    const select = document.createElement('select');
+    select.add(new Option('(default)', ''));
+    values.forEach(value => select.add(new Option(value, value)));
+    select.value = selected || '';
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * @param {string} label
+ * @param {function():void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createEditorButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Builds the editor item of one step.
+ * @param {Object} step
+ * @param {number} index
+ * @param {Array<Object>} steps
+ * @returns {HTMLLIElement}
+ */
+function createEditorStep(step, index, steps) {
+    const item = document.createElement('li');
+    item.className = 'editor-step';
+
+    const target = document.createElement('div');
+    target.className = 'editor-step-target';
+    target.textContent = describeStepTarget(step);
+    target.title = target.textContent;
+
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.value = step.popover?.title || '';
+    title.placeholder = 'Title';
+    title.addEventListener('change', () => updateDraft(tour => { tour.steps[index].popover.title = title.value; }));
+
+    const description = document.createElement('textarea');
+    description.rows = 2;
+    description.value = step.popover?.description || '';
+    description.placeholder = 'Description';
+    description.addEventListener('change', () => updateDraft(tour => { tour.steps[index].popover.description = description.value; }));
+
+    const setPopoverOption = (key) => (value) => updateDraft(tour => {
+        if (value) tour.steps[index].popover[key] = value;
+        else delete tour.steps[index].popover[key];
+    });
+    const placement = document.createElement('div');
+    placement.className = 'editor-row';
+    placement.append(
+        createEditorSelect(POPOVER_SIDES, step.popover?.side, setPopoverOption('side')),
+        createEditorSelect(POPOVER_ALIGNS, step.popover?.align, setPopoverOption('align')),
+    );
+
+    const moveStep = (delta) => updateDraft(tour => {
+        const [moved] = tour.steps.splice(index, 1);
+        tour.steps.splice(index + delta, 0, moved);
+    });
+    const upButton = createEditorButton('↑', () => moveStep(-1));
+    upButton.disabled = index === 0;
+    upButton.title = 'Move up';
+    const downButton = createEditorButton('↓', () => moveStep(1));
+    downButton.disabled = index === steps.length - 1;
+    downButton.title = 'Move down';
+
+    const actions = document.createElement('div');
+    actions.className = 'editor-row';
+    actions.append(
+        upButton,
+        downButton,
+        createEditorButton('Highlight', () => highlightDraftStep(index, target)),
+        createEditorButton('Re-pick', () => pickDraftStepElement(index)),
+        createEditorButton('Delete', () => updateDraft(tour => { tour.steps.splice(index, 1); })),
+    );
+
+    item.append(target, title, description, placement, actions);
+    return item;
+}
+
+/**
+ * Renders the draft's steps. Run and Save need at least one step.
+ */
+function renderEditorSteps() {
+    const { steps } = editorState.tour;
+    DOM.editorSteps.replaceChildren(...steps.map(createEditorStep));
+    DOM.editorRunButton.disabled = steps.length === 0;
+    DOM.editorSaveButton.disabled = steps.length === 0;
+}
+
+/**
+ * Shows one step on the page without starting the tour.
+ * @param {number} index
+ * @param {HTMLElement} targetLabel - Updated when the element is not found.
+ */
+async function highlightDraftStep(index, targetLabel) {
+    try {
+        const step = editorState.tour.steps[index];
+        const response = await chrome.tabs.sendMessage(editorState.tabId, { type: 'HIGHLIGHT_STEP', step });
+        if (response && !response.found && describeStepTarget(step) !== 'Floating (no element)') {
+            targetLabel.textContent = `Not found on page: ${describeStepTarget(step)}`;
+        }
+    } catch (error) {
+        console.error('Highlighting the step failed:', error);
+        showError(createError(ERROR_CODE.CONTENT_SCRIPT_UNAVAILABLE, `Failed to highlight step: ${error.message}`));
+    }
+}
+
+/**
+ * Lets the user click the step's new element on the page. The popup closes;
+ * the pick is stored in the draft and shows when the popup is reopened.
+ * @param {number} index
+ */
+async function pickDraftStepElement(index) {
+    try {
+        await chrome.tabs.sendMessage(editorState.tabId, { type: 'PICK_ELEMENT', stepIndex: index });
+        window.close();
+    } catch (error) {
+        console.error('Starting the element picker failed:', error);
+        showError(createError(ERROR_CODE.CONTENT_SCRIPT_UNAVAILABLE, `Failed to start picking: ${error.message}`));
+    }
+}
+
+/**
+ * Runs the edited tour on the page.
+ */
+async function handleRunDraft() {
+    const { tabId, tour } = editorState;
+    hideError();
+    try {
+        finishRun(await runTourOnPage(tabId, tour.steps, tour.tourName, tour.config));
+    } catch (error) {
+        console.error('Running the tour failed:', error);
+        showError(error);
+    }
+}
+
+/**
+ * Saves the edited tour to the user tour library.
+ */
+async function handleSaveDraft() {
+    try {
+        await saveUserTour(editorState.tour, TOUR_SOURCE.GENERATED);
+        DOM.editorSaveButton.textContent = 'Saved to library';
+        DOM.editorSaveButton.disabled = true;
+    } catch (error) {
+        console.error('Saving generated tour failed:', error);
+        showError(error);
+    }
+}
+
+/**
+ * Generates the tour again, from the prompt box or the draft's original prompt.
+ * Always calls the model, even when the tour cache has a tour for the prompt.
+ */
+async function handleRegenerateDraft() {
+    if (!DOM.prompt.value.trim()) {
+        DOM.prompt.value = editorState.tour.prompt || '';
+    }
+    await handleGenerateClick({ bypassCache: true });
+}
+
+/**
+ * Throws the draft and its version history away and hides the editor.
+ */
+async function handleDiscardDraft() {
+    try {
+        await forgetGeneratedTour(editorState.tabId);
+        await clearConversation(editorState.tabId);
+        editorState = null;
+        DOM.tourEditor.style.display = 'none';
+    } catch (error) {
+        console.error('Discarding the tour draft failed:', error);
+    }
+}
+
+// =============================================================================
+// Tour Refinement: follow-up prompts, translation and version history
+// =============================================================================
+
+/**
+ * Revises the draft from the follow-up prompt; the background replays the
+ * earlier versions to the model, so only the change needs describing.
+ */
+async function handleRefineClick() {
+    const button = DOM.editorRefineButton;
+    const prompt = DOM.refinePrompt.value.trim();
+    if (!prompt) {
+        showError(createError(ERROR_CODE.MISSING_INPUT, 'Describe how the tour should change, e.g. "add two steps about filters".'));
+        return;
+    }
+
+    hideError();
+    button.classList.add('loading');
+    try {
+        const response = await sendGenerationRequest({ type: 'REFINE_TOUR', prompt }, button);
+        DOM.refinePrompt.value = '';
+        showTourEditor(editorState.tabId, response.tour);
+    } catch (error) {
+        console.error('Tour refinement failed:', error);
+        showError(error);
+    } finally {
+        button.classList.remove('loading');
+    }
+}
+
+/**
+ * Translates the draft's popover text; selectors and actions stay as they are.
+ * The translation becomes a version like a refinement.
+ */
+async function handleTranslateClick() {
+    const button = DOM.editorTranslateButton;
+    hideError();
+    button.classList.add('loading');
+    try {
+        const response = await sendMessageAsync({ type: 'TRANSLATE_TOUR', language: DOM.translateLanguage.value.trim() });
+        showTourEditor(editorState.tabId, response.tour);
+    } catch (error) {
+        console.error('Tour translation failed:', error);
+        showError(error);
+    } finally {
+        button.classList.remove('loading');
+    }
+}
+
+/**
+ * @param {Object} version - A version from tour-history.js.
+ * @returns {string} e.g. `v2 · "add two steps about filters" · 6 steps`.
+ */
+function describeVersion(version) {
+    const origin = version.edited ? 'Edited by hand' : `"${version.prompt}"`;
+    return `v${version.id} · ${origin} · ${version.steps.length} steps`;
+}
+
+/**
+ * Lists the draft's versions, newest first, with Diff and Restore buttons.
+ * Hidden until the tour has been refined or edited at least once.
+ */
+async function renderTourHistory() {
+    const { tabId } = editorState;
+    const conversation = await getConversation(tabId).catch(error => {
+        console.warn('Loading the tour history failed:', error);
+        return null;
+    });
+    if (editorState?.tabId !== tabId) return;
+
+    const versions = conversation?.versions || [];
+    DOM.editorHistory.style.display = versions.length > 1 ? 'block' : 'none';
+    DOM.editorDiff.replaceChildren();
+    DOM.editorVersions.replaceChildren(...versions.slice().reverse().map(version => {
+        const isCurrent = version.id === conversation.currentVersionId;
+        const item = document.createElement('li');
+        item.className = isCurrent ? 'editor-version current' : 'editor-version';
+
+        const label = document.createElement('span');
+        label.className = 'editor-version-label';
+        label.textContent = describeVersion(version);
+        label.title = `${label.textContent}\n${new Date(version.createdAt).toLocaleString()}`;
+
+        const restoreButton = createEditorButton(isCurrent ? 'Current' : 'Restore', () => handleRestoreVersion(version));
+        restoreButton.disabled = isCurrent;
+        item.append(label, createEditorButton('Diff', () => showVersionDiff(version)), restoreButton);
+        return item;
+    }));
+}
+
+/**
+ * Shows what changes from a version to the draft being edited.
+ * @param {Object} version
+ */
+function showVersionDiff(version) {
+    const changes = diffSteps(version.steps, editorState.tour.steps);
+    const line = (className, text) => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        return item;
+    };
+
+    if (changes.length === 0) {
+        DOM.editorDiff.replaceChildren(line('changed', `No changes between v${version.id} and the current draft.`));
+        return;
+    }
+
+    DOM.editorDiff.replaceChildren(
+        line('changed', `From v${version.id} to the current draft:`),
+        ...changes.map(change => {
+            if (change.type === 'added') return line('added', `+ Step ${change.afterIndex + 1} "${change.title}"`);
+            if (change.type === 'removed') return line('removed', `- Step ${change.beforeIndex + 1} "${change.title}"`);
+            const fields = change.fields.map(f => `${f.field}: "${f.before}" → "${f.after}"`).join('; ');
+            return line('changed', `~ Step ${change.afterIndex + 1} "${change.title}": ${fields}`);
+        }),
+    );
+}
+
+/**
+ * Replaces the draft's steps with an earlier version's; refining continues from it.
+ * @param {Object} version
+ */
+async function handleRestoreVersion(version) {
+    try {
+        await restoreVersion(editorState.tabId, version.id);
+        updateDraft(tour => { tour.steps = structuredClone(version.steps); });
+        renderTourHistory();
+    } catch (error) {
+        console.error('Restoring the tour version failed:', error);
+        showError(error);
+    }
 }
 
 // =============================================================================
@@ -143,9 +797,196 @@ async function fetchPredefinedTours(tabUrl) {
     }
 }
 
+// =============================================================================
+// Tour Input Form
+// =============================================================================
+
+/**
+ * Builds the control for one typed form input (see form-inputs.js).
+ * @param {Object} input - An entry of normalizeFormInputs().
+ * @returns {HTMLInputElement|HTMLSelectElement}
+ */
+function createFormInputControl(input) {
+    let control;
+    if (input.type === FORM_INPUT_TYPE.ENUM) {
+        control = document.createElement('select');
+        if (!input.required) control.add(new Option('', ''));
+        input.options.forEach(option => control.add(new Option(option, option)));
+    } else {
+        control = document.createElement('input');
+        control.type = input.type === FORM_INPUT_TYPE.STRING ? 'text' : input.type;
+        if (input.min !== undefined) control.min = input.min;
+        if (input.max !== undefined) control.max = input.max;
+        if (input.maxLength !== undefined) control.maxLength = input.maxLength;
+        if (input.description) control.placeholder = input.description;
+    }
+    control.id = `form-input-${input.key}`;
+    control.dataset.inputKey = input.key;
+    control.value = input.default;
+    control.required = input.required;
+    return control;
+}
+
+/**
+ * Renders the inputs of a parameterised tour, plus a "Fill from sentence" button
+ * that extracts the values from the prompt box with the AI provider.
+ * @param {Object} tour
+ * @returns {HTMLFormElement}
+ */
+function renderTourForm(tour) {
+    const form = document.createElement('form');
+    form.className = 'tour-form';
+    form.noValidate = true;
+
+    normalizeFormInputs(tour.formInputs).forEach(input => {
+        const field = document.createElement('div');
+        field.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `form-input-${input.key}`;
+        label.textContent = input.required ? `${input.label} *` : input.label;
+
+        const error = document.createElement('div');
+        error.className = 'field-error';
+        error.dataset.errorFor = input.key;
+
+        field.append(label, createFormInputControl(input), error);
+        form.appendChild(field);
+    });
+
+    const fillButton = document.createElement('button');
+    fillButton.type = 'button';
+    fillButton.className = 'secondary-button';
+    fillButton.textContent = 'Fill from sentence';
+    fillButton.title = 'Extract the values from the prompt below';
+    fillButton.addEventListener('click', () => handleFillFromSentence(tour, form, fillButton));
+    form.appendChild(fillButton);
+
+    return form;
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @returns {Object<string, string>} Current field values by input key.
+ */
+function readFormValues(form) {
+    return Object.fromEntries(
+        Array.from(form.querySelectorAll('[data-input-key]')).map(control => [control.dataset.inputKey, control.value])
+    );
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {Object<string, string>} values - Values to put into the fields, by input key.
+ */
+function writeFormValues(form, values) {
+    form.querySelectorAll('[data-input-key]').forEach(control => {
+        if (values[control.dataset.inputKey] !== undefined) {
+            control.value = values[control.dataset.inputKey];
+        }
+    });
+}
+
+/**
+ * Shows validation errors under their fields and clears the others.
+ * @param {HTMLFormElement} form
+ * @param {Object<string, string>} errors - Messages by input key.
+ */
+function showFormErrors(form, errors) {
+    form.querySelectorAll('[data-error-for]').forEach(element => {
+        element.textContent = errors[element.dataset.errorFor] || '';
+    });
+}
+
+/**
+ * Fills the tour form from the prompt box. Values that do not match their
+ * declared type are reported under the field instead of being filled in.
+ * @param {Object} tour
+ * @param {HTMLFormElement} form
+ * @param {HTMLButtonElement} button
+ */
+async function handleFillFromSentence(tour, form, button) {
+    const prompt = DOM.prompt.value.trim();
+    if (!prompt) {
+        showError(createError(ERROR_CODE.MISSING_INPUT, 'Describe the values in the prompt box first, e.g. "from Delhi to Mumbai on 15 August".'));
+        return;
+    }
+
+    const originalText = button.textContent;
+    button.textContent = 'Filling...';
+    button.disabled = true;
+    try {
+        const response = await sendMessageAsync({ type: 'FILL_FORM_INPUTS', tour, prompt });
+        writeFormValues(form, response.values);
+        showFormErrors(form, response.errors);
+    } catch (error) {
+        console.error('Fill from sentence failed:', error);
+        showError(error);
+    } finally {
+        button.textContent = originalText;
+        button.disabled = false;
+    }
+}
+
+/**
+ * Starts a predefined tour on the active tab, with the values of its input form.
+ * @param {Object} tour
+ * @param {HTMLFormElement|null} form - Null for tours without inputs.
+ * @returns {Promise<boolean>} False when the form has invalid values or some steps need attention.
+ */
+async function startPredefinedTour(tour, form) {
+    let stepsToRun = tour.steps;
+
+    if (form) {
+        const { values, errors } = validateFormValues(tour.formInputs, readFormValues(form));
+        showFormErrors(form, errors);
+        if (Object.keys(errors).length > 0) return false;
+        stepsToRun = applyFormValues(tour.steps, values);
+    }
+
+    const tabId = (await getActiveTab()).id;
+    console.log("Starting tour with steps:", stepsToRun);
+    hideError();
+    return finishRun(await runTourOnPage(tabId, stepsToRun, tour.tourName, tour.config));
+}
+
+/**
+ * Renders a tour's input form (if it has inputs) and its Start button.
+ * @param {Object} tour
+ * @param {HTMLElement} container
+ */
+function renderTourStart(tour, container) {
+    const form = normalizeFormInputs(tour.formInputs).length > 0 ? renderTourForm(tour) : null;
+    if (form) container.appendChild(form);
+
+    const button = document.createElement('button');
+    button.textContent = `Start: ${tour.tourName}`;
+    button.className = 'secondary-button start-tour-button';
+
+    button.addEventListener('click', async function () {
+        const originalText = button.textContent;
+        button.textContent = 'Starting...';
+        button.disabled = true;
+
+        try {
+            if (!await startPredefinedTour(tour, form)) {
+                button.textContent = originalText;
+                button.disabled = false;
+            }
+        } catch (error) {
+            console.error("Failed to start tour:", error);
+            button.textContent = originalText;
+            button.disabled = false;
+            showError(error);
+        }
+    });
+
+    container.appendChild(button);
+}
+
 /**
  * Populates the tour select element with predefined tours.
- * @param {Array<string>} tours - An array of tour names.
+ * @param {Array<Object>} tours - Matching tours, most specific first.
  */
 async function populateTourSelect(tours) {
     console.log("Populating predefined tours:", tours);
@@ -162,49 +1003,7 @@ async function populateTourSelect(tours) {
         header.style.marginBottom = '10px';
         DOM.predefinedTourContainer.appendChild(header);
 
-        const button = document.createElement('button');
-        button.textContent = `Start: ${tour.tourName}`;
-        button.className = 'secondary-button';
-        button.style.width = '100%';
-        button.style.marginBottom = '10px';
-
-        button.addEventListener('click', async function () {
-            const originalText = button.textContent;
-            button.textContent = 'Starting...';
-            button.disabled = true;
-
-            try {
-                const tabId = (await getActiveTab()).id;
-                const prompt = DOM.prompt.value.trim();
-                let stepsToRun = tour.steps;
-
-                if (tour.formInputs && Object.keys(tour.formInputs).length > 0 && prompt) {
-                    button.textContent = 'Processing Inputs...';
-                    console.log("Filling form inputs with prompt:", prompt);
-                    const response = await sendMessageAsync({
-                        type: 'FILL_FORM_INPUTS',
-                        tour: tour,
-                        prompt: prompt
-                    });
-
-                    if (response && response.ok && response.steps) {
-                        stepsToRun = response.steps;
-                    }
-                }
-
-                console.log("Starting tour with steps:", stepsToRun);
-                const renderMsg = { type: 'GEMINI_RESULT', result: stepsToRun };
-                chrome.tabs.sendMessage(tabId, renderMsg);
-                window.close();
-            } catch (error) {
-                console.error("Failed to start tour:", error);
-                button.textContent = originalText;
-                button.disabled = false;
-                alert(`Failed to start tour: ${error.message}`);
-            }
-        });
-
-        DOM.predefinedTourContainer.appendChild(button);
+        renderTourStart(tour, DOM.predefinedTourContainer);
     } else {
         const selectElement = document.createElement('select');
         selectElement.id = 'predefinedTours';
@@ -219,15 +1018,27 @@ async function populateTourSelect(tours) {
 
         DOM.predefinedTourContainer.appendChild(selectElement);
 
+        const selectedTourContainer = document.createElement('div');
+        DOM.predefinedTourContainer.appendChild(selectedTourContainer);
+
         selectElement.addEventListener('change', async function () {
             console.log("Predefined tour selected:", this.value);
-            if (this.value) {
-                const selectedTour = JSON.parse(this.value);
-                const tabId = (await getActiveTab()).id;
-                console.log("Selected tour object:", selectedTour);
-                const renderMsg = { type: 'GEMINI_RESULT', result: selectedTour.steps };
-                chrome.tabs.sendMessage(tabId, renderMsg);
-                window.close();
+            selectedTourContainer.innerHTML = '';
+            if (!this.value) return;
+
+            const selectedTour = JSON.parse(this.value);
+            console.log("Selected tour object:", selectedTour);
+
+            // Tours with inputs show their form first; others start right away
+            if (normalizeFormInputs(selectedTour.formInputs).length > 0) {
+                renderTourStart(selectedTour, selectedTourContainer);
+            } else {
+                try {
+                    await startPredefinedTour(selectedTour, null);
+                } catch (error) {
+                    console.error("Failed to start tour:", error);
+                    showError(error);
+                }
             }
         });
     }
@@ -238,7 +1049,7 @@ async function getActiveTab() {
     console.log("Active tabs:", tabs);
     const tab = tabs?.[0];
     if (!tab || !tab.id) {
-        throw new Error('No active tab found or tab is invalid.');
+        throw createError(ERROR_CODE.NO_ACTIVE_TAB, 'No active tab found or tab is invalid.');
     }
     return tab;
 }
@@ -0,0 +1,282 @@
+// redaction.js
+//
+// Privacy redaction of the page context before it is sent to an AI provider.
+// Runs in the background service worker on every request (see ai-service.js):
+//   - URLs lose their query string and fragment; ID-like path segments are masked;
+//   - email addresses and numbers that look like card, account or other IDs are
+//     masked in titles, accessible names and element text;
+//   - selectors containing such values are replaced by opaque tokens, which are
+//     swapped back into the model's answer so the tour still finds its elements;
+//   - password and hidden fields never have their text sent.
+// Pages on the user's domain denylist send nothing at all.
+
+import { ERROR_CODE, createError } from './errors.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// 13-19 digit card numbers, optionally grouped by spaces or dashes
+const CARD_NUMBER_PATTERN = /\b\d{4}(?:[ -]?\d{4}){2}[ -]?\d{1,7}\b/g;
+// Six or more consecutive digits: account numbers, order and customer IDs
+const ID_NUMBER_PATTERN = /\d{6,}/g;
+
+// URL path segments that identify a record rather than a page
+const ID_SEGMENT_PATTERNS = [
+    /^\d{4,}$/,
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    // Long tokens mixing letters and digits (session ids, hashes)
+    /^(?=.*\d)(?=.*[a-z])[\w-]{16,}$/i,
+];
+
+// Input types whose text is never sent
+const SECRET_INPUT_TYPES = ['password', 'hidden'];
+
+export const REDACTION_MASK = {
+    EMAIL: '[email]',
+    NUMBER: '[number]',
+    ID_SEGMENT: ':id',
+};
+
+// Stand-in for a selector that contains personal data, e.g. [redacted-selector-3]
+const SELECTOR_TOKEN_PATTERN = /\[redacted-selector-(\d+)\]/g;
+
+// =============================================================================
+// Domain Denylist
+// =============================================================================
+
+/**
+ * Normalizes a denylist entry: "https://www.Bank.com/login" and "*.bank.com" become "www.bank.com" and "bank.com".
+ * @param {string} entry
+ * @returns {string} The host name, or '' when the entry is empty.
+ */
+export function normalizeDeniedDomain(entry) {
+    return (entry || '').trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^\*\./, '')
+        .replace(/[/:?#].*$/, '');
+}
+
+/**
+ * @param {string} url
+ * @param {Array<string>} deniedDomains - Host names; each also covers its subdomains.
+ * @returns {boolean} True when the URL's host is on the denylist.
+ */
+export function isDomainDenied(url, deniedDomains = []) {
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch {
+        return false;
+    }
+    return deniedDomains.map(normalizeDeniedDomain).some(domain => domain && (host === domain || host.endsWith(`.${domain}`)));
+}
+
+// =============================================================================
+// Redactor
+// =============================================================================
+
+/**
+ * @param {string} text
+ * @returns {boolean} True when the text holds an email address, card number or ID number.
+ */
+function containsPersonalData(text) {
+    return [EMAIL_PATTERN, CARD_NUMBER_PATTERN, ID_NUMBER_PATTERN].some(pattern => {
+        pattern.lastIndex = 0;
+        return pattern.test(text);
+    });
+}
+
+/**
+ * Creates a redactor for one request. Counts what it masked, and remembers the
+ * selectors it replaced by tokens so restore() can put them back.
+ * @returns {{ contextData: function(Object):Object, redactUrl: function(string):string, restore: function(*):*, stats: Object<string, number> }}
+ */
+export function createRedactor() {
+    const stats = { emails: 0, numbers: 0, urls: 0, selectors: 0, secretFields: 0 };
+    const selectorTokens = new Map();
+    const tokenSelectors = [];
+
+    /**
+     * @param {string} text
+     * @returns {string} The text with emails, card numbers and ID numbers masked.
+     */
+    const redactText = (text) => {
+        if (typeof text !== 'string' || !text) return text;
+        return text
+            .replace(EMAIL_PATTERN, () => { stats.emails++; return REDACTION_MASK.EMAIL; })
+            .replace(CARD_NUMBER_PATTERN, () => { stats.numbers++; return REDACTION_MASK.NUMBER; })
+            .replace(ID_NUMBER_PATTERN, () => { stats.numbers++; return REDACTION_MASK.NUMBER; });
+    };
+
+    /**
+     * @param {string} url
+     * @returns {string} Origin and path, without query or fragment, ID-like segments masked.
+     */
+    const redactUrl = (url) => {
+        if (typeof url !== 'string' || !url) return url;
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return redactText(url);
+        }
+        const path = parsed.pathname.split('/').map(segment => {
+            let decoded = segment;
+            try {
+                decoded = decodeURIComponent(segment);
+            } catch {
+                // A stray "%" (e.g. "100%") is kept as it is
+            }
+            if (ID_SEGMENT_PATTERNS.some(pattern => pattern.test(decoded))) return REDACTION_MASK.ID_SEGMENT;
+            return redactText(decoded);
+        }).join('/');
+        if (parsed.search || parsed.hash || path !== parsed.pathname) stats.urls++;
+        return `${parsed.origin}${path}`;
+    };
+
+    /**
+     * @param {string} selector
+     * @returns {string} The selector, or a token standing for it when it contains personal data.
+     */
+    const redactSelector = (selector) => {
+        if (typeof selector !== 'string' || !selector) return selector;
+        if (selectorTokens.has(selector)) return selectorTokens.get(selector);
+
+        // Check the unescaped form: CSS.escape() turns "a@b.com" into "a\@b\.com"
+        if (!containsPersonalData(selector.replace(/\\(.)/g, '$1'))) return selector;
+
+        stats.selectors++;
+        const token = `[redacted-selector-${tokenSelectors.length + 1}]`;
+        tokenSelectors.push(selector);
+        selectorTokens.set(selector, token);
+        return token;
+    };
+
+    /**
+     * @param {Object} step - A tour step; only its target fields can hold page data.
+     * @returns {Object}
+     */
+    const redactStep = (step) => {
+        const redacted = { ...step };
+        if (typeof step.element === 'string') redacted.element = redactSelector(step.element);
+        if (step.selector) redacted.selector = redactSelector(step.selector);
+        if (step.xpath) redacted.xpath = redactSelector(step.xpath);
+        if (step.locators) redacted.locators = step.locators.map(locator => ({ ...locator, value: redactSelector(locator.value) }));
+        return redacted;
+    };
+
+    /**
+     * @param {Object} node - A snapshot node, or the element to explain.
+     * @returns {Object}
+     */
+    const redactNode = (node) => {
+        const redacted = { ...node, name: redactText(node.name), selector: redactSelector(node.selector) };
+        if (node.xpath) redacted.xpath = redactSelector(node.xpath);
+        if (node.locators) redacted.locators = node.locators.map(locator => ({ ...locator, value: redactSelector(locator.value) }));
+        if (SECRET_INPUT_TYPES.includes(node.inputType) && node.text) {
+            stats.secretFields++;
+            redacted.text = '';
+        } else if (node.text !== undefined) {
+            redacted.text = redactText(node.text);
+        }
+        return redacted;
+    };
+
+    /**
+     * @param {Object} pageContext - From the content script's getPageContext().
+     * @returns {Object}
+     */
+    const redactPageContext = (pageContext) => {
+        if (!pageContext) return pageContext;
+        const redacted = { ...pageContext, title: redactText(pageContext.title), url: redactUrl(pageContext.url) };
+        if (pageContext.section) {
+            redacted.section = { name: redactText(pageContext.section.name), selector: redactSelector(pageContext.section.selector) };
+        }
+        if (pageContext.snapshot?.nodes) {
+            redacted.snapshot = { ...pageContext.snapshot, nodes: pageContext.snapshot.nodes.map(redactNode) };
+        }
+        return redacted;
+    };
+
+    /**
+     * Redacts the page data in a request's context (see ai-service.js callProvider()).
+     * @param {Object} contextData - { pageContext, element, steps, brokenSteps, history, ... }
+     * @returns {Object}
+     */
+    const contextData = (data) => {
+        const redacted = { ...data };
+        // An image cannot be masked, so none is sent while redaction is on
+        delete redacted.screenshot;
+        if (data.pageContext) redacted.pageContext = redactPageContext(data.pageContext);
+        if (data.element) redacted.element = redactNode(data.element);
+        if (data.steps) redacted.steps = data.steps.map(redactStep);
+        if (data.brokenSteps) {
+            redacted.brokenSteps = data.brokenSteps.map(broken => ({
+                ...broken,
+                locator: typeof broken.locator === 'string' ? redactSelector(broken.locator) : broken.locator,
+            }));
+        }
+        if (data.history) {
+            redacted.history = data.history.map(version => ({ ...version, steps: version.steps.map(redactStep) }));
+        }
+        return redacted;
+    };
+
+    /**
+     * Puts the selectors replaced by tokens back into the model's answer.
+     * @param {*} value - The parsed response, or any part of it.
+     * @returns {*}
+     */
+    const restore = (value) => {
+        if (tokenSelectors.length === 0) return value;
+        if (typeof value === 'string') {
+            return value.replace(SELECTOR_TOKEN_PATTERN, (token, n) => tokenSelectors[Number(n) - 1] ?? token);
+        }
+        if (Array.isArray(value)) return value.map(restore);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+        }
+        return value;
+    };
+
+    return { contextData, redactUrl, restore, stats };
+}
+
+/**
+ * Refuses requests about pages on the denylist, then redacts their context.
+ * @param {Object} contextData
+ * @param {{ redact?: boolean, deniedDomains?: Array<string> }} privacy - The privacy settings (see settings.js).
+ * @returns {{ contextData: Object, restore: function(*):*, stats: Object<string, number>|null }}
+ *   `stats` is null when redaction is turned off.
+ */
+export function redactContextData(contextData, { redact = true, deniedDomains = [] } = {}) {
+    const url = contextData.pageContext?.url;
+    if (url && isDomainDenied(url, deniedDomains)) {
+        throw createError(ERROR_CODE.DOMAIN_DENIED, `${new URL(url).hostname} is on your privacy denylist, so its content is not sent to the AI provider.`);
+    }
+    if (!redact) {
+        return { contextData, restore: value => value, stats: null };
+    }
+
+    const redactor = createRedactor();
+    return { contextData: redactor.contextData(contextData), restore: redactor.restore, stats: redactor.stats };
+}
+
+/**
+ * A page URL as sent outside the browser other than to a provider, e.g. to the
+ * analytics collector: origin and path only, ID-like segments masked while redaction is on.
+ * @param {string} url
+ * @param {{ redact?: boolean }} privacy - The privacy settings (see settings.js).
+ * @returns {string} '' for an invalid URL.
+ */
+export function redactPageUrl(url, { redact = true } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return '';
+    }
+    return redact ? createRedactor().redactUrl(parsed.href) : `${parsed.origin}${parsed.pathname}`;
+}
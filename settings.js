@@ -0,0 +1,341 @@
+// settings.js
+//
+// Provider selection, per-provider credentials, generation, privacy and tour presentation settings,
+// persisted in chrome.storage.local. API keys the user does not want remembered
+// are kept in chrome.storage.session instead, which is cleared when the browser
+// closes. Edited on the options page; read by the popup and the background
+// service worker.
+
+import { DEFAULT_PROVIDER_ID, getProvider } from './ai-providers/registry.js';
+import { DEFAULT_PROMPT_TEMPLATE, validatePromptTemplate } from './ai-providers/prompts.js';
+import { TOUR_CONFIG_SCHEMA, validateAgainstSchema } from './ai-providers/schema.js';
+import { ERROR_CODE, createError } from './errors.js';
+import { normalizeDeniedDomain } from './redaction.js';
+import { normalizeLanguageTag } from './tour-locale.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const STORAGE_KEYS = {
+    ACTIVE_PROVIDER: 'activeProvider',
+    PROVIDER_SETTINGS: 'providerSettings',
+    GENERATION_SETTINGS: 'generationSettings',
+    PRIVACY_SETTINGS: 'privacySettings',
+    // Read directly by the content script (content/tour-theme.js)
+    TOUR_PRESENTATION: 'tourPresentation',
+    // Read directly by the content script (content/prompt-bar.js)
+    SHOW_PROMPT_BAR: 'showPromptBar',
+    // Endpoint tour analytics events are POSTed to; empty to keep them local only
+    ANALYTICS_COLLECTOR_URL: 'analyticsCollectorUrl',
+    // In chrome.storage.session: API keys by provider id, for keys that are not remembered
+    SESSION_API_KEYS: 'sessionApiKeys',
+    // Single key used before providers were pluggable; migrated on first read.
+    LEGACY_GEMINI_KEY: 'geminiApiKey',
+};
+
+// Settings shared by every provider. A null temperature leaves it to the provider.
+export const GENERATION_DEFAULTS = {
+    temperature: null,
+    maxSteps: 12,
+    maxRetries: 3,
+    contextTokenBudget: 4000,
+    promptTemplate: DEFAULT_PROMPT_TEMPLATE,
+    // Language tag of the tour text; '' follows the page's lang attribute, then the browser language
+    language: '',
+    // Attach an annotated screenshot of the visible page for providers that take images
+    screenshot: false,
+};
+
+// What leaves the browser with a request (see redaction.js)
+export const PRIVACY_DEFAULTS = {
+    // Mask emails, ID-like numbers, URL queries and secret fields in the page context
+    redact: true,
+    // Host names whose pages are never sent; each covers its subdomains
+    deniedDomains: [],
+};
+
+// How tours are presented unless a tour's own `config` says otherwise (see content/tour-theme.js).
+// Empty button texts keep the Driver.js labels.
+export const PRESENTATION_DEFAULTS = {
+    theme: 'default',
+    animate: false,
+    showProgress: false,
+    showButtons: ['next', 'previous', 'close'],
+    nextBtnText: '',
+    prevBtnText: '',
+    doneBtnText: '',
+    allowClose: true,
+    allowKeyboardControl: true,
+    disableActiveInteraction: false,
+    overlayColor: '#000000',
+    overlayOpacity: 0.7,
+    stagePadding: 10,
+};
+
+// Accepted ranges of the numeric generation settings
+export const GENERATION_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    maxSteps: { min: 1, max: 50 },
+    maxRetries: { min: 1, max: 10 },
+    contextTokenBudget: { min: 500, max: 32000 },
+};
+
+// =============================================================================
+// Storage Helpers
+// =============================================================================
+
+/**
+ * Reads the per-provider settings map, migrating the legacy Gemini key if present.
+ * @returns {Promise<Object<string, { apiKey?: string, model?: string, baseUrl?: string }>>}
+ */
+async function readAllProviderSettings() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.PROVIDER_SETTINGS, STORAGE_KEYS.LEGACY_GEMINI_KEY]);
+    const all = data[STORAGE_KEYS.PROVIDER_SETTINGS] || {};
+
+    const legacyKey = data[STORAGE_KEYS.LEGACY_GEMINI_KEY];
+    if (legacyKey) {
+        all.gemini = { apiKey: legacyKey, ...all.gemini };
+        await chrome.storage.local.set({ [STORAGE_KEYS.PROVIDER_SETTINGS]: all });
+        await chrome.storage.local.remove(STORAGE_KEYS.LEGACY_GEMINI_KEY);
+    }
+
+    return all;
+}
+
+/**
+ * @returns {Promise<Object<string, string>>} Session-only API keys by provider id.
+ */
+async function readSessionApiKeys() {
+    const data = await chrome.storage.session.get([STORAGE_KEYS.SESSION_API_KEYS]);
+    return data[STORAGE_KEYS.SESSION_API_KEYS] || {};
+}
+
+/**
+ * Checks generation settings against GENERATION_LIMITS, the prompt template's variables and the language tag.
+ * @param {Object} settings - A complete generation settings object.
+ * @returns {Array<string>} Problems; empty when the settings are valid.
+ */
+function validateGenerationSettings(settings) {
+    const errors = [];
+    Object.entries(GENERATION_LIMITS).forEach(([name, { min, max }]) => {
+        const value = settings[name];
+        if (value === null && name === 'temperature') return;
+        if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+            errors.push(`${name} must be a number from ${min} to ${max}.`);
+        } else if (name !== 'temperature' && !Number.isInteger(value)) {
+            errors.push(`${name} must be a whole number.`);
+        }
+    });
+    errors.push(...validatePromptTemplate(settings.promptTemplate).map(error => `Prompt template: ${error}.`));
+    if (settings.language && !normalizeLanguageTag(settings.language)) {
+        errors.push(`Tour language must be a language tag such as "fr" or "pt-BR".`);
+    }
+    return errors;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * @returns {Promise<string>} The id of the provider selected by the user.
+ */
+export async function getActiveProviderId() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.ACTIVE_PROVIDER]);
+    return data[STORAGE_KEYS.ACTIVE_PROVIDER] || DEFAULT_PROVIDER_ID;
+}
+
+/**
+ * @param {string} providerId
+ */
+export async function setActiveProviderId(providerId) {
+    getProvider(providerId); // Throws on unknown ids
+    await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_PROVIDER]: providerId });
+}
+
+/**
+ * Returns the saved settings for one provider, with the provider's defaults filled in.
+ * @param {string} providerId
+ * @returns {Promise<{ apiKey: string, rememberKey: boolean, model: string, baseUrl: string }>}
+ *   `rememberKey` is false when the key is only kept until the browser closes.
+ */
+export async function getProviderSettings(providerId) {
+    const provider = getProvider(providerId);
+    const saved = (await readAllProviderSettings())[providerId] || {};
+    const sessionKeys = await readSessionApiKeys();
+    return {
+        apiKey: saved.apiKey || sessionKeys[providerId] || '',
+        rememberKey: saved.rememberKey !== false,
+        model: saved.model || provider.defaultModel,
+        baseUrl: saved.baseUrl || provider.defaultBaseUrl || '',
+    };
+}
+
+/**
+ * Merges and persists settings for one provider. With `rememberKey: false` the
+ * API key is kept in session storage only and removed from local storage.
+ * @param {string} providerId
+ * @param {{ apiKey?: string, rememberKey?: boolean, model?: string, baseUrl?: string }} settings
+ */
+export async function saveProviderSettings(providerId, settings) {
+    getProvider(providerId);
+    const { apiKey, ...rest } = settings;
+    const all = await readAllProviderSettings();
+    const saved = { ...all[providerId], ...rest };
+
+    if (apiKey !== undefined) {
+        const sessionKeys = await readSessionApiKeys();
+        if (saved.rememberKey === false) {
+            delete saved.apiKey;
+            sessionKeys[providerId] = apiKey;
+        } else {
+            saved.apiKey = apiKey;
+            delete sessionKeys[providerId];
+        }
+        await chrome.storage.session.set({ [STORAGE_KEYS.SESSION_API_KEYS]: sessionKeys });
+    }
+
+    all[providerId] = saved;
+    await chrome.storage.local.set({ [STORAGE_KEYS.PROVIDER_SETTINGS]: all });
+}
+
+/**
+ * @returns {Promise<Object>} The generation settings, with GENERATION_DEFAULTS filled in.
+ */
+export async function getGenerationSettings() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.GENERATION_SETTINGS]);
+    return { ...GENERATION_DEFAULTS, ...data[STORAGE_KEYS.GENERATION_SETTINGS] };
+}
+
+/**
+ * Validates and persists generation settings. Settings equal to their default
+ * are not stored, so later changes to the defaults apply to them.
+ * @param {Object} settings - Any of the GENERATION_DEFAULTS keys.
+ * @returns {Promise<Object>} The complete generation settings.
+ */
+export async function saveGenerationSettings(settings) {
+    const merged = { ...(await getGenerationSettings()), ...settings };
+    const errors = validateGenerationSettings(merged);
+    if (errors.length) {
+        throw createError(ERROR_CODE.MISSING_INPUT, errors.join(' '));
+    }
+    merged.language = normalizeLanguageTag(merged.language);
+    merged.screenshot = !!merged.screenshot;
+
+    const changed = Object.fromEntries(Object.entries(merged).filter(([name, value]) => value !== GENERATION_DEFAULTS[name]));
+    await chrome.storage.local.set({ [STORAGE_KEYS.GENERATION_SETTINGS]: changed });
+    return merged;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether pages show the prompt bar launcher.
+ */
+export async function getShowPromptBar() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.SHOW_PROMPT_BAR]);
+    return !!data[STORAGE_KEYS.SHOW_PROMPT_BAR];
+}
+
+/**
+ * Shows or hides the prompt bar launcher; open pages follow right away.
+ * @param {boolean} show
+ */
+export async function setShowPromptBar(show) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.SHOW_PROMPT_BAR]: !!show });
+}
+
+/**
+ * @returns {Promise<string>} The analytics collector endpoint, or '' when events stay local.
+ */
+export async function getAnalyticsCollectorUrl() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.ANALYTICS_COLLECTOR_URL]);
+    return data[STORAGE_KEYS.ANALYTICS_COLLECTOR_URL] || '';
+}
+
+/**
+ * @param {string} url - An http(s) URL, or '' to stop sending events.
+ */
+export async function saveAnalyticsCollectorUrl(url) {
+    const trimmed = (url || '').trim();
+    if (trimmed && !/^https?:\/\/[^\s/]+/i.test(trimmed)) {
+        throw createError(ERROR_CODE.MISSING_INPUT, 'The analytics collector must be an http:// or https:// URL.');
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.ANALYTICS_COLLECTOR_URL]: trimmed });
+}
+
+/**
+ * @returns {Promise<{ redact: boolean, deniedDomains: Array<string> }>} The privacy settings, with PRIVACY_DEFAULTS filled in.
+ */
+export async function getPrivacySettings() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.PRIVACY_SETTINGS]);
+    return { ...PRIVACY_DEFAULTS, ...data[STORAGE_KEYS.PRIVACY_SETTINGS] };
+}
+
+/**
+ * Saves the privacy settings. Denylist entries are normalized to host names;
+ * empty and duplicate entries are dropped.
+ * @param {{ redact?: boolean, deniedDomains?: Array<string> }} settings
+ * @returns {Promise<{ redact: boolean, deniedDomains: Array<string> }>} The saved settings.
+ */
+export async function savePrivacySettings(settings) {
+    const merged = { ...(await getPrivacySettings()), ...settings };
+    const deniedDomains = [...new Set(merged.deniedDomains.map(normalizeDeniedDomain).filter(Boolean))];
+    const invalid = deniedDomains.filter(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain));
+    if (invalid.length) {
+        throw createError(ERROR_CODE.MISSING_INPUT, `Not a domain name: ${invalid.join(', ')}.`);
+    }
+
+    const saved = { redact: !!merged.redact, deniedDomains };
+    await chrome.storage.local.set({ [STORAGE_KEYS.PRIVACY_SETTINGS]: saved });
+    return saved;
+}
+
+/**
+ * @returns {Promise<Object>} The user's tour presentation defaults, with PRESENTATION_DEFAULTS filled in.
+ */
+export async function getPresentationSettings() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.TOUR_PRESENTATION]);
+    return { ...PRESENTATION_DEFAULTS, ...data[STORAGE_KEYS.TOUR_PRESENTATION] };
+}
+
+/**
+ * Saves the tour presentation defaults; tours already open pick them up when they next start.
+ * @param {Object} settings - Options of TOUR_CONFIG_SCHEMA.
+ * @returns {Promise<Object>} The saved settings.
+ */
+export async function savePresentationSettings(settings) {
+    const merged = { ...(await getPresentationSettings()), ...settings };
+    const errors = [];
+    if (typeof merged.overlayOpacity !== 'number' || !(merged.overlayOpacity >= 0 && merged.overlayOpacity <= 1)) {
+        errors.push('Overlay opacity must be a number from 0 to 1.');
+    }
+    if (typeof merged.stagePadding !== 'number' || !(merged.stagePadding >= 0)) {
+        errors.push('Highlight padding must be a number of pixels.');
+    }
+    if (!errors.length) {
+        errors.push(...validateAgainstSchema(merged, TOUR_CONFIG_SCHEMA, 'presentation'));
+    }
+    if (errors.length) {
+        throw createError(ERROR_CODE.MISSING_INPUT, errors.join(' '));
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.TOUR_PRESENTATION]: merged });
+    return merged;
+}
+
+/**
+ * Resolves everything needed to call the active provider.
+ * @returns {Promise<{ provider: Object, apiKey: string, model: string, baseUrl: string, generation: Object, privacy: Object }>}
+ *   `generation` and `privacy` hold the generation and privacy settings, see getGenerationSettings() and getPrivacySettings().
+ */
+export async function getActiveProviderConfig() {
+    const providerId = await getActiveProviderId();
+    const provider = getProvider(providerId);
+    const settings = await getProviderSettings(providerId);
+
+    if (provider.requiresApiKey && !settings.apiKey) {
+        throw createError(ERROR_CODE.MISSING_API_KEY, `No ${provider.label} API key saved. Please set it on the options page.`);
+    }
+
+    return { provider, ...settings, generation: await getGenerationSettings(), privacy: await getPrivacySettings() };
+}
@@ -0,0 +1,225 @@
+// tour-analytics.js
+//
+// What happened to tours after they started, stored locally in
+// chrome.storage.local. Each run of a tour records the steps it showed (when,
+// in which direction, and whether the step's element was missing) and how it
+// ended: completed (closed on the last step), closed early, or unfinished (the
+// tab closed, another tour replaced it, or it is still running). The options
+// page summarizes runs per tour and page and exports them as CSV or JSON.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const STORAGE_KEY = 'tourAnalytics';
+
+const ANALYTICS_CONFIG = {
+    // The oldest runs are dropped beyond this
+    MAX_RUNS: 500,
+    // Step views beyond this are not recorded, for tours stuck in a loop
+    MAX_VIEWS_PER_RUN: 200,
+};
+
+export const TOUR_EVENT = {
+    STARTED: 'started',
+    STEP_VIEWED: 'step_viewed',
+    COMPLETED: 'completed',
+    CLOSED: 'closed',
+};
+
+export const RUN_OUTCOME = {
+    COMPLETED: 'completed',
+    CLOSED: 'closed',
+    UNFINISHED: 'unfinished',
+};
+
+// Serializes read-modify-write cycles on the stored runs
+let writeQueue = Promise.resolve();
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * @param {function():Promise<*>} task
+ * @returns {Promise<*>}
+ */
+function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} The stored runs, oldest first.
+ */
+export async function getTourRuns() {
+    const data = await chrome.storage.local.get([STORAGE_KEY]);
+    return data[STORAGE_KEY] || [];
+}
+
+/**
+ * @param {Array<Object>} runs
+ */
+async function writeRuns(runs) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: runs.slice(-ANALYTICS_CONFIG.MAX_RUNS) });
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The page a tour ran on, without query or fragment.
+ */
+function toPageUrl(url) {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+}
+
+/**
+ * How long each step of a run stayed on screen: until the next step was shown,
+ * or until the tour ended for the last one shown.
+ * @param {Object} run
+ * @returns {Array<{ stepIndex: number, at: number, durationMs: number|null, direction: string, broken: boolean }>}
+ */
+function getTimedViews(run) {
+    return run.views.map((view, i) => {
+        const endedAt = run.views[i + 1]?.at ?? run.endedAt;
+        return { ...view, durationMs: endedAt ? endedAt - view.at : null };
+    });
+}
+
+/**
+ * @param {string|number|boolean|null} value
+ * @returns {string} The value as a CSV field.
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// =============================================================================
+// Recording
+// =============================================================================
+
+/**
+ * Records a tour that just started (not one resumed after a navigation).
+ * @param {{ runId: string, tourName: string, url: string, steps: Array<Object> }} tour
+ * @returns {Promise<void>}
+ */
+export function startTourRun({ runId, tourName, url, steps }) {
+    return enqueueWrite(async () => {
+        const runs = await getTourRuns();
+        runs.push({
+            id: runId,
+            tourName: tourName || '(untitled)',
+            url: toPageUrl(url),
+            stepTitles: steps.map(step => step.popover?.title || step.title || ''),
+            startedAt: Date.now(),
+            endedAt: null,
+            outcome: RUN_OUTCOME.UNFINISHED,
+            views: [],
+        });
+        await writeRuns(runs);
+    });
+}
+
+/**
+ * Records a step view or the end of a run. Events of unknown runs are ignored.
+ * @param {string} runId
+ * @param {{ event: string, stepIndex?: number, direction?: string, broken?: boolean }} event
+ * @returns {Promise<Object|null>} The updated run.
+ */
+export function recordTourEvent(runId, { event, stepIndex, direction = 'next', broken = false }) {
+    return enqueueWrite(async () => {
+        const runs = await getTourRuns();
+        const run = runs.find(r => r.id === runId);
+        if (!run) return null;
+
+        if (event === TOUR_EVENT.STEP_VIEWED) {
+            if (run.views.length >= ANALYTICS_CONFIG.MAX_VIEWS_PER_RUN) return run;
+            run.views.push({ stepIndex, at: Date.now(), direction, broken });
+        } else if (event === TOUR_EVENT.COMPLETED || event === TOUR_EVENT.CLOSED) {
+            run.endedAt = Date.now();
+            run.outcome = event === TOUR_EVENT.COMPLETED ? RUN_OUTCOME.COMPLETED : RUN_OUTCOME.CLOSED;
+        }
+        await writeRuns(runs);
+        return run;
+    });
+}
+
+/**
+ * Deletes every recorded run.
+ */
+export async function clearTourRuns() {
+    await enqueueWrite(() => chrome.storage.local.remove(STORAGE_KEY));
+}
+
+// =============================================================================
+// Reporting
+// =============================================================================
+
+/**
+ * Summarizes runs per tour and page, most runs first.
+ * @param {Array<Object>} runs
+ * @returns {Array<{ tourName: string, url: string, runs: number, completed: number, closed: number,
+ *   steps: Array<{ title: string, reached: number, avgTimeMs: number|null, broken: number }> }>}
+ *   `reached` counts the runs that showed the step at least once; `broken` counts views whose element was missing.
+ */
+export function summarizeTourRuns(runs) {
+    const groups = new Map();
+    runs.forEach(run => {
+        const key = `${run.tourName}\n${run.url}`;
+        if (!groups.has(key)) {
+            groups.set(key, { tourName: run.tourName, url: run.url, runs: 0, completed: 0, closed: 0, steps: [], times: [] });
+        }
+        const group = groups.get(key);
+        group.runs++;
+        if (run.outcome === RUN_OUTCOME.COMPLETED) group.completed++;
+        if (run.outcome === RUN_OUTCOME.CLOSED) group.closed++;
+
+        run.stepTitles.forEach((title, i) => {
+            group.steps[i] ??= { title, reached: 0, avgTimeMs: null, broken: 0 };
+            group.times[i] ??= [];
+        });
+        const timedViews = getTimedViews(run);
+        new Set(timedViews.map(view => view.stepIndex)).forEach(i => { if (group.steps[i]) group.steps[i].reached++; });
+        timedViews.forEach(view => {
+            if (!group.steps[view.stepIndex]) return;
+            if (view.broken) group.steps[view.stepIndex].broken++;
+            if (view.durationMs !== null) group.times[view.stepIndex].push(view.durationMs);
+        });
+    });
+
+    return [...groups.values()]
+        .map(({ times, ...group }) => ({
+            ...group,
+            steps: group.steps.map((step, i) => ({
+                ...step,
+                avgTimeMs: times[i].length ? Math.round(times[i].reduce((sum, ms) => sum + ms, 0) / times[i].length) : null,
+            })),
+        }))
+        .sort((a, b) => b.runs - a.runs);
+}
+
+/**
+ * Exports runs as CSV, one row per step view (runs that showed no step get one empty row).
+ * @param {Array<Object>} runs
+ * @returns {string}
+ */
+export function tourRunsToCsv(runs) {
+    const header = ['runId', 'tourName', 'url', 'startedAt', 'outcome', 'stepIndex', 'stepTitle', 'viewedAt', 'durationMs', 'direction', 'broken'];
+    const rows = runs.flatMap(run => {
+        const base = [run.id, run.tourName, run.url, new Date(run.startedAt).toISOString(), run.outcome];
+        const views = getTimedViews(run);
+        if (views.length === 0) return [[...base, '', '', '', '', '', '']];
+        return views.map(view => [
+            ...base,
+            view.stepIndex + 1,
+            run.stepTitles[view.stepIndex] ?? '',
+            new Date(view.at).toISOString(),
+            view.durationMs,
+            view.direction,
+            view.broken,
+        ]);
+    });
+    return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+}
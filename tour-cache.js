@@ -0,0 +1,222 @@
+// tour-cache.js
+//
+// Generated tours cached in chrome.storage.local, so generating the same prompt
+// on the same page replays the earlier tour instead of calling the model again.
+// Entries are keyed by the normalized URL and prompt, the tour language and the
+// provider and model that generated the tour. Each one keeps a
+// structural fingerprint of the page snapshot it was generated from: when the
+// page's structure has drifted too far, or the entry is too old, the entry is
+// dropped and the tour is generated afresh.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const STORAGE_KEY = 'tourCache';
+
+const CACHE_CONFIG = {
+    // Entries older than this are regenerated
+    MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+    // The least recently used entries are dropped beyond this
+    MAX_ENTRIES: 50,
+    // Share of snapshot nodes (by role and selector) the page must still have in common
+    MIN_FINGERPRINT_SIMILARITY: 0.85,
+};
+
+// Query parameters that do not change the page a tour is about
+const IGNORED_QUERY_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|ref|_ga)$/i;
+
+// Serializes read-modify-write cycles on the cache
+let writeQueue = Promise.resolve();
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * @param {function():Promise<*>} task
+ * @returns {Promise<*>}
+ */
+function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * @returns {Promise<Object<string, Object>>} Cache entries by key.
+ */
+async function readCache() {
+    const data = await chrome.storage.local.get([STORAGE_KEY]);
+    return data[STORAGE_KEY] || {};
+}
+
+/**
+ * @param {Object<string, Object>} cache
+ */
+async function writeCache(cache) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: cache });
+}
+
+/**
+ * Normalizes a URL for caching: no fragment (except hash routes such as
+ * "#/settings"), no tracking parameters, sorted query and no trailing slash.
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams].filter(([name]) => !IGNORED_QUERY_PARAMS.test(name));
+    params.sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const hashRoute = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+    const path = parsed.pathname.replace(/\/+$/, '') || '/';
+    return `${parsed.origin}${path}${query ? `?${query}` : ''}${hashRoute}`;
+}
+
+/**
+ * @param {string} prompt
+ * @returns {string} The prompt lower-cased, with whitespace collapsed and trailing punctuation removed.
+ */
+function normalizePrompt(prompt) {
+    return prompt.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '');
+}
+
+/**
+ * @param {string} url
+ * @param {string} prompt
+ * @param {TourCacheVariant} variant
+ * @returns {string}
+ */
+function cacheKey(url, prompt, variant) {
+    return `${normalizeUrl(url)} ${variant.language} ${variant.provider}/${variant.model} ${normalizePrompt(prompt)}`;
+}
+
+/**
+ * 32-bit FNV-1a hash.
+ * @param {string} text
+ * @returns {string} The hash in base 36.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {number} Jaccard similarity of the two sets, from 0 to 1.
+ */
+function similarity(a, b) {
+    const setB = new Set(b);
+    const shared = a.filter(item => setB.has(item)).length;
+    const union = new Set([...a, ...b]).size;
+    return union === 0 ? 1 : shared / union;
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * What else a cached tour depends on besides the page and prompt.
+ * @typedef {Object} TourCacheVariant
+ * @property {string} language - The resolved tour language.
+ * @property {string} provider - The AI provider's id.
+ * @property {string} model
+ */
+
+/**
+ * Builds a structural fingerprint of a page snapshot: the hashes of its nodes'
+ * role and selector. Accessible names are left out, so changing text (prices,
+ * counters, dates) does not count as drift.
+ * @param {Object} pageContext - From the content script's getPageContext().
+ * @returns {Array<string>} Sorted, unique node hashes.
+ */
+export function fingerprintPage(pageContext) {
+    const nodes = pageContext?.snapshot?.nodes || [];
+    return [...new Set(nodes.map(node => hashString(`${node.role}|${node.selector}`)))].sort();
+}
+
+/**
+ * Looks up a tour generated earlier for the same page, prompt and variant. Expired entries
+ * and entries whose page structure has drifted are removed.
+ * @param {string} url
+ * @param {string} prompt
+ * @param {TourCacheVariant} variant
+ * @param {Array<string>} fingerprint - From fingerprintPage().
+ * @returns {Promise<{ steps: Array<Object>, config?: Object, createdAt: number }|null>}
+ */
+export async function getCachedTour(url, prompt, variant, fingerprint) {
+    const key = cacheKey(url, prompt, variant);
+    return enqueueWrite(async () => {
+        const cache = await readCache();
+        const entry = cache[key];
+        if (!entry) return null;
+
+        let reason = null;
+        if (Date.now() - entry.createdAt > CACHE_CONFIG.MAX_AGE_MS) {
+            reason = 'expired';
+        } else if (similarity(entry.fingerprint, fingerprint) < CACHE_CONFIG.MIN_FINGERPRINT_SIMILARITY) {
+            reason = 'page structure changed';
+        }
+
+        if (reason) {
+            console.log(`Dropping cached tour (${reason}):`, key);
+            delete cache[key];
+        } else {
+            entry.lastUsedAt = Date.now();
+        }
+        await writeCache(cache);
+        return reason ? null : { steps: entry.steps, config: entry.config, createdAt: entry.createdAt };
+    });
+}
+
+/**
+ * Caches a generated tour whose steps were validated and verified on the page.
+ * @param {string} url
+ * @param {string} prompt
+ * @param {TourCacheVariant} variant
+ * @param {Array<string>} fingerprint - From fingerprintPage().
+ * @param {Array<Object>} steps
+ * @param {Object} [config] - The tour's presentation, when the model gave one.
+ */
+export async function cacheTour(url, prompt, variant, fingerprint, steps, config) {
+    const key = cacheKey(url, prompt, variant);
+    await enqueueWrite(async () => {
+        const cache = await readCache();
+        const now = Date.now();
+        cache[key] = { fingerprint, steps, ...(config ? { config } : {}), createdAt: now, lastUsedAt: now };
+
+        const keys = Object.keys(cache).sort((a, b) => cache[b].lastUsedAt - cache[a].lastUsedAt);
+        keys.slice(CACHE_CONFIG.MAX_ENTRIES).forEach(oldKey => delete cache[oldKey]);
+        await writeCache(cache);
+    });
+}
+
+/**
+ * Drops the cached tour of a page and prompt, e.g. when its steps no longer resolve.
+ * @param {string} url
+ * @param {string} prompt
+ * @param {TourCacheVariant} variant
+ */
+export async function invalidateCachedTour(url, prompt, variant) {
+    const key = cacheKey(url, prompt, variant);
+    await enqueueWrite(async () => {
+        const cache = await readCache();
+        if (!cache[key]) return;
+        delete cache[key];
+        await writeCache(cache);
+    });
+}
+
+/**
+ * Removes every cached tour.
+ */
+export async function clearTourCache() {
+    await enqueueWrite(() => chrome.storage.local.remove(STORAGE_KEY));
+}
@@ -0,0 +1,227 @@
+// tour-history.js
+//
+// Refinement conversation of the generated tour on each tab, kept in
+// chrome.storage.session: the page context the tour was generated from and every
+// version of its steps. Each version records the follow-up prompt that produced
+// it and its parent, so restoring an earlier version and refining it again
+// starts a new branch. The chain from the first version to the current one is
+// replayed to the model as a multi-turn conversation.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// Per-tab key in chrome.storage.session holding the conversation
+const STORAGE_PREFIX = 'tourConversation:';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * @param {number} tabId
+ * @returns {string}
+ */
+function conversationKey(tabId) {
+    return `${STORAGE_PREFIX}${tabId}`;
+}
+
+/**
+ * @param {number} tabId
+ * @param {Object} conversation
+ */
+async function writeConversation(tabId, conversation) {
+    await chrome.storage.session.set({ [conversationKey(tabId)]: conversation });
+}
+
+/**
+ * @param {Object} conversation
+ * @param {number} versionId
+ * @returns {Object}
+ */
+function findVersion(conversation, versionId) {
+    const version = conversation.versions.find(v => v.id === versionId);
+    if (!version) {
+        throw new Error(`Tour version not found: ${versionId}`);
+    }
+    return version;
+}
+
+// =============================================================================
+// Public API: Conversation
+// =============================================================================
+
+/**
+ * Starts a new conversation from a freshly generated tour, replacing the tab's previous one.
+ * @param {number} tabId
+ * @param {{ prompt: string, pageContext: Object, steps: Array<Object> }} generation
+ * @returns {Promise<Object>} The conversation.
+ */
+export async function startConversation(tabId, { prompt, pageContext, steps }) {
+    const conversation = {
+        pageContext,
+        versions: [{ id: 1, parentId: null, prompt, steps, edited: false, createdAt: Date.now() }],
+        currentVersionId: 1,
+    };
+    await writeConversation(tabId, conversation);
+    return conversation;
+}
+
+/**
+ * @param {number} tabId
+ * @returns {Promise<Object|null>} `{ pageContext, versions, currentVersionId }`, or null.
+ */
+export async function getConversation(tabId) {
+    const key = conversationKey(tabId);
+    const data = await chrome.storage.session.get([key]);
+    return data[key] || null;
+}
+
+/**
+ * Adds a version on top of the current one and makes it current.
+ * @param {number} tabId
+ * @param {{ prompt: string|null, steps: Array<Object>, edited?: boolean }} version
+ *   `edited` marks steps changed by hand in the step editor rather than by a prompt.
+ * @returns {Promise<Object>} The new version.
+ */
+export async function addVersion(tabId, { prompt, steps, edited = false }) {
+    const conversation = await getConversation(tabId);
+    if (!conversation) {
+        throw new Error('No tour conversation on this tab.');
+    }
+
+    const version = {
+        id: Math.max(...conversation.versions.map(v => v.id)) + 1,
+        parentId: conversation.currentVersionId,
+        prompt,
+        steps,
+        edited,
+        createdAt: Date.now(),
+    };
+    conversation.versions.push(version);
+    conversation.currentVersionId = version.id;
+    await writeConversation(tabId, conversation);
+    return version;
+}
+
+/**
+ * Makes an earlier version current; the next refinement continues from it.
+ * @param {number} tabId
+ * @param {number} versionId
+ * @returns {Promise<Object>} The restored version.
+ */
+export async function restoreVersion(tabId, versionId) {
+    const conversation = await getConversation(tabId);
+    if (!conversation) {
+        throw new Error('No tour conversation on this tab.');
+    }
+    const version = findVersion(conversation, versionId);
+    conversation.currentVersionId = versionId;
+    await writeConversation(tabId, conversation);
+    return version;
+}
+
+/**
+ * @param {number} tabId
+ */
+export async function clearConversation(tabId) {
+    await chrome.storage.session.remove(conversationKey(tabId));
+}
+
+/**
+ * @param {Object} conversation
+ * @param {number} [versionId] - Defaults to the current version.
+ * @returns {Array<Object>} The versions from the first one to `versionId`, in order.
+ */
+export function getVersionChain(conversation, versionId = conversation.currentVersionId) {
+    const chain = [];
+    for (let version = findVersion(conversation, versionId); version; ) {
+        chain.unshift(version);
+        version = version.parentId === null ? null : findVersion(conversation, version.parentId);
+    }
+    return chain;
+}
+
+// =============================================================================
+// Public API: Diff
+// =============================================================================
+
+/**
+ * @param {Object} step
+ * @returns {string} A short description of what the step points at.
+ */
+export function describeStepTarget(step) {
+    const [locator] = step.locators || [];
+    if (locator) return `${locator.type}: ${locator.name || locator.value}`;
+    if (step.xpath) return `xpath: ${step.xpath}`;
+    if (step.element || step.selector) return `css: ${step.element || step.selector}`;
+    return 'Floating (no element)';
+}
+
+/**
+ * @param {Object} step
+ * @returns {Object<string, string>} The fields compared by diffSteps().
+ */
+function getComparableFields(step) {
+    return {
+        target: describeStepTarget(step),
+        title: step.popover?.title || '',
+        description: step.popover?.description || '',
+        side: step.popover?.side || '',
+        align: step.popover?.align || '',
+    };
+}
+
+/**
+ * Compares two versions' steps. Steps are aligned by target (or title for
+ * floating steps) with a longest common subsequence, so inserted and removed
+ * steps do not show every following step as changed. A removal directly
+ * followed by an insertion is reported as one changed step.
+ * @param {Array<Object>} before
+ * @param {Array<Object>} after
+ * @returns {Array<{ type: 'added'|'removed'|'changed', beforeIndex?: number, afterIndex?: number,
+ *   title: string, fields?: Array<{ field: string, before: string, after: string }> }>}
+ */
+export function diffSteps(before, after) {
+    const a = before.map(getComparableFields);
+    const b = after.map(getComparableFields);
+    const key = (fields) => (fields.target === 'Floating (no element)' ? `title:${fields.title}` : fields.target);
+
+    // lcs[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = key(a[i]) === key(b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changedFields = (x, y) => Object.keys(x)
+        .filter(field => x[field] !== y[field])
+        .map(field => ({ field, before: x[field], after: y[field] }));
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && key(a[i]) === key(b[j])) {
+            const fields = changedFields(a[i], b[j]);
+            if (fields.length) changes.push({ type: 'changed', beforeIndex: i, afterIndex: j, title: b[j].title, fields });
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+            const previous = changes[changes.length - 1];
+            if (previous?.type === 'removed' && previous.beforeIndex === i - 1) {
+                changes[changes.length - 1] = {
+                    type: 'changed', beforeIndex: i - 1, afterIndex: j, title: b[j].title, fields: changedFields(a[i - 1], b[j]),
+                };
+            } else {
+                changes.push({ type: 'added', afterIndex: j, title: b[j].title });
+            }
+            j++;
+        } else {
+            changes.push({ type: 'removed', beforeIndex: i, title: a[i].title });
+            i++;
+        }
+    }
+    return changes;
+}
@@ -0,0 +1,277 @@
+// tour-library.js
+//
+// User-managed tours (recorded, saved from generation, imported or duplicated),
+// persisted in chrome.storage.local and merged with the read-only bundled
+// data/stored-steps.json tours.
+// Tours use the same schema as the bundled ones: { url, tourName, description, formInputs, locales, steps }.
+// Library entries add { id, source, createdAt, updatedAt }.
+
+import { STORED_TOUR_SCHEMA, validateAgainstSchema } from './ai-providers/schema.js';
+import { normalizeLanguageTag } from './tour-locale.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const STORAGE_KEYS = {
+    USER_TOURS: 'userTours',
+    // Per-tab key in chrome.storage.session holding the last generated tour
+    LAST_GENERATED_PREFIX: 'lastGeneratedTour:',
+};
+
+// Where a library tour came from
+export const TOUR_SOURCE = {
+    BUNDLED: 'bundled',
+    RECORDED: 'recorded',
+    GENERATED: 'generated',
+    IMPORTED: 'imported',
+    DUPLICATED: 'duplicated',
+};
+
+// Library and draft fields that are not part of the shareable tour schema
+const LIBRARY_FIELDS = ['id', 'source', 'createdAt', 'updatedAt', 'readOnly', 'matchParams', 'prompt', 'cachedAt'];
+
+// =============================================================================
+// Storage Helpers
+// =============================================================================
+
+/**
+ * @param {Array<Object>} tours
+ */
+async function writeUserTours(tours) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.USER_TOURS]: tours });
+}
+
+/**
+ * Finds a user tour by id.
+ * @param {Array<Object>} tours
+ * @param {string} id
+ * @returns {number} The tour's index.
+ */
+function findTourIndex(tours, id) {
+    const index = tours.findIndex(t => t.id === id);
+    if (index === -1) {
+        throw new Error(`Tour not found in library: ${id}`);
+    }
+    return index;
+}
+
+/**
+ * Throws when a tour does not match the stored tour schema.
+ * @param {Object} tour
+ */
+function assertValidTour(tour) {
+    const errors = validateAgainstSchema(tour, STORED_TOUR_SCHEMA, tour?.tourName || 'tour');
+    if (errors.length) {
+        throw new Error(`Invalid tour: ${errors.join('; ')}`);
+    }
+}
+
+/**
+ * Removes library bookkeeping fields, leaving a tour in the stored-steps.json schema.
+ * @param {Object} tour
+ * @returns {Object}
+ */
+function toPortableTour(tour) {
+    return Object.fromEntries(Object.entries(tour).filter(([key]) => !LIBRARY_FIELDS.includes(key)));
+}
+
+// =============================================================================
+// Public API: Reading
+// =============================================================================
+
+/**
+ * @returns {Promise<Array<Object>>} The read-only tours bundled in data/stored-steps.json.
+ */
+export async function getBundledTours() {
+    const storedSteps = await fetch(chrome.runtime.getURL('data/stored-steps.json'))
+        .then(response => response.json());
+
+    return storedSteps.map((tour, index) => ({
+        ...tour,
+        id: `bundled:${index}`,
+        source: TOUR_SOURCE.BUNDLED,
+        readOnly: true,
+    }));
+}
+
+/**
+ * @returns {Promise<Array<Object>>} All user tours, oldest first.
+ */
+export async function getUserTours() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.USER_TOURS]);
+    return data[STORAGE_KEYS.USER_TOURS] || [];
+}
+
+/**
+ * @returns {Promise<Array<Object>>} User tours followed by the bundled tours.
+ */
+export async function getAllTours() {
+    return [...await getUserTours(), ...await getBundledTours()];
+}
+
+// =============================================================================
+// Public API: Editing
+// =============================================================================
+
+/**
+ * Adds a tour to the library.
+ * @param {Object} tour - A tour in the stored-steps.json schema.
+ * @param {string} source - One of TOUR_SOURCE.
+ * @returns {Promise<Object>} The stored tour, with its generated `id`.
+ */
+export async function saveUserTour(tour, source) {
+    const portable = toPortableTour(tour);
+    assertValidTour(portable);
+
+    const now = Date.now();
+    const stored = { ...portable, id: crypto.randomUUID(), source, createdAt: now, updatedAt: now };
+
+    const tours = await getUserTours();
+    tours.push(stored);
+    await writeUserTours(tours);
+
+    return stored;
+}
+
+/**
+ * @param {string} id
+ * @param {string} tourName
+ * @returns {Promise<Object>} The renamed tour.
+ */
+export async function renameUserTour(id, tourName) {
+    if (!tourName || !tourName.trim()) {
+        throw new Error('Tour name cannot be empty.');
+    }
+    const tours = await getUserTours();
+    const index = findTourIndex(tours, id);
+    tours[index] = { ...tours[index], tourName: tourName.trim(), updatedAt: Date.now() };
+    await writeUserTours(tours);
+    return tours[index];
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteUserTour(id) {
+    const tours = await getUserTours();
+    tours.splice(findTourIndex(tours, id), 1);
+    await writeUserTours(tours);
+}
+
+/**
+ * Adds or replaces a user tour's text variant for one language (see tour-locale.js).
+ * @param {string} id
+ * @param {string} language - A language tag, e.g. "fr".
+ * @param {Object} translated - The tour with its text in that language, steps in the same order; only the text is taken.
+ * @returns {Promise<Object>} The updated tour.
+ */
+export async function setTourLocale(id, language, translated) {
+    const tag = normalizeLanguageTag(language);
+    if (!tag) {
+        throw new Error(`"${language}" is not a language tag such as "fr" or "pt-BR".`);
+    }
+    const tours = await getUserTours();
+    const index = findTourIndex(tours, id);
+    const tour = tours[index];
+
+    tours[index] = {
+        ...tour,
+        locales: { ...tour.locales, [tag]: { tourName: translated.tourName, description: translated.description || '' } },
+        steps: tour.steps.map((step, i) => {
+            const text = translated.steps[i]?.popover;
+            if (!step.popover || !text) return step;
+            return { ...step, popover: { ...step.popover, locales: { ...step.popover.locales, [tag]: { title: text.title, description: text.description || '' } } } };
+        }),
+        updatedAt: Date.now(),
+    };
+    await writeUserTours(tours);
+    return tours[index];
+}
+
+/**
+ * Copies a user or bundled tour into the library as a new, editable tour.
+ * @param {string} id
+ * @returns {Promise<Object>} The copy.
+ */
+export async function duplicateTour(id) {
+    const tours = await getAllTours();
+    const original = tours[findTourIndex(tours, id)];
+    return await saveUserTour({ ...original, tourName: `${original.tourName} (copy)` }, TOUR_SOURCE.DUPLICATED);
+}
+
+// =============================================================================
+// Public API: Import / Export
+// =============================================================================
+
+/**
+ * Serializes tours for sharing, in the stored-steps.json schema.
+ * @param {Array<string>} [ids] - Tours to export; all user tours when omitted.
+ * @returns {Promise<string>} Pretty-printed JSON array.
+ */
+export async function exportTours(ids) {
+    const tours = ids ? (await getAllTours()).filter(t => ids.includes(t.id)) : await getUserTours();
+    return JSON.stringify(tours.map(toPortableTour), null, 4);
+}
+
+/**
+ * Imports tours from exported JSON: an array of tours or a single tour object.
+ * Every tour is validated before anything is stored.
+ * @param {string} json
+ * @returns {Promise<Array<Object>>} The imported library entries.
+ */
+export async function importTours(json) {
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (err) {
+        throw new Error(`Import file is not valid JSON: ${err.message}`);
+    }
+
+    const incoming = (Array.isArray(parsed) ? parsed : [parsed]).map(toPortableTour);
+    if (incoming.length === 0) {
+        throw new Error('Import file contains no tours.');
+    }
+    incoming.forEach(assertValidTour);
+
+    const now = Date.now();
+    const imported = incoming.map(tour => ({
+        ...tour, id: crypto.randomUUID(), source: TOUR_SOURCE.IMPORTED, createdAt: now, updatedAt: now,
+    }));
+    await writeUserTours([...await getUserTours(), ...imported]);
+
+    return imported;
+}
+
+// =============================================================================
+// Public API: Last Generated Tour
+// =============================================================================
+
+/**
+ * Remembers the last tour generated on a tab, so it can be edited in the popup and
+ * saved after Driver.js closes.
+ * @param {number} tabId
+ * @param {Object} tour - A tour in the stored-steps.json schema, plus the `prompt` it was generated from
+ *   and `cachedAt` when it was replayed from the tour cache.
+ */
+export async function rememberGeneratedTour(tabId, tour) {
+    await chrome.storage.session.set({ [`${STORAGE_KEYS.LAST_GENERATED_PREFIX}${tabId}`]: tour });
+}
+
+/**
+ * @param {number} tabId
+ * @returns {Promise<Object|null>} The last tour generated on the tab, if any.
+ */
+export async function getLastGeneratedTour(tabId) {
+    const key = `${STORAGE_KEYS.LAST_GENERATED_PREFIX}${tabId}`;
+    const data = await chrome.storage.session.get([key]);
+    return data[key] || null;
+}
+
+/**
+ * Discards the tab's last generated tour.
+ * @param {number} tabId
+ */
+export async function forgetGeneratedTour(tabId) {
+    await chrome.storage.session.remove(`${STORAGE_KEYS.LAST_GENERATED_PREFIX}${tabId}`);
+}
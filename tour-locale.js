@@ -0,0 +1,96 @@
+// tour-locale.js
+//
+// The language tour text is written in, and per-locale text variants of stored
+// tours. Generated tours use the `language` generation setting, or else the
+// page's lang attribute, or else the browser's UI language.
+// Stored tours may carry variants of their text keyed by language tag:
+//   { tourName, description, locales: { fr: { tourName, description } },
+//     steps: [{ popover: { title, description, locales: { fr: { title, description } } } }] }
+// localizeTour() picks the variant for a language, falling back from "fr-CA" to
+// "fr" and then to the tour's own text.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// Syntax of the language tags accepted as a setting, e.g. "fr", "pt-BR", "zh-Hant"
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// =============================================================================
+// Languages
+// =============================================================================
+
+/**
+ * @param {string} tag - e.g. "pt-br" or "EN_us".
+ * @returns {string} The canonical tag ("pt-BR", "en-US"), or '' when it is not a language tag.
+ */
+export function normalizeLanguageTag(tag) {
+    const candidate = (tag || '').trim().replace(/_/g, '-');
+    if (!LANGUAGE_TAG_PATTERN.test(candidate)) return '';
+    try {
+        return Intl.getCanonicalLocales(candidate)[0];
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * The language to write tour text in.
+ * @param {string} [setting] - The `language` generation setting; '' follows the page.
+ * @param {string} [pageLang] - The page's lang attribute.
+ * @returns {string} A language tag.
+ */
+export function resolveTourLanguage(setting, pageLang) {
+    return normalizeLanguageTag(setting) || normalizeLanguageTag(pageLang) || normalizeLanguageTag(chrome.i18n.getUILanguage()) || 'en';
+}
+
+/**
+ * @param {string} language - A language tag, or a language name typed by the user.
+ * @returns {string} e.g. "French (fr)" for a tag; names are returned as they are.
+ */
+export function describeLanguage(language) {
+    const tag = normalizeLanguageTag(language);
+    if (!tag) return language.trim();
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(tag);
+    return name && name !== tag ? `${name} (${tag})` : tag;
+}
+
+// =============================================================================
+// Locale Variants
+// =============================================================================
+
+/**
+ * @param {Object<string, Object>} [locales] - Text variants by language tag.
+ * @param {string} language
+ * @returns {Object|null} The variant for the language or, failing that, its base language.
+ */
+function pickLocale(locales, language) {
+    if (!locales || !language) return null;
+    const byTag = new Map(Object.entries(locales).map(([tag, variant]) => [normalizeLanguageTag(tag).toLowerCase(), variant]));
+    const tag = normalizeLanguageTag(language).toLowerCase();
+    return byTag.get(tag) || byTag.get(tag.split('-')[0]) || null;
+}
+
+/**
+ * Applies a tour's text variants for a language and drops the other variants.
+ * Selectors, actions and inputs are never localized.
+ * @param {Object} tour
+ * @param {string} [language] - Without one, the tour's own text is kept.
+ * @returns {Object} A new tour.
+ */
+export function localizeTour(tour, language) {
+    const { locales, ...localized } = tour;
+    const variant = pickLocale(locales, language);
+    if (variant?.tourName) localized.tourName = variant.tourName;
+    if (variant?.description) localized.description = variant.description;
+
+    localized.steps = tour.steps.map(step => {
+        if (!step.popover) return step;
+        const { locales: stepLocales, ...popover } = step.popover;
+        const stepVariant = pickLocale(stepLocales, language);
+        if (stepVariant?.title) popover.title = stepVariant.title;
+        if (stepVariant?.description) popover.description = stepVariant.description;
+        return { ...step, popover };
+    });
+    return localized;
+}
@@ -0,0 +1,245 @@
+// tour-matcher.js
+//
+// Decides which predefined/library tours apply to a URL and ranks them.
+// A tour may declare a `match` block; tours without one fall back to their `url`.
+//
+//   "match": {
+//     "include": [
+//       { "pattern": "https://*.example.com/app/*" },               // Chrome match pattern
+//       { "urlPattern": "https://example.com/projects/:id/settings" }, // URLPattern-style, :params captured
+//       { "urlPattern": "/projects/:id/settings" },                 // path only, any host
+//       { "regex": "^https://example\\.com/(?<section>docs|api)/" }  // named groups captured
+//     ],
+//     "exclude": [ { "pattern": "*://*/app/admin/*" } ]
+//   }
+//
+// Captured parameters fill `{{name}}` placeholders in popover text and `inputValue`.
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// Bonus for rules that match one exact URL (no wildcards or parameters)
+const EXACT_MATCH_BONUS = 1000;
+
+// =============================================================================
+// Pattern Compilers
+// =============================================================================
+
+/**
+ * @param {string} text
+ * @returns {string} The text with RegExp metacharacters escaped.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matches a Chrome extension match pattern (`<all_urls>`, `*://*.host/path*`).
+ * The path part is compared against the URL's path and query string.
+ * @param {string} pattern
+ * @param {URL} url
+ * @returns {{ params: Object, specificity: number }|null}
+ */
+function matchChromePattern(pattern, url) {
+    if (pattern === '<all_urls>') {
+        return ['http:', 'https:', 'file:', 'ftp:'].includes(url.protocol) ? { params: {}, specificity: 0 } : null;
+    }
+
+    const parts = pattern.match(/^(\*|https?|file|ftp):\/\/([^/]*)(\/.*)$/);
+    if (!parts) {
+        throw new Error(`Invalid match pattern: ${pattern}`);
+    }
+    const [, scheme, host, path] = parts;
+
+    const schemeOk = scheme === '*' ? ['http:', 'https:'].includes(url.protocol) : url.protocol === `${scheme}:`;
+    let hostOk = host === '*' || url.hostname === host;
+    if (host.startsWith('*.')) {
+        const domain = host.slice(2);
+        hostOk = url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+    }
+    const pathRegex = new RegExp(`^${path.split('*').map(escapeRegExp).join('.*')}$`);
+    if (!schemeOk || !hostOk || !pathRegex.test(`${url.pathname}${url.search}`)) {
+        return null;
+    }
+
+    const literal = `${host}${path}`.replace(/\*/g, '');
+    const exact = !pattern.includes('*');
+    return { params: {}, specificity: literal.length + (exact ? EXACT_MATCH_BONUS : 0) };
+}
+
+/**
+ * Matches a URLPattern-style string: `:name` captures one path segment, `*` anything.
+ * Patterns starting with "/" are matched against the path only. The query string and
+ * fragment are only compared when the pattern contains "?" or "#".
+ * @param {string} pattern
+ * @param {URL} url
+ * @returns {{ params: Object, specificity: number }|null}
+ */
+function matchUrlPattern(pattern, url) {
+    const pathOnly = pattern.startsWith('/');
+    let subject = pathOnly ? url.pathname : `${url.origin}${url.pathname}`;
+    if (pattern.includes('?')) subject += url.search;
+    if (pattern.includes('#')) subject += url.hash;
+
+    const tokens = pattern.split(/(:[A-Za-z_][A-Za-z0-9_]*|\*)/);
+    const source = tokens.map(token => {
+        if (token === '*') return '.*';
+        if (token.startsWith(':')) return `(?<${token.slice(1)}>[^/?#]+)`;
+        return escapeRegExp(token);
+    }).join('');
+
+    const match = new RegExp(`^${source}/?$`).exec(subject);
+    if (!match) return null;
+
+    const literal = tokens.filter(t => t !== '*' && !t.startsWith(':')).join('');
+    const exact = tokens.length === 1;
+    return { params: { ...match.groups }, specificity: literal.length + (exact ? EXACT_MATCH_BONUS : 0) };
+}
+
+/**
+ * Matches a regular expression against the full URL; named groups become parameters.
+ * @param {string} source
+ * @param {string} [flags]
+ * @param {URL} url
+ * @returns {{ params: Object, specificity: number }|null}
+ */
+function matchRegex(source, flags, url) {
+    const match = new RegExp(source, flags).exec(url.href);
+    if (!match) return null;
+    // Count literal characters: drop escapes' backslashes, classes, groups and quantifiers
+    const literal = source.replace(/\\./g, 'x').replace(/\[[^\]]*\]|\(\?<[^>]+>|[()^$.*+?{}|]/g, '');
+    return { params: { ...match.groups }, specificity: literal.length };
+}
+
+/**
+ * Matches the legacy `url` field: same origin, and the path equal to or below the tour's path.
+ * Query strings and fragments are ignored.
+ * @param {string} tourUrl
+ * @param {URL} url
+ * @returns {{ params: Object, specificity: number }|null}
+ */
+function matchLegacyUrl(tourUrl, url) {
+    const base = new URL(tourUrl);
+    if (base.origin !== url.origin) return null;
+
+    const basePath = base.pathname.replace(/\/$/, '');
+    const path = url.pathname.replace(/\/$/, '');
+    if (path !== basePath && !path.startsWith(`${basePath}/`)) return null;
+
+    const exact = path === basePath;
+    return { params: {}, specificity: `${base.host}${basePath}`.length + (exact ? EXACT_MATCH_BONUS : 0) };
+}
+
+/**
+ * Evaluates one `include`/`exclude` rule.
+ * @param {Object} rule - `{ pattern }`, `{ urlPattern }` or `{ regex, flags }`.
+ * @param {URL} url
+ * @returns {{ params: Object, specificity: number }|null}
+ */
+function matchRule(rule, url) {
+    if (typeof rule.pattern === 'string') return matchChromePattern(rule.pattern, url);
+    if (typeof rule.urlPattern === 'string') return matchUrlPattern(rule.urlPattern, url);
+    if (typeof rule.regex === 'string') return matchRegex(rule.regex, rule.flags, url);
+    throw new Error(`Unknown match rule: ${JSON.stringify(rule)}`);
+}
+
+/**
+ * @param {string} value - A matched URL parameter.
+ * @returns {string} The decoded value; malformed escapes (e.g. "100%") keep it as-is.
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Matches one tour against a URL.
+ * @param {Object} tour
+ * @param {string} href
+ * @returns {{ params: Object, specificity: number }|null} The most specific matching rule, or null.
+ */
+export function matchTour(tour, href) {
+    try {
+        const url = new URL(href);
+        if (!tour.match) {
+            return tour.url ? matchLegacyUrl(tour.url, url) : null;
+        }
+
+        const toRules = (rules) => (Array.isArray(rules) ? rules : rules ? [rules] : []);
+        if (toRules(tour.match.exclude).some(rule => matchRule(rule, url))) {
+            return null;
+        }
+
+        return toRules(tour.match.include)
+            .map(rule => matchRule(rule, url))
+            .filter(Boolean)
+            .sort((a, b) => b.specificity - a.specificity)[0] || null;
+    } catch (err) {
+        console.warn(`Ignoring tour "${tour.tourName}" with an invalid match rule or URL:`, err);
+        return null;
+    }
+}
+
+/**
+ * Replaces `{{name}}` placeholders with parameter values; unknown names are left as-is.
+ * @param {string} text
+ * @param {Object} params
+ * @returns {string}
+ */
+export function renderTemplate(text, params) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (placeholder, name) =>
+        params[name] !== undefined ? decodeParam(params[name]) : placeholder
+    );
+}
+
+/**
+ * Fills a tour's popover text and input values with matched URL parameters.
+ * @param {Object} tour
+ * @param {Object} params
+ * @returns {Object} A new tour with rendered steps.
+ */
+export function applyTourParams(tour, params) {
+    if (!params || Object.keys(params).length === 0) return tour;
+
+    return {
+        ...tour,
+        steps: tour.steps.map(step => {
+            const rendered = { ...step };
+            if (step.popover) {
+                rendered.popover = {
+                    ...step.popover,
+                    title: renderTemplate(step.popover.title, params),
+                    description: renderTemplate(step.popover.description, params),
+                };
+            }
+            if (step.inputValue) {
+                rendered.inputValue = renderTemplate(step.inputValue, params);
+            }
+            return rendered;
+        }),
+    };
+}
+
+/**
+ * Returns the tours matching a URL, most specific first, with matched
+ * parameters applied and exposed as `matchParams`.
+ * @param {Array<Object>} tours
+ * @param {string} href
+ * @returns {Array<Object>}
+ */
+export function rankToursForUrl(tours, href) {
+    return tours
+        .map((tour, order) => ({ tour, order, match: matchTour(tour, href) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => b.match.specificity - a.match.specificity || a.order - b.order)
+        .map(({ tour, match }) => ({ ...applyTourParams(tour, match.params), matchParams: match.params }));
+}
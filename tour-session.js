@@ -0,0 +1,182 @@
+// tour-session.js
+//
+// Progress of the tour running in each tab, kept in chrome.storage.session so a
+// tour survives full page loads and SPA route changes. The content script reports
+// the current step and filled inputs; after a navigation the background decides
+// which step to resume at on the new page.
+//
+// A step may declare the page it expects, with the same `url` / `match` fields
+// as a tour (see tour-matcher.js):
+//   { "url": "https://example.com/checkout", "popover": { ... } }
+//   { "match": { "include": [{ "urlPattern": "/orders/:id" }] }, "popover": { ... } }
+// Steps without one run on any page of the origin the tour started on.
+
+import { matchTour } from './tour-matcher.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+// Per-tab key in chrome.storage.session holding the running tour
+const STORAGE_PREFIX = 'tourProgress:';
+
+// Sessions not updated for this long are treated as abandoned
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+// Serializes read-modify-write updates, which may arrive concurrently from one tab
+let writeQueue = Promise.resolve();
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * @param {number} tabId
+ * @returns {string}
+ */
+function sessionKey(tabId) {
+    return `${STORAGE_PREFIX}${tabId}`;
+}
+
+/**
+ * Runs a storage update after every previously queued one.
+ * @param {function():Promise<*>} task
+ * @returns {Promise<*>}
+ */
+function enqueueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * @param {Object} step
+ * @returns {boolean} True when the step declares the page it expects.
+ */
+function declaresUrl(step) {
+    return !!(step.url || step.match);
+}
+
+/**
+ * @param {Object} step - A step that declares its page.
+ * @param {string} href
+ * @returns {boolean}
+ */
+function stepMatchesUrl(step, href) {
+    return !!matchTour({ tourName: step.popover?.title, url: step.url, match: step.match }, href);
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Records a tour that just started in a tab, replacing any previous one.
+ * @param {number} tabId
+ * @param {{ tourName?: string, config?: Object, steps: Array<Object>, stepIndex?: number, url: string, runId?: string }} tour
+ *   `runId` identifies the run in tour analytics, across page loads. `config` is the tour's presentation,
+ *   so it looks the same on the next page.
+ * @returns {Promise<Object>} The stored session.
+ */
+export async function startTourSession(tabId, { tourName = '', config = null, steps, stepIndex = 0, url, runId }) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error('Cannot start a tour session without steps.');
+    }
+    const session = {
+        tourName,
+        config,
+        steps,
+        stepIndex,
+        runId,
+        inputs: {},
+        origin: new URL(url).origin,
+        updatedAt: Date.now(),
+    };
+    await enqueueWrite(() => chrome.storage.session.set({ [sessionKey(tabId)]: session }));
+    return session;
+}
+
+/**
+ * @param {number} tabId
+ * @returns {Promise<Object|null>} The tab's running tour, or null when there is none or it expired.
+ */
+export async function getTourSession(tabId) {
+    const key = sessionKey(tabId);
+    const data = await chrome.storage.session.get([key]);
+    const session = data[key];
+    if (!session) return null;
+
+    if (Date.now() - session.updatedAt > SESSION_TTL_MS) {
+        await endTourSession(tabId);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Moves a session to another step and/or merges filled input values.
+ * Ignored when the tab has no running tour.
+ * @param {number} tabId
+ * @param {{ stepIndex?: number, inputs?: Object<string, string> }} progress
+ */
+export async function updateTourSession(tabId, { stepIndex, inputs }) {
+    await enqueueWrite(async () => {
+        const session = await getTourSession(tabId);
+        if (!session) return;
+
+        if (Number.isInteger(stepIndex) && stepIndex >= 0 && stepIndex < session.steps.length) {
+            session.stepIndex = stepIndex;
+        }
+        session.inputs = { ...session.inputs, ...inputs };
+        session.updatedAt = Date.now();
+        await chrome.storage.session.set({ [sessionKey(tabId)]: session });
+    });
+}
+
+/**
+ * @param {number} tabId
+ */
+export async function endTourSession(tabId) {
+    await chrome.storage.session.remove(sessionKey(tabId));
+}
+
+/**
+ * Picks the step to show after the tab navigated to `href`:
+ * 1. the current step, if it declares this page;
+ * 2. otherwise the next step declaring this page;
+ * 3. otherwise the current step, if it declares no page and the origin is unchanged;
+ * 4. otherwise the closest earlier step declaring this page (e.g. after going back).
+ * @param {Object} session
+ * @param {string} href
+ * @returns {number} The step index, or -1 when the tour has no step for this page.
+ */
+export function resolveResumeIndex(session, href) {
+    const { steps, stepIndex } = session;
+    const current = steps[stepIndex];
+    if (!current) return -1;
+
+    if (declaresUrl(current) && stepMatchesUrl(current, href)) return stepIndex;
+
+    const next = steps.findIndex((step, i) => i > stepIndex && declaresUrl(step) && stepMatchesUrl(step, href));
+    if (next !== -1) return next;
+
+    if (!declaresUrl(current) && new URL(href).origin === session.origin) return stepIndex;
+
+    for (let i = stepIndex - 1; i >= 0; i--) {
+        if (declaresUrl(steps[i]) && stepMatchesUrl(steps[i], href)) return i;
+    }
+    return -1;
+}
+
+/**
+ * Restores input values typed earlier in the tour into the steps that collect them.
+ * @param {Object} session
+ * @returns {Array<Object>}
+ */
+export function getStepsWithInputs(session) {
+    return session.steps.map(step =>
+        step.inputKey && session.inputs[step.inputKey] !== undefined
+            ? { ...step, inputValue: session.inputs[step.inputKey] }
+            : step
+    );
+}